@@ -0,0 +1,41 @@
+// Example transform hooks - copy, adapt, and pass with --hooks=./my-hooks.js
+// Every hook is optional and may be async. Transform hooks return the payload to send
+// (or nothing after editing it in place); returning null or false skips the item.
+// ctx.target is 'bigcommerce' or 'shopify', ctx.source is the source BigCommerce record.
+
+/**
+ * Skip source items entirely (ctx.entity: 'product' | 'category')
+ */
+export function shouldMigrate(item, ctx) {
+  if (ctx.entity === 'product') return !/^\[ARCHIVE\]/.test(item.name);
+  return true;
+}
+
+/**
+ * Adjust the product payload (BigCommerce product or Shopify product incl. variants/images)
+ */
+export function transformProduct(payload, ctx) {
+  const html = ctx.target === 'shopify' ? 'body_html' : 'description';
+  payload[html] = String(payload[html] || '').replace(/http:\/\/old-cdn\.example\.com/g, 'https://cdn.example.com');
+}
+
+/**
+ * Adjust one variant payload (ctx.product is the source product)
+ */
+export function transformVariant(payload, ctx) {
+  if (payload.sku) payload.sku = `ACME-${payload.sku}`;
+}
+
+/**
+ * Adjust a category (BigCommerce) or collection (Shopify) before it is created
+ */
+export function transformCategory(payload, ctx) {
+  if (ctx.path === '/Sale') return null;
+}
+
+/**
+ * Adjust an image before upload (BigCommerce: image_url, description; Shopify: src, alt)
+ */
+export function transformImage(payload, ctx) {
+  return payload;
+}
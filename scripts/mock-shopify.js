@@ -0,0 +1,552 @@
+#!/usr/bin/env node
+// Local Shopify mock - an in-memory shop with the parts of the Admin API the migrator uses,
+// so `--to-shopify` (including `--bulk`) can be tried without a real store:
+//
+//   npm run mock-shopify -- --port=4020
+//   SHOPIFY_BASE_URL=http://localhost:4020 SHOPIFY_SHOP_DOMAIN=mock SHOPIFY_ACCESS_TOKEN=x \
+//     npm start -- --write --to-shopify --bulk
+//
+// GraphQL: productCreate, productVariantsBulkCreate, productSet, productDelete,
+// collectionAddProducts, metafieldsSet, menuCreate, menuUpdate, stagedUploadsCreate,
+// bulkOperationRunMutation, metaobjectDefinitionCreate/Update/Delete, metaobjectUpsert/Update/Delete,
+// fileCreate/Delete, metafieldDefinitionCreate/Delete, the productVariants, menus, metaobject and
+// metafield definition queries and the node() lookups for bulk operations and metafields. REST: products, variants, metafields, custom and smart collections
+// and collects. Product limits (3 options, 100 REST or 2048 GraphQL variants) are enforced.
+// Nothing is persisted.
+import http from 'http';
+
+const args = process.argv.slice(2);
+const port = parseInt(args.find(a => a.startsWith('--port='))?.split('=')[1] || process.env.SHOPIFY_MOCK_PORT || '4020', 10);
+const base = `http://localhost:${port}`;
+
+let nextId = 1000;
+const newId = () => ++nextId;
+const gid = (type, id) => `gid://shopify/${type}/${id}`;
+const idOf = (g) => Number(String(g).split('/').pop());
+
+const products = new Map();     // id -> product (REST shape, plus metafields)
+const variantMetafields = new Map(); // variant id -> metafields
+const collections = new Map();  // id -> custom or smart (with rules) collection, plus metafields
+const collects = new Map();     // id -> { id, product_id, collection_id }
+const uploads = new Map();      // staged upload key -> file contents
+const operations = new Map();   // bulk operation id -> { status, polls, results }
+const menus = new Map();        // id -> { id, handle, title, items }
+const definitions = new Map();  // metaobject type -> { id, type, fieldDefinitions, capabilities }
+const metaobjects = new Map();  // id -> { id, type, handle, status, fields: { key: value } }
+const metafieldDefinitions = new Map(); // "<ownerType>.<namespace>.<key>" -> { id, type, validations }
+const files = new Map();        // id -> { id, originalSource, alt }
+
+// Every GraphQL response reports a generous, never-exhausted cost bucket
+const cost = { requestedQueryCost: 10, actualQueryCost: 10, throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1990, restoreRate: 100 } };
+
+const handleize = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Metafields of a product, variant or collection, by owner GID
+ */
+function metafieldsOf(ownerGid) {
+  const id = idOf(ownerGid);
+  if (ownerGid.includes('/ProductVariant/')) {
+    if (!variantMetafields.has(id)) variantMetafields.set(id, []);
+    return variantMetafields.get(id);
+  }
+  if (ownerGid.includes('/Collection/')) return collections.get(id)?.metafields;
+  return products.get(id)?.metafields;
+}
+
+/**
+ * Create or update metafields by namespace + key
+ */
+function upsertMetafields(list, metafields = []) {
+  return metafields.map((m) => {
+    const current = list.find(x => x.namespace === m.namespace && x.key === m.key);
+    if (current) return Object.assign(current, { value: m.value, type: m.type || current.type });
+    const created = { id: newId(), namespace: m.namespace, key: m.key, value: m.value, type: m.type };
+    list.push(created);
+    return created;
+  });
+}
+
+/**
+ * GraphQL variant input -> REST variant
+ */
+function toVariant(productId, v, position) {
+  const variant = {
+    id: newId(),
+    product_id: productId,
+    position,
+    sku: v.inventoryItem?.sku ?? v.sku ?? '',
+    barcode: v.barcode ?? null,
+    price: String(v.price ?? '0.00'),
+    compare_at_price: v.compareAtPrice ?? null
+  };
+  (v.optionValues || []).forEach((o, i) => { variant[`option${i + 1}`] = o.name; });
+  if (v.metafields) upsertMetafields(metafieldsOf(gid('ProductVariant', variant.id)), v.metafields);
+  return variant;
+}
+
+/**
+ * Product as the migrator's GraphQL selections read it
+ */
+function gqlProduct(p) {
+  return {
+    id: gid('Product', p.id),
+    title: p.title,
+    handle: p.handle,
+    variants: { nodes: p.variants.slice(0, 250).map(v => ({ id: gid('ProductVariant', v.id), sku: v.sku })) },
+    media: { nodes: p.images.map(img => ({ id: gid('MediaImage', img.id), alt: img.alt, image: { url: img.src } })) }
+  };
+}
+
+/**
+ * Apply ProductCreateInput / ProductSetInput fields to a product
+ */
+function applyProductFields(p, input) {
+  const fields = { title: 'title', descriptionHtml: 'body_html', vendor: 'vendor', productType: 'product_type', templateSuffix: 'template_suffix' };
+  for (const [from, to] of Object.entries(fields)) {
+    if (input[from] !== undefined) p[to] = input[from];
+  }
+  if (input.tags) p.tags = [].concat(input.tags).join(', ');
+  if (input.status) p.status = input.status.toLowerCase();
+  if (input.handle || !p.handle) p.handle = uniqueHandle(input.handle || handleize(p.title), p.id);
+  if (input.productOptions) p.options = input.productOptions.map(o => ({ name: o.name, values: o.values.map(v => v.name) }));
+  if (input.metafields) upsertMetafields(p.metafields, input.metafields);
+}
+
+function uniqueHandle(handle, ownId) {
+  let out = handle || 'product';
+  for (let n = 1; [...products.values()].some(p => p.handle === out && p.id !== ownId); n++) out = `${handle}-${n}`;
+  return out;
+}
+
+function newProduct() {
+  const p = { id: newId(), title: '', body_html: '', vendor: '', product_type: '', tags: '', status: 'active', handle: '', options: [], variants: [], images: [], metafields: [] };
+  products.set(p.id, p);
+  return p;
+}
+
+function setImages(p, files = []) {
+  p.images = files.map((f, i) => ({ id: newId(), product_id: p.id, position: i + 1, src: f.originalSource, alt: f.alt ?? '' }));
+}
+
+function setCollections(p, ids = []) {
+  for (const [id, c] of collects) if (c.product_id === p.id) collects.delete(id);
+  for (const g of ids) addCollect(p.id, idOf(g));
+}
+
+function addCollect(productId, collectionId) {
+  if ([...collects.values()].some(c => c.product_id === productId && c.collection_id === collectionId)) return false;
+  const id = newId();
+  collects.set(id, { id, product_id: productId, collection_id: collectionId });
+  return true;
+}
+
+const fail = (message, field = []) => ({ userErrors: [{ field, message }] });
+
+/**
+ * Shopify's product limits: 3 options, and 100 (REST) or 2048 (GraphQL) variants
+ */
+function limitError({ options = [], variants = [] }, maxVariants) {
+  if (options.length > 3) return 'Options can have a maximum of 3 options';
+  if (variants.length > maxVariants) return `Variants exceeds the maximum of ${maxVariants} variants`;
+  return null;
+}
+
+/**
+ * productSet - create (no id) or replace a product
+ */
+function productSet(input) {
+  const limit = limitError({ options: input.productOptions, variants: input.variants }, 2048);
+  if (limit) return { product: null, ...fail(limit, ['input']) };
+  let p;
+  if (input.id) {
+    p = products.get(idOf(input.id));
+    if (!p) return { product: null, ...fail('Product does not exist', ['input', 'id']) };
+  } else {
+    p = newProduct();
+  }
+  applyProductFields(p, input);
+  if (input.variants) p.variants = input.variants.map((v, i) => toVariant(p.id, v, i + 1));
+  if (!p.variants.length) p.variants = [toVariant(p.id, { optionValues: [{ name: 'Default Title' }] }, 1)];
+  if (input.files) setImages(p, input.files);
+  if (input.collections) setCollections(p, input.collections);
+  return { product: gqlProduct(p), userErrors: [] };
+}
+
+const MUTATIONS = {
+  productCreate({ product: input, media = [] }) {
+    const limit = limitError({ options: input.productOptions }, 2048);
+    if (limit) return { product: null, ...fail(limit, ['product', 'productOptions']) };
+    const p = newProduct();
+    applyProductFields(p, input);
+    p.variants = [toVariant(p.id, { optionValues: (p.options.length ? p.options : [{ name: 'Title', values: ['Default Title'] }]).map(o => ({ optionName: o.name, name: o.values[0] })) }, 1)];
+    setImages(p, media);
+    return { product: gqlProduct(p), userErrors: [] };
+  },
+  productVariantsBulkCreate({ productId, variants }) {
+    const p = products.get(idOf(productId));
+    if (!p) return { productVariants: null, ...fail('Product does not exist', ['productId']) };
+    const limit = limitError({ variants }, 2048);
+    if (limit) return { productVariants: null, ...fail(limit, ['variants']) };
+    p.variants = variants.map((v, i) => toVariant(p.id, v, i + 1));
+    return { productVariants: p.variants.map(v => ({ id: gid('ProductVariant', v.id), sku: v.sku })), userErrors: [] };
+  },
+  productSet: ({ input }) => productSet(input),
+  productDelete({ input }) {
+    products.delete(idOf(input.id));
+    return { deletedProductId: input.id, userErrors: [] };
+  },
+  collectionAddProducts({ id, productIds }) {
+    if (!collections.has(idOf(id))) return { collection: null, ...fail('Collection does not exist', ['id']) };
+    if (collections.get(idOf(id)).rules) return { collection: null, ...fail("Can't manually add products to a smart collection", ['id']) };
+    const added = productIds.map(p => addCollect(idOf(p), idOf(id)));
+    if (!added.some(Boolean)) return { collection: { id }, ...fail('Product already exists in collection', ['productIds']) };
+    return { collection: { id }, userErrors: [] };
+  },
+  metafieldsSet({ metafields }) {
+    const written = metafields.map(m => ({ ...upsertMetafields(metafieldsOf(m.ownerId) || [], [m])[0], ownerId: m.ownerId }));
+    return { metafields: written.map(m => ({ id: gid('Metafield', m.id), namespace: m.namespace, key: m.key })), userErrors: [] };
+  },
+  menuCreate({ title, handle, items }) {
+    if ([...menus.values()].some(m => m.handle === handle)) return { menu: null, ...fail('Handle has already been taken', ['handle']) };
+    const menu = { id: newId(), title, handle, items };
+    menus.set(menu.id, menu);
+    return { menu: { id: gid('Menu', menu.id), handle }, userErrors: [] };
+  },
+  menuUpdate({ id, title, handle, items }) {
+    const menu = menus.get(idOf(id));
+    if (!menu) return { menu: null, ...fail('Menu does not exist', ['id']) };
+    Object.assign(menu, { title, handle: handle || menu.handle, items });
+    return { menu: { id, handle: menu.handle }, userErrors: [] };
+  },
+  metaobjectDefinitionCreate({ definition }) {
+    if (definitions.has(definition.type)) return { metaobjectDefinition: null, ...fail('Type has already been taken', ['definition', 'type']) };
+    const created = {
+      id: newId(),
+      type: definition.type,
+      fieldDefinitions: definition.fieldDefinitions.map(({ key, type }) => ({ key, type })),
+      capabilities: definition.capabilities || {}
+    };
+    definitions.set(created.type, created);
+    return { metaobjectDefinition: { id: gid('MetaobjectDefinition', created.id) }, userErrors: [] };
+  },
+  metaobjectDefinitionUpdate({ id, definition }) {
+    const found = [...definitions.values()].find(d => d.id === idOf(id));
+    if (!found) return { metaobjectDefinition: null, ...fail('Definition does not exist', ['id']) };
+    (definition.fieldDefinitions || []).forEach(({ create, delete: remove }) => {
+      if (create) found.fieldDefinitions.push({ key: create.key, type: create.type });
+      if (remove) found.fieldDefinitions = found.fieldDefinitions.filter(f => f.key !== remove.key);
+    });
+    if (definition.capabilities) Object.assign(found.capabilities, definition.capabilities);
+    return { metaobjectDefinition: { id }, userErrors: [] };
+  },
+  metaobjectUpsert({ handle, metaobject }) {
+    const definition = definitions.get(handle.type);
+    if (!definition) return { metaobject: null, ...fail('No metaobject definition exists for type', ['handle', 'type']) };
+    const unknown = metaobject.fields.find(f => !definition.fieldDefinitions.some(d => d.key === f.key));
+    if (unknown) return { metaobject: null, ...fail(`Field definition "${unknown.key}" does not exist`, ['metaobject', 'fields']) };
+    let found = [...metaobjects.values()].find(m => m.type === handle.type && m.handle === handle.handle);
+    if (!found) {
+      found = { id: newId(), type: handle.type, handle: handle.handle, status: 'DRAFT', fields: {} };
+      metaobjects.set(found.id, found);
+    }
+    metaobject.fields.forEach(f => { found.fields[f.key] = f.value; });
+    if (metaobject.capabilities?.publishable) found.status = metaobject.capabilities.publishable.status;
+    return { metaobject: { id: gid('Metaobject', found.id), handle: found.handle }, userErrors: [] };
+  },
+  metaobjectUpdate({ id, metaobject }) {
+    const found = metaobjects.get(idOf(id));
+    if (!found) return { metaobject: null, ...fail('Metaobject does not exist', ['id']) };
+    (metaobject.fields || []).forEach(f => {
+      if (f.value === '') delete found.fields[f.key];
+      else found.fields[f.key] = f.value;
+    });
+    return { metaobject: { id }, userErrors: [] };
+  },
+  metaobjectDelete({ id }) {
+    if (!metaobjects.delete(idOf(id))) return { deletedId: null, ...fail('Metaobject does not exist', ['id']) };
+    return { deletedId: id, userErrors: [] };
+  },
+  metaobjectDefinitionDelete({ id }) {
+    const found = [...definitions.values()].find(d => d.id === idOf(id));
+    if (!found) return { deletedId: null, ...fail('Definition does not exist', ['id']) };
+    definitions.delete(found.type);
+    [...metaobjects.values()].filter(m => m.type === found.type).forEach(m => metaobjects.delete(m.id));
+    return { deletedId: id, userErrors: [] };
+  },
+  fileCreate({ files: input }) {
+    const created = input.map(f => ({ id: newId(), originalSource: f.originalSource, alt: f.alt }));
+    created.forEach(f => files.set(f.id, f));
+    return { files: created.map(f => ({ id: gid('MediaImage', f.id) })), userErrors: [] };
+  },
+  metafieldDefinitionCreate({ definition }) {
+    const key = `${definition.ownerType}.${definition.namespace}.${definition.key}`;
+    if (metafieldDefinitions.has(key)) return { createdDefinition: null, ...fail('Key is in use for Product metafields on the definition', ['definition', 'key']) };
+    const created = { id: newId(), type: definition.type, validations: definition.validations || [] };
+    metafieldDefinitions.set(key, created);
+    return { createdDefinition: { id: gid('MetafieldDefinition', created.id) }, userErrors: [] };
+  },
+  fileDelete({ fileIds }) {
+    const missing = fileIds.find(id => !files.has(idOf(id)));
+    if (missing) return { deletedFileIds: null, ...fail(`File id ${missing} does not exist`, ['fileIds']) };
+    fileIds.forEach(id => files.delete(idOf(id)));
+    return { deletedFileIds: fileIds, userErrors: [] };
+  },
+  metafieldDefinitionDelete({ id, deleteAllAssociatedMetafields }) {
+    const [key, found] = [...metafieldDefinitions.entries()].find(([, d]) => d.id === idOf(id)) || [];
+    if (!found) return { deletedDefinitionId: null, ...fail('Definition not found', ['id']) };
+    metafieldDefinitions.delete(key);
+    if (deleteAllAssociatedMetafields) {
+      const [, namespace, name] = key.split('.');
+      products.forEach(p => { p.metafields = p.metafields.filter(m => !(m.namespace === namespace && m.key === name)); });
+    }
+    return { deletedDefinitionId: id, userErrors: [] };
+  },
+  stagedUploadsCreate({ input }) {
+    return {
+      stagedTargets: input.map(i => ({
+        url: `${base}/staged-uploads`,
+        resourceUrl: `${base}/staged-uploads/${i.filename}`,
+        parameters: [{ name: 'key', value: `tmp/${newId()}/${i.filename}` }, { name: 'Content-Type', value: i.mimeType }]
+      })),
+      userErrors: []
+    };
+  },
+  bulkOperationRunMutation({ mutation, stagedUploadPath }) {
+    const name = mutation.match(/mutation\s+(\w+)/)?.[1];
+    if (!uploads.has(stagedUploadPath)) return { bulkOperation: null, ...fail('Staged upload not found', ['stagedUploadPath']) };
+    if (!MUTATIONS[name]) return { bulkOperation: null, ...fail(`Mock does not support ${name} in bulk`, ['mutation']) };
+    
+    // Run every line now; the first poll still reports RUNNING
+    const results = uploads.get(stagedUploadPath).split('\n').filter(l => l.trim()).map((line, i) =>
+      JSON.stringify({ data: { [name]: MUTATIONS[name](JSON.parse(line)) }, __lineNumber: i })
+    );
+    const id = newId();
+    operations.set(id, { status: 'RUNNING', polls: 0, results });
+    return { bulkOperation: { id: gid('BulkOperation', id), status: 'CREATED' }, userErrors: [] };
+  }
+};
+
+/**
+ * Answer a GraphQL request: named mutations, node() lookups and the shop/location probe
+ */
+function graphql({ query, variables = {} }) {
+  const name = query.match(/(?:mutation|query)\s+(\w+)/)?.[1];
+  if (name && MUTATIONS[name]) return { data: { [name]: MUTATIONS[name](variables) } };
+  
+  if (/BulkOperation/.test(query)) {
+    const id = idOf(variables.id);
+    const op = operations.get(id);
+    if (!op) return { data: { node: null } };
+    if (op.polls++ > 0) op.status = 'COMPLETED';
+    return {
+      data: {
+        node: {
+          id: variables.id,
+          status: op.status,
+          errorCode: null,
+          objectCount: String(op.status === 'COMPLETED' ? op.results.length : 0),
+          url: op.status === 'COMPLETED' ? `${base}/bulk-results/${id}.jsonl` : null,
+          partialDataUrl: null
+        }
+      }
+    };
+  }
+  if (name === 'productVariants') {
+    const p = products.get(idOf(variables.id));
+    if (!p) return { data: { product: null } };
+    const from = Number(variables.after || 0);
+    const nodes = p.variants.slice(from, from + 250).map(v => ({ id: gid('ProductVariant', v.id), sku: v.sku }));
+    const hasNextPage = from + 250 < p.variants.length;
+    return { data: { product: { variants: { nodes, pageInfo: { hasNextPage, endCursor: hasNextPage ? String(from + 250) : null } } } } };
+  }
+  if (name === 'menus') {
+    return { data: { menus: { nodes: [...menus.values()].map(m => ({ id: gid('Menu', m.id), handle: m.handle })), pageInfo: { hasNextPage: false, endCursor: null } } } };
+  }
+  if (name === 'metaobjectDefinitionByType') {
+    const d = definitions.get(variables.type);
+    const capabilities = Object.fromEntries(['publishable', 'renderable', 'onlineStore'].map(c => [c, { enabled: Boolean(d?.capabilities[c]?.enabled) }]));
+    return { data: { metaobjectDefinitionByType: d ? { id: gid('MetaobjectDefinition', d.id), fieldDefinitions: d.fieldDefinitions, capabilities } : null } };
+  }
+  if (name === 'metaobjectByHandle') {
+    const m = [...metaobjects.values()].find(x => x.type === variables.handle.type && x.handle === variables.handle.handle);
+    const fields = m && Object.entries(m.fields).map(([key, value]) => ({ key, value }));
+    return { data: { metaobjectByHandle: m ? { id: gid('Metaobject', m.id), handle: m.handle, fields } : null } };
+  }
+  if (name === 'metafieldDefinitions') {
+    const d = metafieldDefinitions.get(`PRODUCT.${variables.namespace}.${variables.key}`);
+    return { data: { metafieldDefinitions: { nodes: d ? [{ id: gid('MetafieldDefinition', d.id), type: { name: d.type } }] : [] } } };
+  }
+  if (/HasMetafields/.test(query)) {
+    const list = metafieldsOf(variables.id) || [];
+    const keys = variables.keys;
+    const nodes = list.filter(m => !keys || keys.includes(`${m.namespace}.${m.key}`)).map(m => ({ ...m, id: gid('Metafield', m.id) }));
+    return { data: { node: { metafields: { nodes } } } };
+  }
+  if (/shop\s*\{/.test(query)) {
+    return { data: { shop: { name: 'Mock shop' }, location: { id: gid('Location', 1) } } };
+  }
+  return { errors: [{ message: `Mock does not support this query: ${query.slice(0, 80)}` }] };
+}
+
+/**
+ * REST product create/update: variants and images sent without IDs replace the current ones
+ */
+function restProductWrite(p, { variants, images, metafields, ...fields }) {
+  Object.assign(p, fields);
+  if (!p.handle) p.handle = uniqueHandle(handleize(p.title), p.id);
+  if (variants) p.variants = variants.map((v, i) => ({ ...v, id: v.id || newId(), product_id: p.id, position: i + 1 }));
+  if (!p.variants.length) p.variants = [{ id: newId(), product_id: p.id, position: 1, option1: 'Default Title', sku: '' }];
+  if (images) p.images = images.map((img, i) => ({ ...img, id: img.id || newId(), product_id: p.id, position: i + 1 }));
+  if (metafields) upsertMetafields(p.metafields, metafields);
+  return p;
+}
+
+/**
+ * Answer a REST request under /admin/api/<version>; null when the route is unknown
+ */
+function rest(method, route, query, body) {
+  const list = (key, items) => ({ [key]: items });
+  let m;
+  
+  const restLimit = (product = {}) => {
+    const error = limitError(product, 100);
+    return error && { status: 422, body: { errors: { base: [error] } } };
+  };
+  
+  if (route === '/products.json') {
+    if (method === 'POST') return restLimit(body.product) || { product: restProductWrite(newProduct(), body.product) };
+    return list('products', [...products.values()]);
+  }
+  if ((m = route.match(/^\/products\/(\d+)\.json$/))) {
+    const p = products.get(Number(m[1]));
+    if (!p) return { status: 404, body: { errors: 'Not Found' } };
+    if (method === 'DELETE') { products.delete(p.id); return {}; }
+    if (method === 'PUT') {
+      const limit = restLimit(body.product);
+      if (limit) return limit;
+      restProductWrite(p, body.product);
+    }
+    return { product: p };
+  }
+  if ((m = route.match(/^\/(products|variants|collections)\/(\d+)\/metafields\.json$/))) {
+    const owner = gid({ products: 'Product', variants: 'ProductVariant', collections: 'Collection' }[m[1]], m[2]);
+    const owned = metafieldsOf(owner);
+    if (!owned) return { status: 404, body: { errors: 'Not Found' } };
+    if (method === 'POST') return { metafield: upsertMetafields(owned, [body.metafield])[0] };
+    return list('metafields', owned.filter(x => (!query.namespace || x.namespace === query.namespace) && (!query.key || x.key === query.key)));
+  }
+  if ((m = route.match(/^(?:\/(?:products|variants|collections)\/\d+)?\/metafields\/(\d+)\.json$/))) {
+    for (const owned of [...[...products.values(), ...collections.values()].map(p => p.metafields), ...variantMetafields.values()]) {
+      const i = owned.findIndex(x => x.id === Number(m[1]));
+      if (i < 0) continue;
+      if (method === 'DELETE') owned.splice(i, 1);
+      else if (method === 'PUT') Object.assign(owned[i], body.metafield);
+      return { metafield: owned[i] };
+    }
+    return { status: 404, body: { errors: 'Not Found' } };
+  }
+  if ((m = route.match(/^\/variants\/(\d+)\.json$/))) {
+    const variant = [...products.values()].flatMap(p => p.variants).find(v => v.id === Number(m[1]));
+    return variant ? { variant } : { status: 404, body: { errors: 'Not Found' } };
+  }
+  if ((m = route.match(/^\/(custom|smart)_collections\.json$/))) {
+    const key = `${m[1]}_collection`;
+    const ofKind = [...collections.values()].filter(c => !c.rules === (m[1] === 'custom'));
+    if (method === 'POST') {
+      const { metafields, ...fields } = body[key];
+      const handle = fields.handle || handleize(fields.title);
+      if ([...collections.values()].some(c => c.handle === handle)) return { status: 422, body: { errors: { handle: ['has already been taken'] } } };
+      const c = { id: newId(), published_at: fields.published === false ? null : new Date().toISOString(), ...fields, handle, metafields: [] };
+      upsertMetafields(c.metafields, metafields);
+      collections.set(c.id, c);
+      return { [key]: c };
+    }
+    return list(`${key}s`, ofKind);
+  }
+  if ((m = route.match(/^\/(custom|smart)_collections\/(\d+)\.json$/))) {
+    const key = `${m[1]}_collection`;
+    const c = collections.get(Number(m[2]));
+    if (!c || !c.rules !== (m[1] === 'custom')) return { status: 404, body: { errors: 'Not Found' } };
+    if (method === 'DELETE') { collections.delete(c.id); return {}; }
+    if (method === 'PUT') {
+      Object.assign(c, body[key]);
+      if (c.image === '') delete c.image;
+      if ('published' in body[key]) c.published_at = body[key].published ? (c.published_at || new Date().toISOString()) : null;
+    }
+    return { [key]: c };
+  }
+  if (route === '/collects.json') {
+    if (method === 'POST') {
+      const { product_id: productId, collection_id: collectionId } = body.collect;
+      if (collections.get(collectionId)?.rules) return { status: 422, body: { errors: { collection_id: ["can't be a smart collection"] } } };
+      if (!addCollect(productId, collectionId)) return { status: 422, body: { errors: { product_id: ['already exists in this collection'] } } };
+      return { collect: [...collects.values()].pop() };
+    }
+    return list('collects', [...collects.values()].filter(c =>
+      (!query.product_id || c.product_id === Number(query.product_id)) && (!query.collection_id || c.collection_id === Number(query.collection_id))
+    ));
+  }
+  if ((m = route.match(/^\/collects\/(\d+)\.json$/)) && method === 'DELETE') {
+    return collects.delete(Number(m[1])) ? {} : { status: 404, body: { errors: 'Not Found' } };
+  }
+  return null;
+}
+
+/**
+ * Fields of a multipart/form-data body (enough for staged uploads)
+ */
+function parseMultipart(buf, contentType) {
+  const boundary = contentType.match(/boundary=(.+)$/)?.[1];
+  const fields = {};
+  for (const part of buf.toString('utf8').split(`--${boundary}`)) {
+    const name = part.match(/name="([^"]+)"/)?.[1];
+    const start = part.indexOf('\r\n\r\n');
+    if (name && start >= 0) fields[name] = part.slice(start + 4).replace(/\r\n$/, '');
+  }
+  return fields;
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    const url = new URL(req.url, base);
+    const raw = Buffer.concat(chunks);
+    const send = (status, body, type = 'application/json') => {
+      res.writeHead(status, { 'content-type': type, 'x-shopify-shop-api-call-limit': '1/40' });
+      res.end(type === 'application/json' ? JSON.stringify(body) : body);
+    };
+    
+    try {
+      if (url.pathname === '/staged-uploads' && req.method === 'POST') {
+        const fields = parseMultipart(raw, req.headers['content-type'] || '');
+        uploads.set(fields.key, fields.file || '');
+        return send(201, '', 'text/plain');
+      }
+      const result = url.pathname.match(/^\/bulk-results\/(\d+)\.jsonl$/);
+      if (result) {
+        const op = operations.get(Number(result[1]));
+        return op ? send(200, `${op.results.join('\n')}\n`, 'application/jsonl') : send(404, 'Not Found', 'text/plain');
+      }
+      
+      const api = url.pathname.match(/^\/admin\/api\/[^/]+(\/.*)$/);
+      if (!api) return send(404, { errors: 'Not Found' });
+      const body = raw.length ? JSON.parse(raw.toString('utf8')) : {};
+      
+      if (api[1] === '/graphql.json' && req.method === 'POST') {
+        return send(200, { ...graphql(body), extensions: { cost } });
+      }
+      const out = rest(req.method, api[1], Object.fromEntries(url.searchParams), body);
+      if (!out) return send(404, { errors: 'Not Found' });
+      if (out.status) return send(out.status, out.body);
+      send(req.method === 'POST' ? 201 : 200, out);
+    } catch (e) {
+      send(500, { errors: e.message });
+    } finally {
+      console.log(`${req.method} ${url.pathname}`);
+    }
+  });
+});
+
+server.listen(port, () => console.log(`Shopify mock listening on ${base} (SHOPIFY_BASE_URL=${base})`));
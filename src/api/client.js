@@ -1,5 +1,6 @@
 // API client configuration
 import axios from 'axios';
+import { createRateLimiter } from './rateLimiter.js';
 
 /**
  * Normalize base URL to proper BigCommerce API format
@@ -18,7 +19,7 @@ function normalizeBaseUrl(base, hash) {
 export function createApiClient(storeHash, accessToken, baseUrl) {
   const normalizedBaseUrl = normalizeBaseUrl(baseUrl, storeHash);
   
-  return axios.create({
+  const client = axios.create({
     baseURL: normalizedBaseUrl,
     headers: {
       'X-Auth-Token': accessToken,
@@ -26,27 +27,46 @@ export function createApiClient(storeHash, accessToken, baseUrl) {
       'Content-Type': 'application/json',
     },
   });
+  
+  // One budget per store, shared by every request made through this client
+  client.rateLimiter = createRateLimiter();
+  return client;
 }
 
 /**
  * Request with retry logic for rate limiting
  */
 export async function requestWithRetry(client, config, attempt = 1) {
+  const limiter = client.rateLimiter;
+  
   try {
-    return await client.request(config);
+    await limiter?.acquire();
+    let res;
+    try {
+      res = await client.request(config);
+    } finally {
+      limiter?.release();
+    }
+    limiter?.updateFromBigCommerce(res.headers);
+    return res;
   } catch (err) {
     const status = err?.response?.status;
+    limiter?.updateFromBigCommerce(err?.response?.headers);
     
     if (status === 429 && attempt <= 6) {
-      const wait = Math.min(1000 * Math.pow(2, attempt), 15000);
+      const resetMs = parseInt(err.response?.headers?.['x-rate-limit-time-reset-ms'], 10);
+      const wait = resetMs > 0 ? resetMs : Math.min(1000 * Math.pow(2, attempt), 15000);
       console.log(`⚠️  429 rate limited. Backing off ${wait}ms (attempt ${attempt})`);
+      limiter?.pause(wait);
       await new Promise(r => setTimeout(r, wait));
       return requestWithRetry(client, config, attempt + 1);
     }
     
     const fullUrl = new URL(config.url, client.defaults.baseURL).toString();
     const detail = err?.response?.data || err.message;
-    throw new Error(`Request failed: ${config.method?.toUpperCase()} ${fullUrl} :: ${JSON.stringify(detail)}`);
+    const error = new Error(`Request failed: ${config.method?.toUpperCase()} ${fullUrl} :: ${JSON.stringify(detail)}`);
+    error.status = status;
+    throw error;
   }
 }
 
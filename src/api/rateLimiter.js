@@ -0,0 +1,79 @@
+// Shared rate-limit budget per store, fed by the platform's rate limit headers
+
+/**
+ * Create a rate limiter. Every request on a client waits in acquire() while the
+ * store's budget is exhausted, so concurrent workers share one budget instead of
+ * each discovering the limit through its own 429s.
+ */
+export function createRateLimiter({ reserve = 2 } = {}) {
+  let pausedUntil = 0;
+  let inFlight = 0;
+  
+  return {
+    /**
+     * Wait until the budget allows another request; pair with release()
+     */
+    async acquire() {
+      let wait = pausedUntil - Date.now();
+      while (wait > 0) {
+        await new Promise(r => setTimeout(r, wait));
+        wait = pausedUntil - Date.now();
+      }
+      inFlight++;
+    },
+    
+    release() {
+      inFlight = Math.max(0, inFlight - 1);
+    },
+    
+    /**
+     * Pause all requests for at least ms
+     */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+    
+    /**
+     * BigCommerce: X-Rate-Limit-Requests-Left / X-Rate-Limit-Time-Reset-Ms
+     */
+    updateFromBigCommerce(headers = {}) {
+      const left = parseInt(headers['x-rate-limit-requests-left'], 10);
+      const resetMs = parseInt(headers['x-rate-limit-time-reset-ms'], 10);
+      if (Number.isNaN(left) || Number.isNaN(resetMs)) return;
+      
+      // Requests already in flight will spend budget too
+      if (left <= reserve + inFlight) {
+        this.pause(resetMs);
+      }
+    },
+    
+    /**
+     * Shopify: x-shopify-shop-api-call-limit is "used/bucket"; the bucket leaks 2 calls/second
+     */
+    updateFromShopify(headers = {}, leakPerSecond = 2) {
+      const [used, bucket] = String(headers['x-shopify-shop-api-call-limit'] || '')
+        .split('/')
+        .map(n => parseInt(n, 10));
+      if (Number.isNaN(used) || Number.isNaN(bucket)) return;
+      
+      const over = used + inFlight - (bucket - reserve);
+      if (over >= 0) {
+        this.pause(Math.ceil(((over + 1) / leakPerSecond) * 1000));
+      }
+    },
+    
+    /**
+     * Shopify GraphQL: extensions.cost. The bucket holds cost points and refills restoreRate
+     * points/second; pause until it can pay for another query like this one per request in flight.
+     */
+    updateFromShopifyCost(cost) {
+      const status = cost?.throttleStatus;
+      if (!status?.restoreRate) return;
+      
+      const needed = (cost.requestedQueryCost ?? 0) * (inFlight + 1);
+      if (status.currentlyAvailable < needed) {
+        this.pause(Math.ceil(((needed - status.currentlyAvailable) / status.restoreRate) * 1000));
+      }
+    }
+  };
+}
@@ -1,15 +1,18 @@
 // Shopify API client
 import axios from 'axios';
+import { createRateLimiter } from './rateLimiter.js';
 
 /**
- * Create axios client for Shopify Admin API
+ * Create axios client for Shopify Admin API (baseUrl overrides https://<shop>.myshopify.com,
+ * e.g. for a local mock)
  */
-export function createShopifyClient(shopDomain, accessToken, apiVersion = '2024-01') {
+export function createShopifyClient(shopDomain, accessToken, apiVersion = '2024-10', baseUrl = undefined) {
   // Normalize shop domain
   const domain = shopDomain.replace(/^https?:\/\//, '').replace(/\.myshopify\.com.*$/, '');
-  const baseURL = `https://${domain}.myshopify.com/admin/api/${apiVersion}`;
+  const root = baseUrl ? baseUrl.replace(/\/+$/, '') : `https://${domain}.myshopify.com`;
+  const baseURL = `${root}/admin/api/${apiVersion}`;
   
-  return axios.create({
+  const client = axios.create({
     baseURL,
     headers: {
       'X-Shopify-Access-Token': accessToken,
@@ -17,38 +20,51 @@ export function createShopifyClient(shopDomain, accessToken, apiVersion = '2024-
       'Accept': 'application/json',
     },
   });
+  
+  // One leaky-bucket budget per shop, shared by every request made through this client;
+  // GraphQL calls draw from a separate cost bucket
+  client.rateLimiter = createRateLimiter();
+  client.costLimiter = createRateLimiter();
+  return client;
 }
 
 /**
  * Request with retry logic for rate limiting (Shopify uses 429 and also bucket limits)
  */
 export async function shopifyRequestWithRetry(client, config, attempt = 1) {
+  const limiter = client.rateLimiter;
+  
   try {
-    const response = await client.request(config);
-    
-    // Check for rate limit headers
-    const remaining = parseInt(response.headers['x-shopify-shop-api-call-limit']?.split('/')[0] || '40', 10);
-    
-    // If we're close to limit, add a small delay
-    if (remaining < 5) {
-      await new Promise(r => setTimeout(r, 500));
+    await limiter?.acquire();
+    let response;
+    try {
+      response = await client.request(config);
+    } finally {
+      limiter?.release();
     }
     
+    // Track the call bucket so we slow down before Shopify starts refusing
+    limiter?.updateFromShopify(response.headers);
+    
     return response;
   } catch (err) {
     const status = err?.response?.status;
+    limiter?.updateFromShopify(err?.response?.headers);
     
     if (status === 429 && attempt <= 6) {
-      const retryAfter = parseInt(err.response?.headers['retry-after'] || '2', 10);
+      const retryAfter = parseFloat(err.response?.headers['retry-after'] || '2');
       const wait = Math.min(retryAfter * 1000, 15000);
       console.log(`⚠️  Shopify rate limited. Backing off ${wait}ms (attempt ${attempt})`);
+      limiter?.pause(wait);
       await new Promise(r => setTimeout(r, wait));
       return shopifyRequestWithRetry(client, config, attempt + 1);
     }
     
     const fullUrl = new URL(config.url, client.defaults.baseURL).toString();
     const detail = err?.response?.data || err.message;
-    throw new Error(`Shopify request failed: ${config.method?.toUpperCase()} ${fullUrl} :: ${JSON.stringify(detail)}`);
+    const error = new Error(`Shopify request failed: ${config.method?.toUpperCase()} ${fullUrl} :: ${JSON.stringify(detail)}`);
+    error.status = status;
+    throw error;
   }
 }
 
@@ -0,0 +1,95 @@
+// Shopify GraphQL Admin API - queries and mutations with cost-based throttling
+
+/**
+ * Global ID of a Shopify resource (gid://shopify/Product/123)
+ */
+export function toGid(type, id) {
+  return `gid://shopify/${type}/${id}`;
+}
+
+/**
+ * Numeric (REST) ID of a global ID, so ID maps and journals stay REST-compatible
+ */
+export function fromGid(gid) {
+  const id = String(gid ?? '').split('?')[0].split('/').pop();
+  return id ? Number(id) : null;
+}
+
+/**
+ * Wait until the cost bucket can pay for the throttled query again
+ */
+function throttleWait(cost) {
+  const status = cost?.throttleStatus;
+  if (!status?.restoreRate) return 2000;
+  const missing = (cost.requestedQueryCost ?? status.maximumAvailable) - status.currentlyAvailable;
+  return Math.min(Math.max(Math.ceil((missing / status.restoreRate) * 1000), 500), 15000);
+}
+
+/**
+ * Run a GraphQL query against the client's shop and return `data`. Every response's
+ * extensions.cost.throttleStatus feeds the client's cost limiter; THROTTLED responses
+ * and 429s are retried after the bucket has refilled enough.
+ */
+export async function shopifyGraphql(client, query, variables = {}, attempt = 1) {
+  const limiter = client.costLimiter;
+  let res;
+  
+  try {
+    await limiter?.acquire();
+    try {
+      res = await client.request({ method: 'post', url: '/graphql.json', data: { query, variables } });
+    } finally {
+      limiter?.release();
+    }
+  } catch (err) {
+    const status = err?.response?.status;
+    
+    if (status === 429 && attempt <= 6) {
+      const wait = Math.min(parseFloat(err.response?.headers['retry-after'] || '2') * 1000, 15000);
+      console.log(`⚠️  Shopify GraphQL rate limited. Backing off ${wait}ms (attempt ${attempt})`);
+      limiter?.pause(wait);
+      await new Promise(r => setTimeout(r, wait));
+      return shopifyGraphql(client, query, variables, attempt + 1);
+    }
+    
+    const detail = err?.response?.data || err.message;
+    const error = new Error(`Shopify GraphQL request failed: ${status ?? ''} :: ${JSON.stringify(detail)}`);
+    error.status = status;
+    throw error;
+  }
+  
+  const { data, errors, extensions } = res.data || {};
+  limiter?.updateFromShopifyCost(extensions?.cost);
+  
+  if (errors?.length) {
+    if (errors.some(e => e.extensions?.code === 'THROTTLED') && attempt <= 6) {
+      const wait = throttleWait(extensions?.cost);
+      console.log(`⚠️  Shopify GraphQL throttled. Backing off ${wait}ms (attempt ${attempt})`);
+      limiter?.pause(wait);
+      await new Promise(r => setTimeout(r, wait));
+      return shopifyGraphql(client, query, variables, attempt + 1);
+    }
+    
+    const error = new Error(`Shopify GraphQL request failed :: ${errors.map(e => e.message).join('; ')}`);
+    error.code = errors[0].extensions?.code;
+    throw error;
+  }
+  
+  return data;
+}
+
+/**
+ * Run a mutation and return its payload; userErrors fail it like an HTTP error would
+ */
+export async function shopifyMutation(client, mutation, variables = {}) {
+  const data = await shopifyGraphql(client, mutation, variables);
+  const [name] = Object.keys(data || {});
+  const payload = data?.[name];
+  
+  if (payload?.userErrors?.length) {
+    const error = new Error(`Shopify ${name} failed :: ${payload.userErrors.map(e => `${(e.field || []).join('.')}: ${e.message}`).join('; ')}`);
+    error.userErrors = payload.userErrors;
+    throw error;
+  }
+  return payload;
+}
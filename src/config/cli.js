@@ -28,8 +28,61 @@ export function parseCli(argv = process.argv.slice(2)) {
       args.skipCustomFields = true;
     } else if (tok.startsWith('--location-id=')) {
       args.locationId = parseInt(tok.split('=')[1], 10) || 1;
+    } else if (tok.startsWith('--concurrency=')) {
+      args.concurrency = parseInt(tok.split('=')[1], 10) || 1;
+    } else if (tok === '--resume') {
+      args.resume = true;
+    } else if (tok.startsWith('--report=')) {
+      args.reportFile = tok.split('=')[1];
+    } else if (tok === '--report-csv') {
+      args.reportCsv = true;
+    } else if (tok === '--bulk') {
+      args.bulk = true;
+    } else if (tok.startsWith('--shopify-api=')) {
+      args.shopifyApi = tok.split('=')[1];
+    } else if (tok.startsWith('--collections=')) {
+      args.collections = tok.split('=')[1];
+    } else if (tok.startsWith('--shopify-brands=')) {
+      args.shopifyBrands = tok.split('=')[1];
+    } else if (tok.startsWith('--shopify-menu=')) {
+      args.shopifyMenu = tok.split('=')[1];
+    } else if (tok.startsWith('--variant-overflow=')) {
+      args.variantOverflow = tok.split('=')[1];
+    } else if (tok.startsWith('--category-strategy=')) {
+      args.categoryStrategy = tok.split('=')[1];
+    } else if (tok.startsWith('--match-by=')) {
+      args.matchBy = tok.split('=')[1];
+    } else if (tok.startsWith('--fields=')) {
+      args.fields = tok.split('=')[1];
+    } else if (tok.startsWith('--exclude-fields=')) {
+      args.excludeFields = tok.split('=')[1];
+    } else if (tok.startsWith('--hooks=')) {
+      args.hooks = tok.split('=')[1];
+    } else if (tok.startsWith('--config=')) {
+      args.configFile = tok.split('=')[1];
+    } else if (tok.startsWith('--plan=')) {
+      args.planFile = tok.split('=')[1];
+    } else if (tok.startsWith('--since=')) {
+      args.since = tok.split('=')[1];
+    } else if (tok === '--incremental') {
+      args.incremental = true;
+    } else if (tok === '--prune') {
+      args.prune = true;
+    } else if (tok.startsWith('--prune=')) {
+      args.prune = tok.split('=')[1];
+    } else if (tok === '--allow-drift') {
+      args.allowDrift = true;
+    } else if (tok.startsWith('--run=')) {
+      args.run = tok.split('=')[1];
+    } else if (tok.startsWith('--port=')) {
+      args.port = parseInt(tok.split('=')[1], 10) || undefined;
+    } else if (tok.startsWith('--state-dir=')) {
+      args.stateDir = tok.split('=')[1];
     } else if (tok === '--debug-inventory') {
       args.debugInventory = true;
+    } else if (!tok.startsWith('--') && !args.command) {
+      // Positional command, e.g. `verify`, `rollback`, `apply` or `serve`
+      args.command = tok;
     }
   }
   
@@ -1,53 +1,152 @@
 // Environment configuration
 import 'dotenv/config';
 
-export const config = {
-  source: {
-    storeHash: process.env.SRC_STORE_HASH,
-    accessToken: process.env.SRC_ACCESS_TOKEN,
-    baseUrl: process.env.SRC_BASE_URL,
-  },
-  destination: {
-    storeHash: process.env.DST_STORE_HASH,
-    accessToken: process.env.DST_ACCESS_TOKEN,
-    baseUrl: process.env.DST_BASE_URL,
-  },
+/**
+ * Built-in defaults (lowest precedence)
+ */
+const DEFAULTS = {
+  target: 'bigcommerce',
+  source: {},
+  destination: {},
   shopify: {
-    shopDomain: process.env.SHOPIFY_SHOP_DOMAIN,
-    accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
-    apiVersion: process.env.SHOPIFY_API_VERSION || '2024-01',
+    apiVersion: '2024-10',
+    api: 'graphql',
+    collections: 'custom',
+    brands: 'vendor',
   },
   settings: {
-    pageSize: parseInt(process.env.PAGE_SIZE || '250', 10),
-    dryRun: (process.env.DRY_RUN || 'false').toLowerCase() === 'true',
+    pageSize: 250,
+    dryRun: false,
+    stateDir: '.migration',
+    concurrency: 1,
   },
   strategies: {
-    nameDedup: process.env.NAME_DEDUP_STRATEGY,
-    nameDedupSuffix: process.env.NAME_DEDUP_SUFFIX,
-    variantSku: process.env.VARIANT_SKU_STRATEGY,
-    variantSkuSuffix: process.env.VARIANT_SKU_SUFFIX,
-    customFieldDedup: process.env.CF_DEDUP_STRATEGY,
+    variantOverflow: 'fail',
+    category: 'create-only',
+  },
+  fields: {},
+  fieldMap: {},
+  filters: {},
+  entities: {
+    brands: true,
+    categories: true,
+    products: true,
+    images: true,
+    customFields: true,
   },
   inventory: {
-    locationId: parseInt(process.env.INV_LOCATION_ID || '1', 10),
+    locationId: 1,
+  },
+  webhooks: {
+    port: 3000,
+    debounceMs: 2000,
   },
 };
 
+const int = (v) => (v === undefined || v === '' ? undefined : parseInt(v, 10));
+const bool = (v) => (v === undefined || v === '' ? undefined : v.toLowerCase() === 'true');
+
+/**
+ * Values set in the environment (.env); unset variables stay undefined
+ */
+function envLayer(env = process.env) {
+  return {
+    source: {
+      storeHash: env.SRC_STORE_HASH,
+      accessToken: env.SRC_ACCESS_TOKEN,
+      baseUrl: env.SRC_BASE_URL,
+    },
+    destination: {
+      storeHash: env.DST_STORE_HASH,
+      accessToken: env.DST_ACCESS_TOKEN,
+      baseUrl: env.DST_BASE_URL,
+    },
+    shopify: {
+      shopDomain: env.SHOPIFY_SHOP_DOMAIN,
+      accessToken: env.SHOPIFY_ACCESS_TOKEN,
+      apiVersion: env.SHOPIFY_API_VERSION,
+      api: env.SHOPIFY_API,
+      collections: env.SHOPIFY_COLLECTIONS,
+      menu: env.SHOPIFY_MENU,
+      brands: env.SHOPIFY_BRANDS,
+      baseUrl: env.SHOPIFY_BASE_URL,
+    },
+    settings: {
+      pageSize: int(env.PAGE_SIZE),
+      dryRun: bool(env.DRY_RUN),
+      stateDir: env.STATE_DIR,
+      concurrency: int(env.CONCURRENCY),
+    },
+    strategies: {
+      nameDedup: env.NAME_DEDUP_STRATEGY,
+      nameDedupSuffix: env.NAME_DEDUP_SUFFIX,
+      variantSku: env.VARIANT_SKU_STRATEGY,
+      variantSkuSuffix: env.VARIANT_SKU_SUFFIX,
+      customFieldDedup: env.CF_DEDUP_STRATEGY,
+      customUrl: env.CUSTOM_URL_STRATEGY,
+      prune: env.PRUNE_POLICY,
+      matchBy: env.MATCH_BY,
+      variantOverflow: env.VARIANT_OVERFLOW_STRATEGY,
+      category: env.CATEGORY_STRATEGY,
+    },
+    fields: {
+      include: env.PRODUCT_FIELDS || undefined,
+      exclude: env.PRODUCT_FIELDS_EXCLUDE || undefined,
+    },
+    inventory: {
+      locationId: int(env.INV_LOCATION_ID),
+    },
+    webhooks: {
+      port: int(env.WEBHOOK_PORT),
+      secret: env.WEBHOOK_SECRET || undefined,
+      debounceMs: int(env.WEBHOOK_DEBOUNCE_MS),
+    },
+    hooks: env.HOOKS_MODULE || undefined,
+  };
+}
+
+/**
+ * Deep-merge plain objects left to right; undefined never overrides, arrays are replaced
+ */
+function mergeLayers(...layers) {
+  const out = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value === undefined) continue;
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      out[key] = isObject ? mergeLayers(out[key], value) : value;
+    }
+  }
+  return out;
+}
+
+export const config = mergeLayers(DEFAULTS, envLayer());
+
+/**
+ * Layer a (validated) config file between the defaults and the environment:
+ * defaults < config file < env. CLI flags are applied on top by the caller.
+ */
+export function applyConfigFile(fileConfig = {}) {
+  const merged = mergeLayers(DEFAULTS, fileConfig, envLayer());
+  for (const key of Object.keys(config)) delete config[key];
+  Object.assign(config, merged);
+}
+
 // Validate required environment variables
 export function validateConfig(toShopify = false) {
   const { source, destination, shopify } = config;
   
   if (!source.storeHash || !source.accessToken) {
-    throw new Error('❌ Missing source env vars. Set SRC_STORE_HASH, SRC_ACCESS_TOKEN.');
+    throw new Error('❌ Missing source env vars. Set SRC_STORE_HASH, SRC_ACCESS_TOKEN (or source.* in the config file).');
   }
   
   if (toShopify) {
     if (!shopify.shopDomain || !shopify.accessToken) {
-      throw new Error('❌ Missing Shopify env vars. Set SHOPIFY_SHOP_DOMAIN, SHOPIFY_ACCESS_TOKEN.');
+      throw new Error('❌ Missing Shopify env vars. Set SHOPIFY_SHOP_DOMAIN, SHOPIFY_ACCESS_TOKEN (or shopify.* in the config file).');
     }
   } else {
     if (!destination.storeHash || !destination.accessToken) {
-      throw new Error('❌ Missing destination env vars. Set DST_STORE_HASH, DST_ACCESS_TOKEN.');
+      throw new Error('❌ Missing destination env vars. Set DST_STORE_HASH, DST_ACCESS_TOKEN (or destination.* in the config file).');
     }
   }
 }
@@ -0,0 +1,199 @@
+// Migration config file - load and validate migration.config.json / .js
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const str = { type: 'string' };
+const bool = { type: 'boolean' };
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const oneOf = (...values) => ({ type: 'string', enum: values });
+const fieldList = { type: ['string', 'array'], items: str };
+const section = (properties) => ({ type: 'object', properties });
+const mapOf = (values) => ({ type: 'object', values });
+
+const storeSection = section({ storeHash: str, accessToken: str, baseUrl: str });
+
+/**
+ * Shape of a migration config file. Keys mirror `config` in env.js, plus
+ * filters (same as the CLI selection flags) and per-entity toggles.
+ */
+export const CONFIG_SCHEMA = section({
+  $schema: str,
+  target: oneOf('bigcommerce', 'shopify'),
+  source: storeSection,
+  destination: storeSection,
+  shopify: section({
+    shopDomain: str,
+    accessToken: str,
+    apiVersion: str,
+    api: oneOf('graphql', 'rest'),
+    collections: oneOf('custom', 'smart'),
+    menu: str,
+    brands: oneOf('vendor', 'metaobject'),
+    baseUrl: str
+  }),
+  settings: section({
+    pageSize: int({ minimum: 1, maximum: 250 }),
+    dryRun: bool,
+    stateDir: str,
+    concurrency: int({ minimum: 1 })
+  }),
+  strategies: section({
+    nameDedup: oneOf('update', 'suffix', 'skip'),
+    nameDedupSuffix: str,
+    variantSku: oneOf('suffix', 'blank', 'skip'),
+    variantSkuSuffix: str,
+    customFieldDedup: oneOf('pair', 'overwrite_by_name'),
+    customUrl: oneOf('suffix', 'drop', 'fail'),
+    prune: oneOf('hide', 'archive', 'delete'),
+    matchBy: str,
+    variantOverflow: oneOf('split', 'properties', 'fail'),
+    category: oneOf('create-only', 'update', 'overwrite')
+  }),
+  fields: section({ include: fieldList, exclude: fieldList }),
+  fieldMap: mapOf(str),
+  filters: section({
+    onlyIds: { type: 'array', items: int({ minimum: 1 }) },
+    onlyName: str,
+    nameRegex: { type: 'string', regex: true },
+    limit: int({ minimum: 0 }),
+    startAfterId: int({ minimum: 0 }),
+    since: str,
+    incremental: bool
+  }),
+  entities: section({ brands: bool, categories: bool, products: bool, images: bool, customFields: bool }),
+  inventory: section({ locationId: int({ minimum: 1 }) }),
+  webhooks: section({ port: int({ minimum: 1, maximum: 65535 }), secret: str, debounceMs: int({ minimum: 0 }) }),
+  hooks: str
+});
+
+/**
+ * JSON-ish type name of a value
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node; pushes "path: problem" strings into errors
+ */
+function validateNode(schema, value, at, errors) {
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+  const typeOk = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+  
+  if (!typeOk) {
+    errors.push(`${at}: expected ${types.join(' or ')}, got ${actual}`);
+    return;
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')} (got "${value}")`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be >= ${schema.minimum} (got ${value})`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at}: must be <= ${schema.maximum} (got ${value})`);
+  }
+  if (schema.regex) {
+    try {
+      new RegExp(value);
+    } catch (e) {
+      errors.push(`${at}: invalid regular expression (${e.message})`);
+    }
+  }
+  
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => validateNode(schema.items, item, `${at}[${i}]`, errors));
+  }
+  
+  if (actual === 'object' && schema.properties) {
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = at ? `${at}.${key}` : key;
+      if (!schema.properties[key]) {
+        errors.push(`${childAt}: unknown key (allowed: ${Object.keys(schema.properties).join(', ')})`);
+      } else if (child !== undefined) {
+        validateNode(schema.properties[key], child, childAt, errors);
+      }
+    }
+  }
+  
+  if (actual === 'object' && schema.values) {
+    for (const [key, child] of Object.entries(value)) {
+      validateNode(schema.values, child, at ? `${at}.${key}` : key, errors);
+    }
+  }
+}
+
+/**
+ * Validate a parsed config object; returns a list of errors (empty when valid)
+ */
+export function validateConfigFile(data) {
+  const errors = [];
+  validateNode(CONFIG_SCHEMA, data, '', errors);
+  return errors.map(e => e.replace(/^: /, '(root): '));
+}
+
+/**
+ * Load a migration config file (.json, or .js/.mjs exporting an object or a function returning one)
+ */
+export async function loadConfigFile(file) {
+  const fullPath = path.resolve(file);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`❌ Config file not found: ${fullPath}`);
+  }
+  
+  let data;
+  if (/\.json$/i.test(fullPath)) {
+    try {
+      data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (e) {
+      throw new Error(`❌ Invalid JSON in ${file}: ${e.message}`);
+    }
+  } else if (/\.m?js$/i.test(fullPath)) {
+    const mod = await import(pathToFileURL(fullPath).href);
+    data = mod.default ?? mod;
+    if (typeof data === 'function') data = await data();
+  } else {
+    throw new Error(`❌ Unsupported config file type: ${file} (use .json, .js or .mjs)`);
+  }
+  
+  const errors = validateConfigFile(data);
+  if (errors.length) {
+    throw new Error(`❌ Invalid config file ${file}:\n${errors.map(e => `   - ${e}`).join('\n')}`);
+  }
+  
+  return data;
+}
+
+/**
+ * Fill CLI options the user did not pass from the config file's filters, target and toggles.
+ * Flags given on the command line always win.
+ */
+export function withConfigDefaults(cli, cfg) {
+  const filters = cfg.filters || {};
+  const entities = cfg.entities || {};
+  
+  const defaults = {
+    onlyIds: filters.onlyIds,
+    onlyName: filters.onlyName,
+    nameRegex: filters.nameRegex ? new RegExp(filters.nameRegex, 'i') : undefined,
+    limit: filters.limit,
+    startAfterId: filters.startAfterId,
+    since: filters.since,
+    incremental: filters.incremental,
+    toShopify: cfg.target === 'shopify' ? true : undefined,
+    skipImages: entities.images === false ? true : undefined,
+    skipCustomFields: entities.customFields === false ? true : undefined
+  };
+  
+  const out = { ...cli };
+  for (const [key, value] of Object.entries(defaults)) {
+    if (out[key] === undefined && value !== undefined) out[key] = value;
+  }
+  return out;
+}
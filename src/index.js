@@ -4,17 +4,41 @@
 // with idempotency, SKU conflict handling, resilient images, and Inventory API support.
 // Supports migration to both BigCommerce and Shopify stores.
 
-import { config, validateConfig } from './config/env.js';
+import path from 'path';
+import { config, validateConfig, applyConfigFile } from './config/env.js';
 import { parseCli } from './config/cli.js';
+import { loadConfigFile, withConfigDefaults } from './config/file.js';
 import { createApiClient } from './api/client.js';
 import { createShopifyClient } from './api/shopifyClient.js';
 import { migrateBrands } from './migrators/brands.js';
 import { migrateCategories } from './migrators/categories.js';
 import { migrateProducts } from './migrators/products.js';
-import { migrateShopifyBrands } from './migrators/shopifyBrands.js';
-import { migrateShopifyCategories } from './migrators/shopifyCategories.js';
+import { migrateShopifyBrands, parseBrandMode } from './migrators/shopifyBrands.js';
+import { migrateShopifyCategories, parseCollectionMode, fetchCollectionTags } from './migrators/shopifyCategories.js';
 import { migrateShopifyProducts } from './migrators/shopifyProducts.js';
+import { migrateShopifyProductsBulk } from './migrators/shopifyBulk.js';
+import { verifyBigCommerce } from './migrators/verify.js';
+import { verifyShopify } from './migrators/shopifyVerify.js';
+import { rollbackRun } from './migrators/rollback.js';
+import { applyPlan } from './migrators/apply.js';
+import { serveWebhooks } from './migrators/serve.js';
+import { planBrands, planCategories, planProducts } from './migrators/plan.js';
+import { findDeletedSourceProducts } from './migrators/productFetcher.js';
+import { pruneOrphans, parsePrunePolicy } from './migrators/prune.js';
+import { parseMatchBy } from './services/productMatch.js';
+import { parseShopifyApi } from './services/shopifyWriter.js';
+import { parseVariantOverflow } from './services/variantOverflow.js';
+import { parseCategoryStrategy } from './services/updateStrategy.js';
 import { getDefaultLocationId } from './services/inventory.js';
+import { createIdMap, storePairKey } from './services/idMap.js';
+import { createCheckpoint } from './services/checkpoint.js';
+import { createReport } from './services/report.js';
+import { loadHooks } from './services/hooks.js';
+import { createRunJournal, runJournalFile, listRuns, readRunJournal } from './services/runJournal.js';
+import { createPlan, readPlan, listPlans } from './services/plan.js';
+import { createSyncState, parseSince } from './services/syncState.js';
+import { createWebhookQueue } from './services/webhookQueue.js';
+import { fieldFilterFrom } from './models/product.js';
 
 /**
  * Main migration orchestrator
@@ -22,9 +46,18 @@ import { getDefaultLocationId } from './services/inventory.js';
 async function main() {
   console.log('🚚 BigCommerce Catalog Migrator\n');
   
+  let report = null;
+  let reportFile = null;
+  let reportCsv = false;
+  
   try {
-    // Parse CLI arguments
-    const cli = parseCli();
+    // Parse CLI arguments; a --config file sits under env and CLI (defaults < file < env < CLI)
+    let cli = parseCli();
+    if (cli.configFile) {
+      applyConfigFile(await loadConfigFile(cli.configFile));
+      cli = withConfigDefaults(cli, config);
+      console.log('Config file:', cli.configFile);
+    }
     
     // Determine if migrating to Shopify
     const toShopify = cli.toShopify || false;
@@ -45,10 +78,137 @@ async function main() {
       config.source.baseUrl
     );
     
+    const command = cli.command || 'migrate';
+    if (!['migrate', 'verify', 'rollback', 'apply', 'serve'].includes(command)) {
+      throw new Error(`Unknown command "${command}". Use migrate (default), verify, rollback, apply or serve.`);
+    }
+    
     console.log('SRC base:', srcClient.defaults.baseURL);
-    console.log('Mode:', dryRun ? 'DRY RUN (read-only)' : 'WRITE');
+    console.log('Mode:', command === 'verify' ? 'VERIFY (read-only)' : dryRun ? 'DRY RUN (read-only)' : 'WRITE');
+    
+    const stateDir = cli.stateDir || config.settings.stateDir;
+    const sourceKey = config.source.storeHash;
+    const targetKey = toShopify ? config.shopify.shopDomain : config.destination.storeHash;
+    const startedAt = new Date();
+    const runId = startedAt.toISOString().replace(/[:.]/g, '-');
+    
+    // Delta sync: --since=<date>, or --incremental from the last successful sync of this pair
+    const syncState = createSyncState({ dir: stateDir, sourceKey, targetKey });
+    cli = { ...cli, since: cli.since ? parseSince(cli.since) : cli.incremental ? syncState.lastSync() : null };
+    if (cli.since) {
+      console.log('Changed since:', cli.since.toISOString());
+    } else if (cli.incremental) {
+      console.log('Incremental: no previous sync recorded, processing everything');
+    }
+    
+    // --prune (policy from PRUNE_POLICY / strategies.prune) or --prune=<policy>
+    if (cli.prune) {
+      cli = { ...cli, prune: parsePrunePolicy(cli.prune === true ? config.strategies.prune : cli.prune) };
+      console.log('Prune:', command === 'migrate' ? cli.prune : `${cli.prune} (ignored by ${command})`);
+    }
     
+    // How products missing from the ID map are matched (checked here so a typo fails fast)
+    cli = { ...cli, matchBy: cli.matchBy || config.strategies.matchBy };
+    parseMatchBy(cli.matchBy, { target: toShopify ? 'shopify' : 'bigcommerce' });
+    
+    // What happens to brands and categories that already exist on the destination
+    cli = { ...cli, categoryStrategy: parseCategoryStrategy(cli.categoryStrategy || config.strategies.category) };
+    
+    // Shopify writes go through GraphQL unless --shopify-api=rest / SHOPIFY_API=rest; products
+    // with more options or variants than Shopify takes follow VARIANT_OVERFLOW_STRATEGY;
+    // categories become custom or smart collections (SHOPIFY_COLLECTIONS), plus a menu with SHOPIFY_MENU;
+    // brands stay vendors or also become metaobjects (SHOPIFY_BRANDS)
     if (toShopify) {
+      cli = {
+        ...cli,
+        shopifyApi: parseShopifyApi(cli.shopifyApi || config.shopify.api),
+        variantOverflow: parseVariantOverflow(cli.variantOverflow || config.strategies.variantOverflow),
+        collections: parseCollectionMode(cli.collections || config.shopify.collections),
+        shopifyMenu: cli.shopifyMenu || config.shopify.menu || null,
+        shopifyBrands: parseBrandMode(cli.shopifyBrands || config.shopify.brands)
+      };
+    } else if (cli.bulk) {
+      console.log('Bulk: ignored (only for --to-shopify)');
+    }
+    
+    // Persistent source -> destination ID mappings (read-only in dry run)
+    const idMap = createIdMap({ dir: stateDir, sourceKey, targetKey, readOnly: dryRun || command === 'verify' });
+    console.log('ID map:', idMap.file);
+    
+    if (command === 'verify') {
+      await runVerify({ cli, toShopify, srcClient, idMap, stateDir, sourceKey, targetKey, runId });
+      return;
+    }
+    
+    if (command === 'rollback') {
+      await runRollback({ cli, toShopify, dryRun, idMap, stateDir, sourceKey, targetKey });
+      return;
+    }
+    
+    // Per-product step journal; --resume picks up where the last run stopped
+    const checkpoint = dryRun || command !== 'migrate' ? null : createCheckpoint({
+      dir: stateDir,
+      sourceKey,
+      targetKey,
+      resume: cli.resume || false,
+      runId,
+      startedAt
+    });
+    if (checkpoint) {
+      console.log('Checkpoint:', checkpoint.file, checkpoint.resume ? '(resuming)' : '(fresh)');
+      for (const { productId, failedStep, error } of checkpoint.resume ? checkpoint.pending() : []) {
+        console.log(`  ↷ #${productId} unfinished${failedStep ? ` (failed at ${failedStep}: ${error})` : ''}`);
+      }
+    }
+    
+    // User transform hooks (same module for BigCommerce and Shopify targets)
+    const hooksFile = cli.hooks || config.hooks;
+    const hooks = await loadHooks(hooksFile, { target: toShopify ? 'shopify' : 'bigcommerce' });
+    if (hooksFile) {
+      console.log('Hooks:', hooksFile, `(${hooks.names.join(', ') || 'none defined'})`);
+    }
+    
+    // Every destination write with its prior state, for `rollback --run=<runId>`
+    const journal = dryRun ? null : createRunJournal({
+      dir: stateDir,
+      sourceKey,
+      targetKey,
+      runId,
+      target: toShopify ? 'shopify' : 'bigcommerce'
+    });
+    if (journal) {
+      console.log('Run journal:', journal.file, `(undo with: rollback --run=${runId})`);
+    }
+    
+    // A BigCommerce dry run reads the destination and writes a plan instead of a report
+    if (dryRun && !toShopify && command === 'migrate') {
+      await runPlan({ cli, srcClient, idMap, hooks, stateDir, sourceKey, targetKey, runId });
+      return;
+    }
+    
+    // Per-entity outcomes, written as JSON (and optionally CSV) when the run ends
+    report = createReport({ runId, source: sourceKey, target: targetKey, dryRun });
+    reportFile = cli.reportFile || path.join(stateDir, storePairKey(sourceKey, targetKey), 'reports', `${runId}.json`);
+    reportCsv = cli.reportCsv || false;
+    
+    if (command === 'apply') {
+      await runApply({ cli, toShopify, dryRun, idMap, report, journal, stateDir, sourceKey, targetKey });
+    } else if (command === 'serve') {
+      await runServe({
+        cli,
+        toShopify,
+        dryRun,
+        srcClient,
+        idMap,
+        report,
+        hooks,
+        journal,
+        stateDir,
+        sourceKey,
+        targetKey,
+        onBatch: () => writeReport(report, reportFile, reportCsv)
+      });
+    } else if (toShopify) {
       // Migration to Shopify
       console.log('Target: Shopify Store');
       console.log('Shop:', config.shopify.shopDomain);
@@ -57,26 +217,75 @@ async function main() {
       const shopifyClient = createShopifyClient(
         config.shopify.shopDomain,
         config.shopify.accessToken,
-        config.shopify.apiVersion
+        config.shopify.apiVersion,
+        config.shopify.baseUrl
       );
       
-      // Migrate brands (to Shopify vendors)
-      const brandMap = await migrateShopifyBrands(srcClient, shopifyClient, dryRun);
+      // Migrate brands (to Shopify vendors) - vendors are read-only, so this runs even when the
+      // brands toggle is off; brand metaobjects are only written (and linked from products) when it is on
+      const { brandMap, brandObjects } = await migrateShopifyBrands({
+        srcClient,
+        shopifyClient,
+        dryRun,
+        report,
+        api: cli.shopifyApi,
+        mode: config.entities.brands ? cli.shopifyBrands : 'vendor',
+        strategy: cli.categoryStrategy,
+        journal
+      });
       
       // Migrate categories (to Shopify collections)
-      const collectionMap = await migrateShopifyCategories(srcClient, shopifyClient, dryRun);
+      const collectionMap = config.entities.categories
+        ? await migrateShopifyCategories({
+          srcClient,
+          shopifyClient,
+          dryRun,
+          idMap,
+          report,
+          hooks,
+          journal,
+          since: cli.since,
+          api: cli.shopifyApi,
+          mode: cli.collections,
+          menuHandle: cli.shopifyMenu,
+          strategy: cli.categoryStrategy
+        })
+        : mappedFromPreviousRuns(idMap, 'categories');
+      
+      // Smart collections pick products up by tag, so products are tagged by category path
+      const collectionTags = cli.collections === 'smart' && config.entities.products
+        ? await fetchCollectionTags(srcClient)
+        : null;
       
-      // Migrate products
-      await migrateShopifyProducts({
+      // A dry run reads the destination and plans the products (not with --bulk, which writes
+      // its JSONL for review instead)
+      const plan = dryRun && !cli.bulk && config.entities.products
+        ? createPlan({ runId, source: sourceKey, target: targetKey, settings: { strategies: config.strategies } })
+        : null;
+      
+      // Migrate products (--bulk: as bulk operations, input files kept under <pair>/bulk/)
+      const migrate = cli.bulk ? migrateShopifyProductsBulk : migrateShopifyProducts;
+      if (config.entities.products) await migrate({
         srcClient,
         shopifyClient,
         brandMap,
+        brandObjects,
         collectionMap,
+        collectionTags,
         cli,
         config,
-        dryRun
+        dryRun,
+        idMap,
+        checkpoint,
+        report,
+        hooks,
+        journal,
+        plan,
+        bulkDir: path.join(stateDir, storePairKey(sourceKey, targetKey), 'bulk'),
+        runId
       });
-      
+      if (plan) writePlan(plan, { cli, stateDir, sourceKey, targetKey, runId });
+    
     } else {
       // Migration to BigCommerce (original functionality)
       console.log('Target: BigCommerce Store');
@@ -92,10 +301,35 @@ async function main() {
       console.log('');
       
       // Migrate brands
-      const brandMap = await migrateBrands(srcClient, dstClient, dryRun);
+      const brandMap = config.entities.brands
+        ? await migrateBrands({
+          srcClient,
+          dstClient,
+          dryRun,
+          idMap,
+          report,
+          journal,
+          since: cli.since,
+          strategy: cli.categoryStrategy,
+          urlStrategy: config.strategies.customUrl
+        })
+        : mappedFromPreviousRuns(idMap, 'brands');
       
       // Migrate categories
-      const catMap = await migrateCategories(srcClient, dstClient, dryRun);
+      const catMap = config.entities.categories
+        ? await migrateCategories({
+          srcClient,
+          dstClient,
+          dryRun,
+          idMap,
+          report,
+          hooks,
+          journal,
+          since: cli.since,
+          urlStrategy: config.strategies.customUrl,
+          strategy: cli.categoryStrategy
+        })
+        : mappedFromPreviousRuns(idMap, 'categories');
       
       // Get default location ID for inventory
       const defaultLocationId = cli.locationId || await getDefaultLocationId(
@@ -104,7 +338,7 @@ async function main() {
       );
       
       // Migrate products (and their options, variants, custom fields, images, inventory)
-      await migrateProducts({
+      if (config.entities.products) await migrateProducts({
         srcClient,
         dstClient,
         brandMap,
@@ -112,16 +346,357 @@ async function main() {
         defaultLocationId,
         cli,
         config,
-        dryRun
+        dryRun,
+        idMap,
+        checkpoint,
+        report,
+        hooks,
+        journal
       });
     }
     
+    if (command === 'migrate' && cli.prune) {
+      await runPrune({ cli, toShopify, dryRun, srcClient, idMap, report, journal });
+    } else if (command === 'migrate' && cli.since && config.entities.products) {
+      await reportDeletedProducts({ srcClient, idMap, report, pageSize: config.settings.pageSize });
+    }
+    
+    // Only a complete, failure-free write run moves the sync point forward - to the start of
+    // the first run when this one resumed others
+    if (command === 'migrate' && !dryRun && config.entities.products && isFullSelection(cli) &&
+      !report.entries.some(e => e.action === 'failed')) {
+      const syncFrom = checkpoint?.startedAt() || startedAt;
+      syncState.record({ startedAt: syncFrom, runId, since: cli.since });
+      console.log(`\nSync state: ${syncState.file} (next --incremental run picks up changes since ${syncFrom.toISOString()})`);
+    }
+    
+    writeReport(report, reportFile, reportCsv);
     console.log('\n✅ Done.');
   } catch (e) {
     console.error('\n❌ Fatal:', e.message);
+    writeReport(report, reportFile, reportCsv);
     process.exit(1);
   }
 }
 
+/**
+ * Source -> destination map for an entity type that is toggled off, from earlier runs' ID map
+ */
+function mappedFromPreviousRuns(idMap, type) {
+  console.log(`\n~ Skipping ${type} (disabled in config); using ${idMap.size(type)} mapping(s) from previous runs`);
+  return new Map(idMap.entries(type).map(([srcId, dstId]) => [Number(srcId), dstId]));
+}
+
+/**
+ * True if no selection flag narrowed the run to part of the catalog
+ */
+function isFullSelection(cli) {
+  return !(cli.onlyIds?.length || cli.onlyName || cli.nameRegex || cli.limit || cli.startAfterId);
+}
+
+/**
+ * Report previously migrated products that no longer exist on the source.
+ * A delta sync only sees changed products, so deletions are found through the ID map.
+ */
+async function reportDeletedProducts({ srcClient, idMap, report = null, plan = null, pageSize }) {
+  console.log('\n==== DELETED ON SOURCE ====');
+  
+  const deleted = await findDeletedSourceProducts(srcClient, idMap, pageSize);
+  console.log(deleted.length
+    ? `${deleted.length} migrated product(s) no longer exist on the source:`
+    : 'No migrated products were deleted on the source');
+  
+  for (const { srcId, dstId } of deleted) {
+    if (plan) {
+      plan.add({ entity: 'product', action: 'skip', srcId, dstId, note: 'deleted on source' });
+    } else {
+      console.log(`  ✖ #${srcId} (destination #${dstId})`);
+    }
+    report?.record({ entity: 'product', action: 'skipped', srcId, dstId, note: 'deleted on source' });
+  }
+}
+
+/**
+ * Hide, archive or delete destination entities whose source counterpart was deleted (--prune)
+ */
+async function runPrune({ cli, toShopify, dryRun, srcClient, idMap, report = null, journal = null }) {
+  const dstClient = toShopify
+    ? createShopifyClient(config.shopify.shopDomain, config.shopify.accessToken, config.shopify.apiVersion, config.shopify.baseUrl)
+    : createApiClient(config.destination.storeHash, config.destination.accessToken, config.destination.baseUrl);
+  
+  const stats = await pruneOrphans({
+    srcClient,
+    dstClient,
+    toShopify,
+    idMap,
+    policy: cli.prune,
+    dryRun,
+    report,
+    journal,
+    pageSize: config.settings.pageSize
+  });
+  
+  if (stats.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Compare source and destination field by field and write a discrepancy report
+ */
+async function runVerify({ cli, toShopify, srcClient, idMap, stateDir, sourceKey, targetKey, runId }) {
+  let discrepancies;
+  
+  if (toShopify) {
+    const shopifyClient = createShopifyClient(
+      config.shopify.shopDomain,
+      config.shopify.accessToken,
+      config.shopify.apiVersion,
+      config.shopify.baseUrl
+    );
+    discrepancies = await verifyShopify({ srcClient, shopifyClient, cli, config, idMap, sourceKey, targetKey });
+  } else {
+    const dstClient = createApiClient(
+      config.destination.storeHash,
+      config.destination.accessToken,
+      config.destination.baseUrl
+    );
+    discrepancies = await verifyBigCommerce({ srcClient, dstClient, cli, config, idMap, sourceKey, targetKey });
+  }
+  
+  const { stats } = discrepancies;
+  console.log(`\nChecked ${stats.matchedProducts}/${stats.sourceProducts} product(s), ${stats.checkedFields} field(s)`);
+  console.log(`Discrepancies: ${discrepancies.discrepancies.length}`);
+  for (const [field, count] of Object.entries(discrepancies.byField())) {
+    console.log(`  • ${field}: ${count}`);
+  }
+  
+  const file = cli.reportFile || path.join(stateDir, storePairKey(sourceKey, targetKey), 'reports', `verify-${runId}.json`);
+  console.log(`\n📝 Verification report: ${discrepancies.write(file)}`);
+  
+  if (discrepancies.discrepancies.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Dry run against BigCommerce: diff source and destination and save the plan
+ */
+async function runPlan({ cli, srcClient, idMap, hooks, stateDir, sourceKey, targetKey, runId }) {
+  const dstClient = createApiClient(
+    config.destination.storeHash,
+    config.destination.accessToken,
+    config.destination.baseUrl
+  );
+  console.log('DST base:', dstClient.defaults.baseURL);
+  
+  const plan = createPlan({
+    runId,
+    source: sourceKey,
+    target: targetKey,
+    settings: { strategies: config.strategies, fields: fieldFilterFrom(cli, config) }
+  });
+  
+  const brandMap = config.entities.brands
+    ? await planBrands(srcClient, dstClient, plan, idMap, cli.categoryStrategy)
+    : mappedFromPreviousRuns(idMap, 'brands');
+  
+  const catMap = config.entities.categories
+    ? await planCategories(srcClient, dstClient, plan, idMap, hooks, cli.categoryStrategy)
+    : mappedFromPreviousRuns(idMap, 'categories');
+  
+  if (config.entities.products) {
+    await planProducts({ srcClient, dstClient, brandMap, catMap, cli, config, plan, idMap, hooks });
+    if (cli.since && !cli.prune) await reportDeletedProducts({ srcClient, idMap, plan, pageSize: config.settings.pageSize });
+  }
+  
+  // Pruning is not part of the plan: list it here, run it with --prune --write
+  if (cli.prune) {
+    await runPrune({ cli, toShopify: false, dryRun: true, srcClient, idMap });
+  }
+  
+  writePlan(plan, { cli, stateDir, sourceKey, targetKey, runId });
+}
+
+/**
+ * Print a plan's totals and save it (--plan=<file>, or under <pair>/plans/)
+ */
+function writePlan(plan, { cli, stateDir, sourceKey, targetKey, runId }) {
+  const { totals, byEntity } = plan.summary();
+  console.log(`
+Plan: ${totals.create} to create, ${totals.update} to update, ${totals.noop} unchanged, ${totals.skip} skipped.`);
+  for (const [entity, counts] of Object.entries(byEntity)) {
+    console.log(`  • ${entity}: +${counts.create} ~${counts.update} =${counts.noop} -${counts.skip}`);
+  }
+  
+  const file = cli.planFile || path.join(stateDir, storePairKey(sourceKey, targetKey), 'plans', `${runId}.json`);
+  console.log(`
+📝 Plan: ${plan.write(file)}`);
+}
+
+/**
+ * Execute a reviewed plan (--plan=<file>) against the BigCommerce destination
+ */
+async function runApply({ cli, toShopify, dryRun, idMap, report, journal, stateDir, sourceKey, targetKey }) {
+  if (toShopify) {
+    throw new Error('apply works with BigCommerce plans only; a Shopify dry-run plan is for review.');
+  }
+  if (!cli.planFile) {
+    const plans = listPlans({ dir: stateDir, sourceKey, targetKey });
+    console.log(`\nSaved plans for this store pair: ${plans.length ? '' : 'none'}`);
+    for (const file of plans) console.log(`  • ${file}`);
+    throw new Error('Pass the reviewed plan with --plan=<file>.');
+  }
+  
+  const plan = readPlan(cli.planFile);
+  if (plan.source !== sourceKey || plan.target !== targetKey) {
+    throw new Error(`❌ Plan ${cli.planFile} was made for ${plan.source} → ${plan.target}, not ${sourceKey} → ${targetKey}`);
+  }
+  console.log('Plan file:', cli.planFile);
+  
+  const dstClient = createApiClient(
+    config.destination.storeHash,
+    config.destination.accessToken,
+    config.destination.baseUrl
+  );
+  console.log('DST base:', dstClient.defaults.baseURL);
+  
+  // The strategies the plan was reviewed with win over the current environment
+  const stats = await applyPlan({
+    dstClient,
+    plan,
+    idMap,
+    report,
+    journal,
+    strategies: { ...config.strategies, ...plan.settings?.strategies },
+    allowDrift: cli.allowDrift || false,
+    dryRun
+  });
+  
+  if (stats.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Long-running webhook sync against the BigCommerce destination, until SIGINT/SIGTERM
+ */
+async function runServe({ cli, toShopify, dryRun, srcClient, idMap, report, hooks, journal, stateDir, sourceKey, targetKey, onBatch }) {
+  if (toShopify) {
+    throw new Error('serve syncs to BigCommerce destinations only.');
+  }
+  const { secret, debounceMs } = config.webhooks;
+  const port = cli.port || config.webhooks.port;
+  if (!secret) {
+    throw new Error('❌ Set WEBHOOK_SECRET (or webhooks.secret in the config file); serve rejects unsigned webhooks.');
+  }
+  
+  const dstClient = createApiClient(
+    config.destination.storeHash,
+    config.destination.accessToken,
+    config.destination.baseUrl
+  );
+  console.log('DST base:', dstClient.defaults.baseURL);
+  
+  const queue = createWebhookQueue({ dir: stateDir, sourceKey, targetKey });
+  console.log('Webhook queue:', queue.file, `(${queue.size()} pending)`);
+  
+  // Start from a complete brand/category mapping; batches refresh them as events come in
+  const brandMap = config.entities.brands
+    ? await migrateBrands({
+      srcClient, dstClient, dryRun, idMap, report, journal, strategy: cli.categoryStrategy, urlStrategy: config.strategies.customUrl
+    })
+    : mappedFromPreviousRuns(idMap, 'brands');
+  const catMap = config.entities.categories
+    ? await migrateCategories({
+      srcClient, dstClient, dryRun, idMap, report, hooks, journal, urlStrategy: config.strategies.customUrl, strategy: cli.categoryStrategy
+    })
+    : mappedFromPreviousRuns(idMap, 'categories');
+  const defaultLocationId = cli.locationId || await getDefaultLocationId(dstClient, config.inventory.locationId);
+  
+  const stats = await serveWebhooks({
+    srcClient,
+    dstClient,
+    queue,
+    brandMap,
+    catMap,
+    defaultLocationId,
+    cli,
+    config,
+    dryRun,
+    idMap,
+    report,
+    hooks,
+    journal,
+    port,
+    secret,
+    producer: `stores/${sourceKey}`,
+    debounceMs,
+    onBatch
+  });
+  
+  console.log(`
+Received: ${stats.received}, batches: ${stats.batches}, synced: ${stats.synced}, ` +
+    `failed attempts: ${stats.failed}, given up: ${stats.dropped}`);
+}
+
+/**
+ * Undo one earlier run (--run=<runId>) from its run journal
+ */
+async function runRollback({ cli, toShopify, dryRun, idMap, stateDir, sourceKey, targetKey }) {
+  const runs = listRuns({ dir: stateDir, sourceKey, targetKey });
+  if (!cli.run) {
+    console.log(`\nJournaled runs for this store pair: ${runs.length ? '' : 'none'}`);
+    for (const id of runs) console.log(`  • ${id}`);
+    throw new Error('Pass the run to undo with --run=<runId>.');
+  }
+  
+  const later = runs.filter(id => id > cli.run && !readRunJournal(
+    runJournalFile({ dir: stateDir, sourceKey, targetKey, runId: id })
+  ).rolledBack);
+  if (later.length) {
+    console.log(`⚠️  ${later.length} later run(s) exist (${later.join(', ')}); roll those back first if they touched the same items`);
+  }
+  
+  const client = toShopify
+    ? createShopifyClient(config.shopify.shopDomain, config.shopify.accessToken, config.shopify.apiVersion, config.shopify.baseUrl)
+    : createApiClient(config.destination.storeHash, config.destination.accessToken, config.destination.baseUrl);
+  
+  const stats = await rollbackRun({
+    client,
+    target: toShopify ? 'shopify' : 'bigcommerce',
+    file: runJournalFile({ dir: stateDir, sourceKey, targetKey, runId: cli.run }),
+    idMap,
+    dryRun
+  });
+  
+  if (!dryRun) {
+    // Products this run touched must be processed again by the next run
+    createCheckpoint({ dir: stateDir, sourceKey, targetKey });
+  }
+  if (stats.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Write the run report (never lets a report error hide the migration result)
+ */
+function writeReport(report, file, csv) {
+  if (!report) return;
+  
+  try {
+    const written = report.write(file, { csv });
+    console.log(`\n📝 Report: ${written.join(', ')}`);
+    
+    const failedIds = report.failedProductIds();
+    if (failedIds.length) {
+      console.log(`   Failed products (for --only-id): ${failedIds.join(',')}`);
+    }
+  } catch (e) {
+    console.error(`\n! Could not write report: ${e.message}`);
+  }
+}
+
 // Run the migration
 main();
@@ -0,0 +1,244 @@
+// Apply - executes the create/update operations of a reviewed plan, exactly as planned
+import { requestWithRetry } from '../api/client.js';
+import { uploadImageWithFallback } from '../services/image.js';
+import { pickFields } from '../services/runJournal.js';
+import { writeWithCustomUrl } from '../services/customUrl.js';
+import { planRef, resolveRefs, sameFieldValue } from '../services/plan.js';
+import { findDstProductByName } from './productUpsert.js';
+import { isSkuConflict } from './variants.js';
+import { writeCategory } from './categories.js';
+import { writeBrand } from './brands.js';
+import { ID_MAP_TYPES } from './rollback.js';
+import { namesEqual } from '../utils/string.js';
+
+const MAX_SKU_ATTEMPTS = 10;
+
+/**
+ * GET a destination resource (null if it no longer exists)
+ */
+async function fetchLive(dstClient, url) {
+  try {
+    const res = await requestWithRetry(dstClient, { method: 'get', url });
+    return res.data?.data || null;
+  } catch (e) {
+    if (e.status === 404) return null;
+    throw e;
+  }
+}
+
+/**
+ * Compare the destination with what the plan saw when it was made.
+ * Updates: the resource must still exist and each changed field must still hold its planned
+ * "from" value (or already hold the "to" value). Top-level creates: nothing with that name
+ * may have appeared. Returns [{ op, reason }] plus the live resources read for updates.
+ */
+export async function checkDrift(dstClient, ops) {
+  const drift = [];
+  const live = new Map();
+  
+  for (const op of ops) {
+    if (op.action === 'update') {
+      if (!live.has(op.url)) live.set(op.url, await fetchLive(dstClient, op.url));
+      const current = live.get(op.url);
+      
+      if (!current) {
+        drift.push({ op, reason: 'deleted since the plan was made' });
+        continue;
+      }
+      for (const c of op.changes || []) {
+        if (sameFieldValue(c.field, c.from, current[c.field]) || sameFieldValue(c.field, c.to, current[c.field])) continue;
+        drift.push({ op, reason: `${c.field} is now ${JSON.stringify(current[c.field] ?? null)} (planned from ${JSON.stringify(c.from)})` });
+      }
+      continue;
+    }
+    
+    if (op.action !== 'create') continue;
+    
+    if (op.entity === 'product') {
+      const existing = await findDstProductByName(dstClient, op.payload.name);
+      if (existing) drift.push({ op, reason: `a product with this name now exists (#${existing.id})` });
+    } else if (op.entity === 'brand' || op.entity === 'category') {
+      const res = await requestWithRetry(dstClient, { method: 'get', url: op.url, params: { name: op.payload.name } });
+      const existing = (res.data?.data || []).find(x => namesEqual(x.name, op.payload.name) &&
+        (op.entity === 'brand' || typeof op.payload.parent_id !== 'number' || x.parent_id === op.payload.parent_id));
+      if (existing) drift.push({ op, reason: `a ${op.entity} with this name now exists (#${existing.id})` });
+    }
+  }
+  
+  return { drift, live };
+}
+
+/**
+ * POST a variant, resolving SKU conflicts by strategy like migrateVariants.
+ * Returns null when the strategy is skip and the SKU is taken.
+ */
+async function postVariant(dstClient, url, payload, { skuStrategy = 'suffix', skuSuffix = '-SBX' }) {
+  let data = payload;
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const res = await requestWithRetry(dstClient, { method: 'post', url, data });
+      if (data !== payload) {
+        console.log(`  ~ SKU conflict resolved: ${payload.sku} → ${data.sku ?? '(blank)'}`);
+      }
+      return res;
+    } catch (e) {
+      if (!isSkuConflict(e) || !payload.sku || attempt > MAX_SKU_ATTEMPTS) throw e;
+      if (skuStrategy === 'skip') return null;
+      
+      if (skuStrategy === 'blank') {
+        const { sku, ...rest } = payload;
+        data = rest;
+      } else {
+        data = { ...payload, sku: `${payload.sku}${skuSuffix}${attempt > 1 ? `-${attempt}` : ''}` };
+      }
+    }
+  }
+}
+
+/**
+ * Product URL an operation belongs to (for journal parents and image uploads)
+ */
+function productUrlOf(url) {
+  return url.match(/^\/catalog\/products\/\d+/)?.[0];
+}
+
+/**
+ * Apply a plan: check for drift, then run its creates and updates in plan order.
+ * Refs to created entities are resolved as the IDs come back; an operation whose ref
+ * could not be resolved (its parent failed) is skipped. Nothing outside the plan is written.
+ */
+export async function applyPlan({
+  dstClient,
+  plan,
+  idMap = null,
+  report = null,
+  journal = null,
+  strategies = {},
+  allowDrift = false,
+  dryRun = false
+}) {
+  console.log('\n==== APPLY ====');
+  
+  const ops = plan.operations
+    .filter(op => op.action === 'create' || op.action === 'update')
+    .sort((a, b) => a.seq - b.seq);
+  console.log(`Plan: ${plan.run_id} (made ${plan.created_at}): ${ops.filter(o => o.action === 'create').length} create(s), ` +
+    `${ops.filter(o => o.action === 'update').length} update(s)`);
+  
+  const { drift, live } = await checkDrift(dstClient, ops);
+  for (const { op, reason } of drift) {
+    console.log(`⚠️  Drift: ${op.entity} ${JSON.stringify(op.name ?? '')}${op.dstId ? ` (#${op.dstId})` : ''}: ${reason}`);
+  }
+  if (drift.length && !allowDrift) {
+    throw new Error(`❌ Destination changed since the plan was made (${drift.length} drifted operation(s)). ` +
+      'Make a new plan, or pass --allow-drift to apply this one anyway.');
+  }
+  
+  const stats = { created: 0, updated: 0, skipped: 0, failed: 0, drifted: drift.length };
+  
+  if (dryRun) {
+    console.log(`\n[DRY] ${drift.length ? 'Drift found' : 'No drift'}; ${ops.length} operation(s) would be applied`);
+    return stats;
+  }
+  
+  const refs = new Map();
+  const urlStrategy = (strategies.customUrl || 'suffix').toLowerCase();
+  const skuStrategy = (strategies.variantSku || 'suffix').toLowerCase();
+  const skuSuffix = strategies.variantSkuSuffix || '-SBX';
+  
+  for (const op of ops) {
+    const label = `${op.entity} ${JSON.stringify(op.name ?? '')}${op.srcId != null ? ` (src #${op.srcId})` : ''}`;
+    const type = ID_MAP_TYPES[op.entity];
+    const track = (action, dstId, note, error) => report?.record({
+      entity: op.entity, action, srcId: op.srcId, dstId, parentSrcId: op.parentSrcId, name: op.name, note, error
+    });
+    
+    let url;
+    let payload;
+    try {
+      url = resolveRefs(op.url, refs);
+      payload = resolveRefs(op.payload, refs);
+    } catch (e) {
+      if (!e.unresolvedRef) throw e;
+      console.log(`~ Skipping ${label}: needs ${e.unresolvedRef}, which was not created`);
+      track('skipped', undefined, `needs ${e.unresolvedRef}`);
+      stats.skipped++;
+      continue;
+    }
+    
+    const parent = op.entity === 'product' ? undefined : productUrlOf(url);
+    
+    try {
+      if (op.action === 'update') {
+        if (op.entity === 'product') {
+          await writeWithCustomUrl(dstClient, 'put', url, payload, urlStrategy);
+        } else if (op.entity === 'category') {
+          await writeCategory(dstClient, payload, { id: op.dstId, urlStrategy });
+        } else if (op.entity === 'brand') {
+          await writeBrand(dstClient, payload, { id: op.dstId, urlStrategy });
+        } else {
+          await requestWithRetry(dstClient, { method: 'put', url, data: payload });
+        }
+        journal?.updated(op.entity, {
+          url, id: op.dstId, srcId: op.srcId, parentSrcId: op.parentSrcId, parent, restore: pickFields(live.get(op.url), Object.keys(payload))
+        });
+        if (type && op.srcId != null) idMap?.set(type, op.srcId, op.dstId);
+        console.log(`~ Updated ${label} => #${op.dstId}`);
+        track('updated', op.dstId);
+        stats.updated++;
+        continue;
+      }
+      
+      let created;
+      if (op.entity === 'product') {
+        created = (await writeWithCustomUrl(dstClient, 'post', url, payload, urlStrategy)).data?.data;
+      } else if (op.entity === 'category') {
+        created = await writeCategory(dstClient, payload, { urlStrategy });
+      } else if (op.entity === 'brand') {
+        created = await writeBrand(dstClient, payload, { urlStrategy });
+      } else if (op.entity === 'image') {
+        const productId = parent.split('/').pop();
+        created = (await uploadImageWithFallback(dstClient, productId, payload.image_url, payload)).data;
+      } else if (op.entity === 'variant') {
+        const res = await postVariant(dstClient, url, payload, { skuStrategy, skuSuffix });
+        if (!res) {
+          console.log(`~ Skipping ${label}: SKU conflict`);
+          track('skipped', undefined, 'sku conflict');
+          stats.skipped++;
+          continue;
+        }
+        created = res.data?.data;
+      } else {
+        created = (await requestWithRetry(dstClient, { method: 'post', url, data: payload })).data?.data;
+      }
+      
+      const id = created?.id;
+      if (op.ref) refs.set(op.ref, id);
+      if (type && op.srcId != null) idMap?.set(type, op.srcId, id);
+      
+      // A new option's values come back with it; map them to the plan's value refs by label
+      for (const [srcValueId, valueLabel] of Object.entries(op.valueRefs || {})) {
+        const value = (created?.option_values || []).find(v => namesEqual(v.label, valueLabel));
+        if (!value) continue;
+        refs.set(planRef('option_value', srcValueId), value.id);
+        idMap?.set('optionValues', srcValueId, value.id);
+      }
+      
+      journal?.created(op.entity, { url: `${url}/${id}`, id, srcId: op.srcId, parentSrcId: op.parentSrcId, parent });
+      console.log(`+ Created ${label} => #${id}`);
+      track('created', id);
+      stats.created++;
+    } catch (e) {
+      console.log(`❌ ${op.action} ${label} failed: ${e.message}`);
+      track('failed', op.dstId, undefined, e);
+      stats.failed++;
+    }
+  }
+  
+  idMap?.save({ force: true });
+  
+  console.log(`\nCreated: ${stats.created}, updated: ${stats.updated}, skipped: ${stats.skipped}, failed: ${stats.failed}` +
+    (stats.drifted ? `, applied despite drift: ${stats.drifted}` : ''));
+  return stats;
+}
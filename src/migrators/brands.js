@@ -1,47 +1,134 @@
 // Brand migrator
-import { pagedGetAll, requestWithRetry } from '../api/client.js';
+import { pagedGetAll } from '../api/client.js';
 import { normalize } from '../utils/string.js';
+import { changedSince } from '../services/syncState.js';
+import { pickFields } from '../services/runJournal.js';
+import { strategyChanges } from '../services/updateStrategy.js';
+import { writeCatalogEntity } from '../services/catalogWrite.js';
+import { isSuffixedCustomUrl } from '../services/customUrl.js';
+
+// Fields kept up to date on brands that already exist (per the category strategy)
+export const BRAND_FIELDS = [
+  'name', 'image_url', 'page_title', 'meta_keywords', 'meta_description', 'search_keywords', 'custom_url'
+];
+
+/**
+ * Destination payload for a source brand
+ */
+export function brandPayload(b) {
+  return {
+    name: b.name,
+    image_url: b.image_url || undefined,
+    page_title: b.page_title || '',
+    meta_keywords: b.meta_keywords || [],
+    meta_description: b.meta_description || '',
+    search_keywords: b.search_keywords || '',
+    custom_url: b.custom_url?.url ? { url: b.custom_url.url, is_customized: b.custom_url.is_customized ?? false } : undefined
+  };
+}
+
+/**
+ * Fields of a brand payload that an existing destination brand should get under the category
+ * strategy, as [{ field, from, to }]. Like category images, a logo is only sent where the
+ * destination brand has none; a custom URL suffixed by an earlier collision is kept.
+ */
+export function brandChanges(payload, current, strategy = 'create-only') {
+  const fields = BRAND_FIELDS.filter(f => !(f === 'image_url' && current.image_url) &&
+    !(f === 'custom_url' && isSuffixedCustomUrl(payload.custom_url, current.custom_url)));
+  return strategyChanges(payload, current, fields, strategy);
+}
+
+/**
+ * Create (no id) or update a brand, with custom URL collisions resolved and the logo set
+ * afterwards (see writeCatalogEntity)
+ */
+export function writeBrand(dstClient, payload, options = {}) {
+  return writeCatalogEntity(dstClient, '/catalog/brands', payload, { ...options, label: 'Brand' });
+}
 
 /**
- * Migrate brands from source to destination
+ * Migrate brands from source to destination, with their logo, SEO fields and custom URL
+ * (collisions resolved per urlStrategy). Brands that already exist are updated per
+ * `strategy` (create-only, update or overwrite; see BRAND_FIELDS).
+ * With `since` (delta sync), missing brands are only created if they changed since then.
  */
-export async function migrateBrands(srcClient, dstClient, dryRun = false) {
+export async function migrateBrands({
+  srcClient,
+  dstClient,
+  dryRun = false,
+  idMap = null,
+  report = null,
+  journal = null,
+  since = null,
+  strategy = 'create-only',
+  urlStrategy = 'suffix'
+}) {
   console.log('\n==== BRANDS ====');
+  urlStrategy = String(urlStrategy || 'suffix').toLowerCase();
   
   const srcBrands = await pagedGetAll(srcClient, '/catalog/brands');
   const dstBrands = await pagedGetAll(dstClient, '/catalog/brands');
   
   const dstByName = new Map(dstBrands.map(b => [normalize(b.name), b]));
+  const dstById = new Map(dstBrands.map(b => [b.id, b]));
   const brandMap = new Map(); // srcBrandId -> dstBrandId
   
   for (const b of srcBrands) {
     const key = normalize(b.name);
     if (!key) continue;
     
-    let target = dstByName.get(key);
+    // Prefer a mapping recorded by a previous run (survives renames)
+    let target = dstById.get(idMap?.get('brands', b.id)) || dstByName.get(key);
+    const started = Date.now();
+    
+    if (!target && !changedSince(b, since)) {
+      report?.record({ entity: 'brand', action: 'skipped', srcId: b.id, name: b.name, note: `unchanged since ${since.toISOString()}` });
+      continue;
+    }
     
     if (!target && !dryRun) {
-      const res = await requestWithRetry(dstClient, {
-        method: 'post',
-        url: '/catalog/brands',
-        data: { 
-          name: b.name, 
-          meta_keywords: b.meta_keywords || [], 
-          meta_description: b.meta_description || '' 
-        }
-      });
-      
-      target = res.data?.data;
+      try {
+        target = await writeBrand(dstClient, brandPayload(b), { urlStrategy });
+        journal?.created('brand', { url: `/catalog/brands/${target?.id}`, id: target?.id, srcId: b.id });
+      } catch (e) {
+        report?.record({ entity: 'brand', action: 'failed', srcId: b.id, name: b.name, durationMs: Date.now() - started, error: e });
+        throw e;
+      }
       console.log(`+ Created brand: ${b.name} (#${target?.id})`);
+      report?.record({ entity: 'brand', action: 'created', srcId: b.id, dstId: target?.id, name: b.name, durationMs: Date.now() - started });
     } else if (!target && dryRun) {
       console.log(`[DRY] Would create brand: ${b.name}`);
+      report?.record({ entity: 'brand', action: 'created', srcId: b.id, name: b.name, note: 'dry run' });
+    } else {
+      const payload = brandPayload(b);
+      const fields = brandChanges(payload, target, strategy).map(ch => ch.field);
+      
+      if (!fields.length) {
+        report?.record({ entity: 'brand', action: 'skipped', srcId: b.id, dstId: target.id, name: b.name, note: 'exists' });
+      } else if (dryRun) {
+        console.log(`[DRY] Would update brand: ${b.name} (#${target.id}): ${fields.join(', ')}`);
+        report?.record({ entity: 'brand', action: 'updated', srcId: b.id, dstId: target.id, name: b.name, note: `dry run: ${fields.join(', ')}` });
+      } else {
+        try {
+          await writeBrand(dstClient, pickFields(payload, fields), { id: target.id, urlStrategy });
+          journal?.updated('brand', { url: `/catalog/brands/${target.id}`, id: target.id, srcId: b.id, restore: pickFields(target, fields) });
+          console.log(`~ Updated brand: ${b.name} (#${target.id}): ${fields.join(', ')}`);
+          report?.record({ entity: 'brand', action: 'updated', srcId: b.id, dstId: target.id, name: b.name, note: fields.join(', '), durationMs: Date.now() - started });
+        } catch (e) {
+          console.log(`❌ Failed to update brand ${b.name} (#${target.id}): ${e.message}`);
+          report?.record({ entity: 'brand', action: 'failed', srcId: b.id, dstId: target.id, name: b.name, durationMs: Date.now() - started, error: e });
+        }
+      }
     }
     
     if (target) {
       brandMap.set(b.id, target.id);
+      idMap?.set('brands', b.id, target.id);
     }
   }
   
+  idMap?.save({ force: true });
+  
   console.log(`Brand mappings: ${brandMap.size}`);
   return brandMap;
 }
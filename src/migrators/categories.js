@@ -1,23 +1,114 @@
 // Category migrator
-import { pagedGetAll, requestWithRetry } from '../api/client.js';
+import { pagedGetAll } from '../api/client.js';
 import { normalize } from '../utils/string.js';
 import { buildCategoryPathMap, sortCatsParentFirst } from '../models/category.js';
+import { NO_HOOKS } from '../services/hooks.js';
+import { changedSince } from '../services/syncState.js';
+import { pickFields } from '../services/runJournal.js';
+import { strategyChanges } from '../services/updateStrategy.js';
+import { writeCatalogEntity } from '../services/catalogWrite.js';
+import { isSuffixedCustomUrl } from '../services/customUrl.js';
+
+// Image, SEO and storefront fields
+export const CATEGORY_META_FIELDS = [
+  'image_url', 'page_title', 'meta_keywords', 'meta_description', 'search_keywords',
+  'layout_file', 'default_product_sort', 'custom_url'
+];
+
+// Fields kept up to date on categories that already exist (per the category strategy)
+export const CATEGORY_FIELDS = ['name', 'parent_id', 'description', 'is_visible', 'sort_order', ...CATEGORY_META_FIELDS];
+
+/**
+ * Destination payload for a source category under a (destination) parent
+ */
+export function categoryPayload(c, parent_id = 0) {
+  return {
+    name: c.name,
+    parent_id,
+    description: c.description || '',
+    is_visible: c.is_visible ?? true,
+    sort_order: c.sort_order ?? 0,
+    image_url: c.image_url || undefined,
+    page_title: c.page_title || '',
+    meta_keywords: c.meta_keywords || [],
+    meta_description: c.meta_description || '',
+    search_keywords: c.search_keywords || '',
+    layout_file: c.layout_file || undefined,
+    default_product_sort: c.default_product_sort || undefined,
+    custom_url: c.custom_url?.url ? { url: c.custom_url.url, is_customized: c.custom_url.is_customized ?? false } : undefined
+  };
+}
+
+/**
+ * Fields of a category payload that an existing destination category should get under the
+ * category strategy, as [{ field, from, to }]. An image is only sent where the destination has
+ * none: uploaded images are renamed, so a replaced source image can't be told from the one
+ * uploaded earlier. A custom URL suffixed by an earlier collision is kept.
+ */
+export function categoryChanges(payload, current, strategy = 'create-only') {
+  const fields = CATEGORY_FIELDS.filter(f => !(f === 'image_url' && current.image_url) &&
+    !(f === 'custom_url' && isSuffixedCustomUrl(payload.custom_url, current.custom_url)));
+  return strategyChanges(payload, current, fields, strategy);
+}
+
+/**
+ * Destination parent of an existing category: the mapped parent of its source parent, so a
+ * category moved on the source moves on the destination too. Without a mapped source parent
+ * (skipped by a hook, or not created in a dry run) it stays where it is.
+ */
+export function destinationParent(c, current, catMap) {
+  if (!c.parent_id) return 0;
+  return catMap.get(c.parent_id) ?? current.parent_id;
+}
 
 /**
- * Migrate categories from source to destination
+ * Create (no id) or update a category, with custom URL collisions resolved and the image set
+ * afterwards (see writeCatalogEntity)
  */
-export async function migrateCategories(srcClient, dstClient, dryRun = false) {
+export function writeCategory(dstClient, payload, options = {}) {
+  return writeCatalogEntity(dstClient, '/catalog/categories', payload, { ...options, label: 'Category' });
+}
+
+/**
+ * Migrate categories from source to destination. Categories that already exist are updated
+ * per `strategy` (create-only, update or overwrite; see CATEGORY_FIELDS), including a move to
+ * the parent they have on the source. With `since` (delta sync), missing categories are only
+ * created if they changed since then.
+ */
+export async function migrateCategories({
+  srcClient,
+  dstClient,
+  dryRun = false,
+  idMap = null,
+  report = null,
+  hooks = NO_HOOKS,
+  journal = null,
+  since = null,
+  urlStrategy = 'suffix',
+  strategy = 'create-only'
+}) {
   console.log('\n==== CATEGORIES ====');
+  urlStrategy = String(urlStrategy || 'suffix').toLowerCase();
   
   const srcCats = await pagedGetAll(srcClient, '/catalog/categories');
   const dstCats = await pagedGetAll(dstClient, '/catalog/categories');
   
   const { idToPath: srcIdToPath } = buildCategoryPathMap(srcCats);
-  const { idToPath: dstIdToPath } = buildCategoryPathMap(dstCats);
+  let { byId: dstById, idToPath: dstIdToPath } = buildCategoryPathMap(dstCats);
+  let dstPathToId;
   
-  const dstPathToId = new Map(
-    [...dstIdToPath.entries()].map(([id, path]) => [normalize(path), id])
-  );
+  // Destination paths change when a category moves, so they are rebuilt after a move
+  const indexDstPaths = () => {
+    ({ byId: dstById, idToPath: dstIdToPath } = buildCategoryPathMap(dstCats));
+    dstPathToId = new Map([...dstIdToPath.entries()].map(([id, path]) => [normalize(path), id]));
+  };
+  indexDstPaths();
+  
+  // Mapped IDs from a previous run, kept only if the category still exists
+  const mappedDstId = (srcId) => {
+    const id = idMap?.get('categories', srcId);
+    return id && dstIdToPath.has(id) ? id : undefined;
+  };
   
   const catMap = new Map(); // srcCatId -> dstCatId
   const ordered = sortCatsParentFirst(srcCats);
@@ -26,41 +117,85 @@ export async function migrateCategories(srcClient, dstClient, dryRun = false) {
   for (const c of ordered) {
     const path = srcIdToPath.get(c.id);
     const key = normalize(path);
-    let dstId = dstPathToId.get(key);
+    let dstId = mappedDstId(c.id) || dstPathToId.get(key);
+    const started = Date.now();
+    
+    if (!(await hooks.shouldMigrate('category', c, { path }))) {
+      console.log(`~ Skipped category by hook: ${path}`);
+      report?.record({ entity: 'category', action: 'skipped', srcId: c.id, name: path, note: 'hook' });
+      continue;
+    }
     
-    if (!dstId && !dryRun) {
+    if (dstId) {
+      const current = dstById.get(dstId);
+      const payload = await hooks.transformCategory(categoryPayload(c, destinationParent(c, current, catMap)), { source: c, path });
+      const changes = payload ? categoryChanges(payload, current, strategy) : [];
+      const fields = changes.map(ch => ch.field);
+      
+      if (!fields.length) {
+        report?.record({ entity: 'category', action: 'skipped', srcId: c.id, dstId, name: path, note: 'exists' });
+      } else if (dryRun) {
+        console.log(`[DRY] Would update category: ${path} (#${dstId}): ${fields.join(', ')}`);
+        report?.record({ entity: 'category', action: 'updated', srcId: c.id, dstId, name: path, note: `dry run: ${fields.join(', ')}` });
+      } else {
+        try {
+          await writeCategory(dstClient, pickFields(payload, fields), { id: dstId, urlStrategy });
+          journal?.updated('category', { url: `/catalog/categories/${dstId}`, id: dstId, srcId: c.id, restore: pickFields(current, fields) });
+          if (fields.includes('parent_id') || fields.includes('name')) {
+            Object.assign(current, pickFields(payload, ['parent_id', 'name']));
+            indexDstPaths();
+          }
+          console.log(`~ Updated category: ${path} (#${dstId}): ${fields.join(', ')}`);
+          report?.record({ entity: 'category', action: 'updated', srcId: c.id, dstId, name: path, note: fields.join(', '), durationMs: Date.now() - started });
+        } catch (e) {
+          console.log(`❌ Failed to update category ${path} (#${dstId}): ${e.message}`);
+          report?.record({ entity: 'category', action: 'failed', srcId: c.id, dstId, name: path, durationMs: Date.now() - started, error: e });
+        }
+      }
+    } else if (!changedSince(c, since)) {
+      report?.record({ entity: 'category', action: 'skipped', srcId: c.id, name: path, note: `unchanged since ${since.toISOString()}` });
+      continue;
+    } else if (!dryRun) {
       let parent_id = 0;
       
       if (c.parent_id && c.parent_id !== 0) {
         const parentPath = normalize(srcIdToPath.get(c.parent_id));
-        parent_id = createdByPath.get(parentPath) || dstPathToId.get(parentPath) || 0;
+        parent_id = catMap.get(c.parent_id) || createdByPath.get(parentPath) || dstPathToId.get(parentPath) || 0;
       }
       
-      const payload = {
-        name: c.name,
-        parent_id,
-        description: c.description || '',
-        is_visible: c.is_visible ?? true,
-        sort_order: c.sort_order ?? 0
-      };
+      const payload = await hooks.transformCategory(categoryPayload(c, parent_id), { source: c, path });
       
-      const res = await requestWithRetry(dstClient, {
-        method: 'post',
-        url: '/catalog/categories',
-        data: payload
-      });
+      if (!payload) {
+        console.log(`~ Skipped category by hook: ${path}`);
+        report?.record({ entity: 'category', action: 'skipped', srcId: c.id, name: path, note: 'hook' });
+        continue;
+      }
       
-      dstId = res.data?.data?.id;
+      try {
+        const created = await writeCategory(dstClient, payload, { urlStrategy });
+        dstId = created?.id;
+        journal?.created('category', { url: `/catalog/categories/${dstId}`, id: dstId, srcId: c.id });
+      } catch (e) {
+        report?.record({ entity: 'category', action: 'failed', srcId: c.id, name: path, durationMs: Date.now() - started, error: e });
+        throw e;
+      }
       console.log(`+ Created category: ${path} (#${dstId})`);
+      report?.record({ entity: 'category', action: 'created', srcId: c.id, dstId, name: path, durationMs: Date.now() - started });
       createdByPath.set(key, dstId);
-    } else if (!dstId && dryRun) {
+    } else {
       console.log(`[DRY] Would create category: ${path}`);
+      report?.record({ entity: 'category', action: 'created', srcId: c.id, name: path, note: 'dry run' });
     }
     
     if (!dstId) dstId = createdByPath.get(key);
-    if (dstId) catMap.set(c.id, dstId);
+    if (dstId) {
+      catMap.set(c.id, dstId);
+      idMap?.set('categories', c.id, dstId);
+    }
   }
   
+  idMap?.save({ force: true });
+  
   console.log(`Category mappings: ${catMap.size}`);
   return catMap;
 }
@@ -0,0 +1,464 @@
+// Plan pass - reads source and destination and records what a write run would do (read-only)
+// Mirrors the decisions of brands.js, categories.js, products.js and their services
+import { pagedGetAll } from '../api/client.js';
+import { buildCategoryPathMap, sortCatsParentFirst } from '../models/category.js';
+import {
+  baseProductPayload,
+  baseVariantPayload,
+  hasRealVariants,
+  applyFieldFilter,
+  isFieldSelected,
+  fieldFilterFrom
+} from '../models/product.js';
+import { fetchSourceProducts, filterProducts, getProductAssets } from './productFetcher.js';
+import { brandPayload, brandChanges } from './brands.js';
+import { categoryPayload, categoryChanges, destinationParent } from './categories.js';
+import { optionPayload } from '../services/options.js';
+import { NO_HOOKS } from '../services/hooks.js';
+import { createProductIndex, loadMarkers, markerPayload, parseMatchBy } from '../services/productMatch.js';
+import { planRef, diffFields } from '../services/plan.js';
+import { normalize } from '../utils/string.js';
+
+const DST_INCLUDE = 'variants,images,custom_fields,options';
+
+/**
+ * Only the listed fields of a payload
+ */
+function onlyFields(payload, fields) {
+  return Object.fromEntries(fields.map(f => [f, payload[f]]));
+}
+
+/**
+ * Plan brands; returns srcBrandId -> dstBrandId (or a plan ref for brands to be created)
+ */
+export async function planBrands(srcClient, dstClient, plan, idMap = null, strategy = 'create-only') {
+  console.log('\n==== BRANDS ====');
+  
+  const [srcBrands, dstBrands] = await Promise.all([
+    pagedGetAll(srcClient, '/catalog/brands'),
+    pagedGetAll(dstClient, '/catalog/brands')
+  ]);
+  
+  const dstByName = new Map(dstBrands.map(b => [normalize(b.name), b]));
+  const dstById = new Map(dstBrands.map(b => [b.id, b]));
+  const brandMap = new Map();
+  
+  for (const b of srcBrands) {
+    if (!normalize(b.name)) continue;
+    
+    const target = dstById.get(idMap?.get('brands', b.id)) || dstByName.get(normalize(b.name));
+    if (target) {
+      const payload = brandPayload(b);
+      const changes = brandChanges(payload, target, strategy);
+      plan.add({
+        entity: 'brand',
+        action: changes.length ? 'update' : 'noop',
+        srcId: b.id,
+        dstId: target.id,
+        name: b.name,
+        method: 'put',
+        url: `/catalog/brands/${target.id}`,
+        payload: onlyFields(payload, changes.map(ch => ch.field)),
+        changes,
+        note: changes.length ? undefined : 'exists'
+      });
+      brandMap.set(b.id, target.id);
+      continue;
+    }
+    
+    const ref = planRef('brand', b.id);
+    plan.add({ entity: 'brand', action: 'create', ref, srcId: b.id, name: b.name, method: 'post', url: '/catalog/brands', payload: brandPayload(b) });
+    brandMap.set(b.id, ref);
+  }
+  
+  return brandMap;
+}
+
+/**
+ * Plan categories (parent-first); returns srcCatId -> dstCatId (or a plan ref)
+ */
+export async function planCategories(srcClient, dstClient, plan, idMap = null, hooks = NO_HOOKS, strategy = 'create-only') {
+  console.log('\n==== CATEGORIES ====');
+  
+  const [srcCats, dstCats] = await Promise.all([
+    pagedGetAll(srcClient, '/catalog/categories'),
+    pagedGetAll(dstClient, '/catalog/categories')
+  ]);
+  
+  const { idToPath: srcIdToPath } = buildCategoryPathMap(srcCats);
+  const { byId: dstById, idToPath: dstIdToPath } = buildCategoryPathMap(dstCats);
+  const dstPathToId = new Map([...dstIdToPath.entries()].map(([id, path]) => [normalize(path), id]));
+  
+  const catMap = new Map();
+  
+  for (const c of sortCatsParentFirst(srcCats)) {
+    const path = srcIdToPath.get(c.id);
+    const mapped = idMap?.get('categories', c.id);
+    const dstId = (mapped && dstIdToPath.has(mapped) ? mapped : undefined) || dstPathToId.get(normalize(path));
+    
+    if (!(await hooks.shouldMigrate('category', c, { path }))) {
+      plan.add({ entity: 'category', action: 'skip', srcId: c.id, name: path, note: 'hook' });
+      continue;
+    }
+    
+    if (dstId) {
+      // Updated (and moved to its source parent) per the category strategy, like migrateCategories does
+      const current = dstById.get(dstId);
+      const payload = await hooks.transformCategory(categoryPayload(c, destinationParent(c, current, catMap)), { source: c, path });
+      const changes = payload ? categoryChanges(payload, current, strategy) : [];
+      plan.add({
+        entity: 'category',
+        action: changes.length ? 'update' : 'noop',
+        srcId: c.id,
+        dstId,
+        name: path,
+        method: 'put',
+        url: `/catalog/categories/${dstId}`,
+        payload: onlyFields(payload, changes.map(ch => ch.field)),
+        changes,
+        note: changes.length ? undefined : 'exists'
+      });
+      catMap.set(c.id, dstId);
+      continue;
+    }
+    
+    const parentPath = c.parent_id ? normalize(srcIdToPath.get(c.parent_id)) : null;
+    const parent_id = c.parent_id ? (catMap.get(c.parent_id) || dstPathToId.get(parentPath) || 0) : 0;
+    
+    const payload = await hooks.transformCategory(categoryPayload(c, parent_id), { source: c, path });
+    if (!payload) {
+      plan.add({ entity: 'category', action: 'skip', srcId: c.id, name: path, note: 'hook' });
+      continue;
+    }
+    
+    const ref = planRef('category', c.id);
+    plan.add({ entity: 'category', action: 'create', ref, srcId: c.id, name: path, method: 'post', url: '/catalog/categories', payload });
+    catMap.set(c.id, ref);
+  }
+  
+  return catMap;
+}
+
+/**
+ * Plan products and everything under them (options, variants, custom fields, images)
+ */
+export async function planProducts({
+  srcClient,
+  dstClient,
+  brandMap,
+  catMap,
+  cli,
+  config,
+  plan,
+  idMap = null,
+  hooks = NO_HOOKS
+}) {
+  console.log('\n==== PRODUCTS ====');
+  
+  const pageSize = config.settings.pageSize;
+  const [serverSide, dstProducts, markers] = await Promise.all([
+    fetchSourceProducts(srcClient, cli, pageSize),
+    pagedGetAll(dstClient, '/catalog/products', { include: DST_INCLUDE }, pageSize),
+    loadMarkers(dstClient, pageSize)
+  ]);
+  const products = filterProducts(serverSide, cli);
+  console.log(`Total source products (after filters): ${products.length}, destination products: ${dstProducts.length}`);
+  
+  const dstById = new Map(dstProducts.map(p => [p.id, p]));
+  const dstIndex = createProductIndex(parseMatchBy(cli.matchBy || config.strategies.matchBy), dstProducts, markers);
+  const fieldFilter = fieldFilterFrom(cli, config);
+  const strategy = (config.strategies.nameDedup || 'update').toLowerCase();
+  const suffix = config.strategies.nameDedupSuffix || ' [sandbox]';
+  
+  const planProduct = async (p) => {
+    const skip = (note) => plan.add({ entity: 'product', action: 'skip', srcId: p.id, name: p.name, note });
+    
+    if (!(await hooks.shouldMigrate('product', p))) return skip('hook');
+    
+    const { customFields, images, options, variants } = await getProductAssets(srcClient, p.id);
+    const payload = await hooks.transformProduct(
+      baseProductPayload(p, brandMap, catMap, hasRealVariants(variants), { idMap, fieldMap: config.fieldMap }),
+      { source: p, variants, images, customFields }
+    );
+    if (!payload) return skip('hook');
+    
+    // Same matching as upsertProductByName: ID map, source ID marker, --match-by keys
+    const mapped = dstById.get(idMap?.get('products', p.id));
+    const match = mapped ? null : dstIndex.find(p);
+    const byName = match?.via === 'name' ? match.product : null;
+    if (byName && strategy === 'skip') return skip('duplicate name');
+    
+    // A marker/SKU/UPC/MPN/custom field match is the same item; a name match follows the dedup strategy
+    const dp = mapped || (match && !byName ? match.product : null) ||
+      (strategy === 'suffix' || match?.claimed ? null : byName);
+    const parent = { parentSrcId: p.id };
+    let productUrl;
+    
+    if (dp) {
+      const data = applyFieldFilter(payload, fieldFilter);
+      const changes = diffFields(data, dp);
+      productUrl = `/catalog/products/${dp.id}`;
+      plan.add({
+        entity: 'product',
+        action: changes.length ? 'update' : 'noop',
+        srcId: p.id,
+        dstId: dp.id,
+        name: p.name,
+        method: 'put',
+        url: productUrl,
+        payload: onlyFields(data, changes.map(c => c.field)),
+        changes
+      });
+    } else {
+      const ref = planRef('product', p.id);
+      const name = byName ? `${payload.name}${suffix}` : payload.name;
+      productUrl = `/catalog/products/${ref}`;
+      plan.add({
+        entity: 'product',
+        action: 'create',
+        ref,
+        srcId: p.id,
+        name,
+        method: 'post',
+        url: '/catalog/products',
+        payload: applyFieldFilter({ ...payload, name }, fieldFilter, { create: true }),
+        note: byName ? 'name exists, suffixed' : undefined
+      });
+    }
+    
+    // Source ID marker, for exact matching in later runs
+    if (!dp || !markers.has(String(dp.id))) {
+      plan.add({
+        entity: 'metafield',
+        action: 'create',
+        name: markerPayload(p.id).key,
+        method: 'post',
+        url: `${productUrl}/metafields`,
+        payload: markerPayload(p.id),
+        ...parent
+      });
+    }
+    
+    const stepSelected = (field) => isFieldSelected(field, fieldFilter, { create: !dp });
+    
+    // OPTIONS: reuse by ID map or display name, create the rest with their values
+    const optionIdByName = new Map(); // normalized display name -> dst option ID / ref
+    const valueIds = new Map(); // "name::label" -> dst value ID / ref
+    const dstOptions = dp?.options || [];
+    const dstOptById = new Map(dstOptions.map(o => [o.id, o]));
+    const dstOptByName = new Map(dstOptions.map(o => [normalize(o.display_name), o]));
+    
+    for (const o of dstOptions) {
+      optionIdByName.set(normalize(o.display_name), o.id);
+      for (const v of o.option_values || []) valueIds.set(`${normalize(o.display_name)}::${normalize(v.label)}`, v.id);
+    }
+    
+    for (const so of options || []) {
+      const nameKey = normalize(so.display_name || so.name || '');
+      if (!nameKey) continue;
+      
+      const existing = dstOptById.get(idMap?.get('options', so.id)) || dstOptByName.get(nameKey);
+      if (existing) {
+        plan.add({ entity: 'option', action: 'noop', srcId: so.id, dstId: existing.id, name: so.display_name, ...parent });
+        optionIdByName.set(nameKey, existing.id);
+        continue;
+      }
+      
+      const ref = planRef('option', so.id);
+      plan.add({
+        entity: 'option',
+        action: 'create',
+        ref,
+        srcId: so.id,
+        name: so.display_name,
+        method: 'post',
+        url: `${productUrl}/options`,
+        payload: optionPayload(so),
+        // Values come back in the response; apply maps them by label
+        valueRefs: Object.fromEntries((so.option_values || []).map(v => [v.id, v.label])),
+        ...parent
+      });
+      optionIdByName.set(nameKey, ref);
+      for (const v of so.option_values || []) valueIds.set(`${nameKey}::${normalize(v.label)}`, planRef('option_value', v.id));
+    }
+    
+    // VARIANTS
+    const dstVariants = dp?.variants || [];
+    const dstVarById = new Map(dstVariants.map(v => [v.id, v]));
+    const dstVarBySku = new Map(dstVariants.filter(v => v.sku).map(v => [String(v.sku), v]));
+    
+    for (const v of variants || []) {
+      const ovs = Array.isArray(v.option_values) ? v.option_values : [];
+      if (ovs.length === 0) continue;
+      
+      const vskip = (note) => plan.add({ entity: 'variant', action: 'skip', srcId: v.id, name: v.sku, note, ...parent });
+      
+      const mappedOVs = [];
+      for (const ov of ovs) {
+        const nameKey = normalize(ov.option_display_name || '');
+        const optionId = optionIdByName.get(nameKey);
+        if (!optionId) break;
+        
+        // Missing values on an existing option are created on demand, like ensureOptionValue
+        const key = `${nameKey}::${normalize(ov.label || '')}`;
+        if (!valueIds.has(key)) {
+          const ref = planRef('option_value', ov.id);
+          plan.add({
+            entity: 'option_value',
+            action: 'create',
+            ref,
+            srcId: ov.id,
+            name: `${ov.option_display_name}: ${ov.label}`,
+            method: 'post',
+            url: `${productUrl}/options/${optionId}/values`,
+            payload: { label: ov.label || '' },
+            ...parent
+          });
+          valueIds.set(key, ref);
+        }
+        mappedOVs.push({ option_id: optionId, id: valueIds.get(key) });
+      }
+      if (mappedOVs.length !== ovs.length) {
+        vskip('option values could not be mapped');
+        continue;
+      }
+      
+      const base = await hooks.transformVariant(baseVariantPayload(v, mappedOVs), { source: v, product: p });
+      if (!base) {
+        vskip('hook');
+        continue;
+      }
+      
+      const existing = dstVarById.get(idMap?.get('variants', v.id)) || (base.sku && dstVarBySku.get(String(base.sku)));
+      if (existing) {
+        const { option_values, ...data } = applyFieldFilter(base, fieldFilter);
+        const changes = diffFields(data, existing);
+        plan.add({
+          entity: 'variant',
+          action: changes.length ? 'update' : 'noop',
+          srcId: v.id,
+          dstId: existing.id,
+          name: base.sku,
+          method: 'put',
+          url: `${productUrl}/variants/${existing.id}`,
+          payload: onlyFields(data, changes.map(c => c.field)),
+          changes,
+          ...parent
+        });
+        continue;
+      }
+      
+      plan.add({
+        entity: 'variant',
+        action: 'create',
+        ref: planRef('variant', v.id),
+        srcId: v.id,
+        name: base.sku,
+        method: 'post',
+        url: `${productUrl}/variants`,
+        payload: { ...applyFieldFilter(base, fieldFilter, { create: true }), option_values: mappedOVs },
+        ...parent
+      });
+    }
+    
+    // CUSTOM FIELDS
+    if (stepSelected('custom_fields') && !cli.skipCustomFields) {
+      planCustomFields(plan, {
+        productId: p.id,
+        productUrl,
+        srcFields: customFields || [],
+        dstFields: dp?.custom_fields || [],
+        strategy: (config.strategies.customFieldDedup || 'pair').toLowerCase(),
+        idMap
+      });
+    }
+    
+    // IMAGES
+    if (stepSelected('images') && !cli.skipImages) {
+      const dstImageIds = new Set((dp?.images || []).map(i => i.id));
+      
+      for (const img of images || []) {
+        const mappedImage = idMap?.get('images', img.id);
+        if (dstImageIds.has(mappedImage)) {
+          plan.add({ entity: 'image', action: 'noop', srcId: img.id, dstId: mappedImage, note: 'exists', ...parent });
+          continue;
+        }
+        
+        const srcUrl = img.url_zoom || img.url_standard || img.image_url || img.url_thumbnail || img.url_tiny;
+        if (!srcUrl) {
+          plan.add({ entity: 'image', action: 'skip', srcId: img.id, note: 'no usable URL on source', ...parent });
+          continue;
+        }
+        
+        const imagePayload = await hooks.transformImage({
+          image_url: srcUrl,
+          is_thumbnail: img.is_thumbnail ?? false,
+          sort_order: img.sort_order ?? 0,
+          description: img.description || ''
+        }, { source: img, product: p });
+        
+        if (!imagePayload) {
+          plan.add({ entity: 'image', action: 'skip', srcId: img.id, name: srcUrl, note: 'hook', ...parent });
+          continue;
+        }
+        
+        plan.add({
+          entity: 'image',
+          action: 'create',
+          ref: planRef('image', img.id),
+          srcId: img.id,
+          name: srcUrl,
+          method: 'post',
+          url: `${productUrl}/images`,
+          payload: imagePayload,
+          ...parent
+        });
+      }
+    }
+  };
+  
+  for (const p of products) {
+    try {
+      await planProduct(p);
+    } catch (e) {
+      plan.add({ entity: 'product', action: 'skip', srcId: p.id, name: p.name, note: `could not plan: ${e.message}` });
+    }
+  }
+}
+
+/**
+ * Plan custom fields with the same decisions as ensureCustomFieldsInDst:
+ * fields mapped by a previous run first, then the dedup strategy
+ */
+function planCustomFields(plan, { productId, productUrl, srcFields, dstFields, strategy, idMap }) {
+  const byId = new Map(dstFields.map(cf => [cf.id, cf]));
+  const byName = new Map(dstFields.map(cf => [normalize(cf.name), cf]));
+  const pairKey = (cf) => `${normalize(cf.name)}::${normalize(String(cf.value ?? ''))}`;
+  const have = new Set(dstFields.map(pairKey));
+  
+  for (const cf of srcFields) {
+    const data = { name: String(cf.name ?? ''), value: String(cf.value ?? '') };
+    const base = { entity: 'custom_field', srcId: cf.id, name: cf.name, parentSrcId: productId };
+    
+    const match = byId.get(idMap?.get('customFields', cf.id)) ||
+      (strategy === 'overwrite_by_name' ? byName.get(normalize(data.name)) : null);
+    
+    if (match) {
+      const changes = diffFields(data, match);
+      plan.add({
+        ...base,
+        action: changes.length ? 'update' : 'noop',
+        dstId: match.id,
+        method: 'put',
+        url: `${productUrl}/custom-fields/${match.id}`,
+        payload: data,
+        changes
+      });
+    } else if (strategy !== 'overwrite_by_name' && have.has(pairKey(data))) {
+      plan.add({ ...base, action: 'noop', note: 'exists' });
+    } else {
+      plan.add({ ...base, action: 'create', ref: planRef('custom_field', cf.id), method: 'post', url: `${productUrl}/custom-fields`, payload: data });
+      have.add(pairKey(data));
+    }
+  }
+}
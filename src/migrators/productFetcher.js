@@ -3,9 +3,13 @@ import { pagedGetAll, requestWithRetry } from '../api/client.js';
 import { chunk } from '../utils/array.js';
 
 /**
- * Fetch source products with server-side filters
+ * Fetch source products with server-side filters.
+ * cli.since (a Date, delta sync) adds date_modified:min to every query; params are added
+ * to every query too, e.g. an include of sub-resources.
  */
-export async function fetchSourceProducts(srcClient, cli, pageSize = 250) {
+export async function fetchSourceProducts(srcClient, cli, pageSize = 250, params = {}) {
+  const since = { ...params, ...(cli.since ? { 'date_modified:min': cli.since.toISOString() } : {}) };
+  
   // Fetch by specific IDs
   if (Array.isArray(cli.onlyIds) && cli.onlyIds.length) {
     const chunks = chunk(cli.onlyIds, 50);
@@ -17,7 +21,8 @@ export async function fetchSourceProducts(srcClient, cli, pageSize = 250) {
         url: '/catalog/products',
         params: { 
           limit: pageSize, 
-          'id:in': ids.join(',') 
+          'id:in': ids.join(','),
+          ...since
         }
       });
       out.push(...(res.data?.data || []));
@@ -32,7 +37,7 @@ export async function fetchSourceProducts(srcClient, cli, pageSize = 250) {
     const exact = await requestWithRetry(srcClient, {
       method: 'get',
       url: '/catalog/products',
-      params: { name: cli.onlyName, limit: 50 }
+      params: { name: cli.onlyName, limit: 50, ...since }
     });
     
     let list = exact.data?.data || [];
@@ -42,7 +47,7 @@ export async function fetchSourceProducts(srcClient, cli, pageSize = 250) {
       const like = await requestWithRetry(srcClient, {
         method: 'get',
         url: '/catalog/products',
-        params: { 'name:like': cli.onlyName, limit: 50 }
+        params: { 'name:like': cli.onlyName, limit: 50, ...since }
       });
       
       list = like.data?.data || [];
@@ -52,7 +57,7 @@ export async function fetchSourceProducts(srcClient, cli, pageSize = 250) {
         const kw = await requestWithRetry(srcClient, {
           method: 'get',
           url: '/catalog/products',
-          params: { keyword: cli.onlyName, limit: 50 }
+          params: { keyword: cli.onlyName, limit: 50, ...since }
         });
         
         list = kw.data?.data || [];
@@ -67,7 +72,7 @@ export async function fetchSourceProducts(srcClient, cli, pageSize = 250) {
     const kw = await requestWithRetry(srcClient, {
       method: 'get',
       url: '/catalog/products',
-      params: { keyword: ' ', limit: pageSize }
+      params: { keyword: ' ', limit: pageSize, ...since }
     });
     
     return kw.data?.data || [];
@@ -77,11 +82,26 @@ export async function fetchSourceProducts(srcClient, cli, pageSize = 250) {
   return await pagedGetAll(
     srcClient, 
     '/catalog/products', 
-    { include: 'custom_fields,options,variants' },
+    { include: 'custom_fields,options,variants', ...since },
     pageSize
   );
 }
 
+/**
+ * Source product IDs that are in the ID map but no longer exist on the source,
+ * as [{ srcId, dstId }]. Reads only the IDs of the full source catalog.
+ */
+export async function findDeletedSourceProducts(srcClient, idMap, pageSize = 250) {
+  const mapped = idMap.entries('products');
+  if (!mapped.length) return [];
+  
+  const live = await pagedGetAll(srcClient, '/catalog/products', { include_fields: 'id' }, pageSize);
+  const liveIds = new Set(live.map(p => String(p.id)));
+  return mapped
+    .filter(([srcId]) => !liveIds.has(String(srcId)))
+    .map(([srcId, dstId]) => ({ srcId: Number(srcId), dstId }));
+}
+
 /**
  * Apply client-side filters to products
  */
@@ -116,15 +136,17 @@ export function filterProducts(products, cli) {
 }
 
 /**
- * Get product assets (custom fields, images, options, variants)
+ * Get product assets (custom fields, images, options, variants, bulk pricing rules).
+ * bulkPricing: false skips the bulk pricing rules (Shopify has none).
  */
-export async function getProductAssets(client, productId) {
-  const [customFields, images, options, variants] = await Promise.all([
+export async function getProductAssets(client, productId, { bulkPricing = true } = {}) {
+  const [customFields, images, options, variants, bulkPricingRules] = await Promise.all([
     pagedGetAll(client, `/catalog/products/${productId}/custom-fields`),
     pagedGetAll(client, `/catalog/products/${productId}/images`),
     pagedGetAll(client, `/catalog/products/${productId}/options`),
-    pagedGetAll(client, `/catalog/products/${productId}/variants`)
+    pagedGetAll(client, `/catalog/products/${productId}/variants`),
+    bulkPricing ? pagedGetAll(client, `/catalog/products/${productId}/bulk-pricing-rules`) : []
   ]);
   
-  return { customFields, images, options, variants };
+  return { customFields, images, options, variants, bulkPricingRules };
 }
@@ -1,6 +1,9 @@
 // Product upsert logic
 import { requestWithRetry } from '../api/client.js';
 import { namesEqual } from '../utils/string.js';
+import { applyFieldFilter } from '../models/product.js';
+import { pickFields } from '../services/runJournal.js';
+import { writeWithCustomUrl } from '../services/customUrl.js';
 
 /**
  * Find destination product by name
@@ -28,16 +31,91 @@ export async function findDstProductByName(dstClient, name) {
 }
 
 /**
- * Upsert product by name with different strategies
+ * Find destination product by ID (null if it no longer exists)
+ */
+export async function findDstProductById(dstClient, id) {
+  try {
+    const res = await requestWithRetry(dstClient, {
+      method: 'get',
+      url: `/catalog/products/${id}`
+    });
+    return res.data?.data || null;
+  } catch (e) {
+    if (e.status === 404) return null;
+    throw e;
+  }
+}
+
+/**
+ * Upsert product by name with different strategies.
+ * If knownId (from the ID map) still exists on the destination, it wins over any other match.
+ * Otherwise the matcher (see services/productMatch.js) finds it by source ID marker, then by
+ * the --match-by keys; without one, by name. Only a name match is subject to the dedup
+ * strategy - a marker, SKU, UPC, MPN or custom field match is the same item and is updated.
+ * Updates only write the fields selected by fieldFilter; creates send everything not excluded.
+ * With a run journal, creates and the prior values of updated fields are recorded for rollback.
  */
 export async function upsertProductByName({
   dstClient,
   payload,
   sourceProduct,
   strategy = 'update',
-  suffix = ' [sandbox]'
+  suffix = ' [sandbox]',
+  knownId,
+  fieldFilter = {},
+  urlStrategy = 'suffix',
+  matcher = null,
+  journal = null
 }) {
-  const existing = await findDstProductByName(dstClient, sourceProduct.name);
+  const update = async (existingProduct) => {
+    const data = applyFieldFilter(payload, fieldFilter);
+    if (Object.keys(data).length === 0) return existingProduct;
+    const url = `/catalog/products/${existingProduct.id}`;
+    const restore = pickFields(existingProduct, Object.keys(data));
+    const unrestorable = Object.keys(data).filter(key => !(key in restore));
+    if (journal && unrestorable.length) {
+      console.log(`  ! #${existingProduct.id} has no prior value for ${unrestorable.join(', ')}; rollback leaves them as written`);
+    }
+    const res = await writeWithCustomUrl(dstClient, 'put', url, data, urlStrategy);
+    journal?.updated('product', { url, id: existingProduct.id, srcId: sourceProduct.id, restore });
+    return res.data?.data;
+  };
+  // Matcher and name lookups return index records (name, SKU, ...); the journal needs the
+  // prior value of every field the update writes, so the full product is read first
+  const updateMatched = async (existingProduct) => {
+    const full = journal ? await findDstProductById(dstClient, existingProduct.id) : null;
+    return update(full || existingProduct);
+  };
+  const create = async (data) => {
+    const res = await writeWithCustomUrl(
+      dstClient, 'post', '/catalog/products', applyFieldFilter(data, fieldFilter, { create: true }), urlStrategy
+    );
+    const id = res.data?.data?.id;
+    journal?.created('product', { url: `/catalog/products/${id}`, id, srcId: sourceProduct.id });
+    return res.data?.data;
+  };
+  // Every product this run keeps carries its source ID, for exact matching in later runs
+  const done = async (product, created) => {
+    await matcher?.mark(product, sourceProduct, journal);
+    return { product, created, skipped: false };
+  };
+  
+  const mapped = knownId ? await findDstProductById(dstClient, knownId) : null;
+  
+  // A mapped product is the same item from a previous run: always update it
+  if (mapped) {
+    return done(await update(mapped), false);
+  }
+  
+  const match = matcher
+    ? await matcher.find(sourceProduct)
+    : await findDstProductByName(dstClient, sourceProduct.name).then(p => p && { product: p, via: 'name' });
+  const existing = match?.product;
+  
+  if (match && match.via !== 'name') {
+    console.log(`  ~ Matched #${existing.id} by ${match.via}`);
+    return done(await updateMatched(existing), false);
+  }
   
   // Skip if exists
   if (existing && strategy === 'skip') {
@@ -45,32 +123,17 @@ export async function upsertProductByName({
     return { product: existing, created: false, skipped: true };
   }
   
-  // Create with suffix
-  if (existing && strategy === 'suffix') {
-    const uniquePayload = { ...payload, name: `${payload.name}${suffix}` };
-    const res = await requestWithRetry(dstClient, {
-      method: 'post',
-      url: '/catalog/products',
-      data: uniquePayload
-    });
-    return { product: res.data?.data, created: true, skipped: false };
+  // Create with suffix (also when the name belongs to a product migrated from another source product)
+  if (existing && (strategy === 'suffix' || match.claimed)) {
+    if (match.claimed) console.log(`  ~ Name taken by #${existing.id}, which was migrated from another source product`);
+    return done(await create({ ...payload, name: `${payload.name}${suffix}` }), true);
   }
   
   // Update existing
   if (existing) {
-    const res = await requestWithRetry(dstClient, {
-      method: 'put',
-      url: `/catalog/products/${existing.id}`,
-      data: payload
-    });
-    return { product: res.data?.data, created: false, skipped: false };
+    return done(await updateMatched(existing), false);
   }
   
   // Create new
-  const res = await requestWithRetry(dstClient, {
-    method: 'post',
-    url: '/catalog/products',
-    data: payload
-  });
-  return { product: res.data?.data, created: true, skipped: false };
+  return done(await create(payload), true);
 }
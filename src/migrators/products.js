@@ -1,17 +1,61 @@
 // Products migrator - main orchestration
 import { pagedGetAll, requestWithRetry } from '../api/client.js';
-import { baseProductPayload, hasRealVariants } from '../models/product.js';
+import {
+  baseProductPayload,
+  mapRelatedProducts,
+  unmappedRelatedProducts,
+  hasRealVariants,
+  applyFieldFilter,
+  isFieldSelected,
+  fieldFilterFrom
+} from '../models/product.js';
 import { fetchSourceProducts, filterProducts, getProductAssets } from './productFetcher.js';
 import { upsertProductByName } from './productUpsert.js';
+import { createBigCommerceMatcher } from '../services/productMatch.js';
 import { ensureOptionsInDst, getAllDstOptions, indexDstOptions } from '../services/options.js';
 import { migrateVariants } from './variants.js';
 import { ensureCustomFieldsInDst } from '../services/customFields.js';
+import { syncBulkPricingRules } from '../services/bulkPricing.js';
+import { NO_HOOKS } from '../services/hooks.js';
 import { uploadImageWithFallback } from '../services/image.js';
 import {
   setProductInventoryAbsolute,
   inventoryAbsoluteAdjust,
   readInventoryAtLocation
 } from '../services/inventory.js';
+import { runProducts, createStepRunner } from '../services/productRun.js';
+
+/**
+ * Set related_products on products whose related products were not all migrated when they
+ * were written (see mapRelatedProducts). Runs after every product of the run is mapped;
+ * products still missing from the ID map are reported as unresolved and the field is left alone.
+ */
+async function linkRelatedProducts(dstClient, pending, { idMap, report, journal }) {
+  if (!pending.length) return;
+  console.log(`\nLinking related products: ${pending.length} product(s)`);
+  
+  for (const { product: p, dstId } of pending) {
+    const unresolved = unmappedRelatedProducts(p.related_products, idMap);
+    if (unresolved.length) {
+      console.log(`  ! Related products of ${p.name} not migrated: #${unresolved.join(', #')}; left as they are`);
+      report?.record({ entity: 'related_products', action: 'skipped', srcId: p.id, dstId, name: p.name, note: `unresolved: ${unresolved.join(' ')}` });
+      continue;
+    }
+    
+    const url = `/catalog/products/${dstId}`;
+    try {
+      const res = await requestWithRetry(dstClient, { method: 'get', url, params: { include_fields: 'related_products' } });
+      const related = mapRelatedProducts(p.related_products, idMap);
+      await requestWithRetry(dstClient, { method: 'put', url, data: { related_products: related } });
+      journal?.updated('product', { url, id: dstId, srcId: p.id, restore: { related_products: res.data?.data?.related_products ?? [] } });
+      console.log(`  ~ Related products of ${p.name}: ${related.length}`);
+      report?.record({ entity: 'related_products', action: 'updated', srcId: p.id, dstId, name: p.name });
+    } catch (e) {
+      console.log(`  ❌ Related products of ${p.name} not set: ${e.message}`);
+      report?.record({ entity: 'related_products', action: 'failed', srcId: p.id, dstId, name: p.name, error: e });
+    }
+  }
+}
 
 /**
  * Migrate products from source to destination
@@ -24,7 +68,12 @@ export async function migrateProducts({
   defaultLocationId,
   cli,
   config,
-  dryRun = false
+  dryRun = false,
+  idMap = null,
+  checkpoint = null,
+  report = null,
+  hooks = NO_HOOKS,
+  journal = null
 }) {
   console.log('\n==== PRODUCTS ====');
   
@@ -33,39 +82,107 @@ export async function migrateProducts({
   
   console.log(`Total source products (after filters): ${products.length}`);
   
+  if (checkpoint?.resume) {
+    const before = products.length;
+    products = products.filter(p => !checkpoint.isDone(p.id));
+    console.log(`Resuming: ${before - products.length} product(s) already done, ${products.length} to go`);
+  }
+  
+  // Field allowlist/denylist (CLI overrides env). The allowlist limits updates only,
+  // so a nightly --fields=price,inventory run leaves merchandised content alone.
+  const fieldFilter = fieldFilterFrom(cli, config);
+  if (fieldFilter.include) console.log(`Updating only: ${fieldFilter.include.join(', ')}`);
+  if (fieldFilter.exclude) console.log(`Never writing: ${fieldFilter.exclude.join(', ')}`);
+  
+  // Products not in the ID map are matched by source ID marker, then by --match-by
+  const matcher = createBigCommerceMatcher({
+    dstClient,
+    matchBy: cli.matchBy || config.strategies.matchBy,
+    pageSize: config.settings.pageSize
+  });
+  console.log(`Match by: ID map, source ID marker, ${matcher.keys.join(' → ')}`);
+  
   let processed = 0, skippedCount = 0, failed = 0;
+  const pendingRelated = []; // products written without related_products, see linkRelatedProducts
   
-  for (const p of products) {
+  const processProduct = async (p) => {
+    let currentStep = 'fetch';
+    let newId;
+    const started = Date.now();
+    
+    const runStep = createStepRunner(checkpoint, p.id, (name) => { currentStep = name; });
+    
     try {
-      const { customFields, images, options, variants } = await getProductAssets(srcClient, p.id);
+      const skipByHook = (note = 'hook') => {
+        console.log(`~ Skipped by hook: ${p.name} (#${p.id})`);
+        report?.record({ entity: 'product', action: 'skipped', srcId: p.id, name: p.name, note });
+        skippedCount++;
+        checkpoint?.markDone(p.id);
+      };
+      
+      if (!(await hooks.shouldMigrate('product', p))) return skipByHook();
+      
+      const { customFields, images, options, variants, bulkPricingRules } = await getProductAssets(srcClient, p.id);
       const realVariantFlag = hasRealVariants(variants);
-      const payload = baseProductPayload(p, brandMap, catMap, realVariantFlag);
+      const relatedUnmapped = unmappedRelatedProducts(p.related_products, idMap).length > 0;
+      const payload = await hooks.transformProduct(
+        baseProductPayload(p, brandMap, catMap, realVariantFlag, { idMap, fieldMap: config.fieldMap }),
+        { source: p, variants, images, customFields }
+      );
+      if (!payload) return skipByHook();
       
       if (dryRun) {
-        console.log(`[DRY] Would create/update product: ${p.name} (tracking=${payload.inventory_tracking})`);
+        const fields = Object.keys(applyFieldFilter(payload, fieldFilter));
+        console.log(`[DRY] Would create/update product: ${p.name} (tracking=${payload.inventory_tracking}, ${fields.length} fields on update)`);
+        report?.record({ entity: 'product', action: 'updated', srcId: p.id, name: p.name, note: 'dry run (create or update)' });
         processed++;
-        continue;
+        return;
       }
       
-      const strategy = (config.strategies.nameDedup || 'update').toLowerCase();
-      const suffix = config.strategies.nameDedupSuffix || ' [sandbox]';
+      newId = checkpoint?.hasStep(p.id, 'upsert') ? checkpoint.get(p.id).dstId : undefined;
+      let action = 'updated';
       
-      const { product: dstProduct, created, skipped: isSkipped } = await upsertProductByName({
-        dstClient,
-        payload,
-        sourceProduct: p,
-        strategy,
-        suffix
-      });
-      
-      if (isSkipped) {
-        console.log(`~ Duplicate name skipped: ${p.name}`);
-        skippedCount++;
-        continue;
+      if (newId) {
+        console.log(`↷ Resuming product: ${p.name} (#${p.id} -> #${newId})`);
+      } else {
+        currentStep = 'upsert';
+        const strategy = (config.strategies.nameDedup || 'update').toLowerCase();
+        const suffix = config.strategies.nameDedupSuffix || ' [sandbox]';
+        
+        const { product: dstProduct, created, skipped: isSkipped } = await upsertProductByName({
+          dstClient,
+          payload,
+          sourceProduct: p,
+          strategy,
+          suffix,
+          knownId: idMap?.get('products', p.id),
+          fieldFilter,
+          urlStrategy: (config.strategies.customUrl || 'suffix').toLowerCase(),
+          matcher,
+          journal
+        });
+        
+        if (isSkipped) {
+          console.log(`~ Duplicate name skipped: ${p.name}`);
+          report?.record({ entity: 'product', action: 'skipped', srcId: p.id, dstId: dstProduct?.id, name: p.name, durationMs: Date.now() - started, note: 'duplicate name' });
+          skippedCount++;
+          checkpoint?.markDone(p.id);
+          return;
+        }
+        
+        console.log(`${created ? '+ Created' : '~ Updated'} product: ${p.name} (#${p.id} -> #${dstProduct.id})`);
+        newId = dstProduct.id;
+        action = created ? 'created' : 'updated';
+        idMap?.set('products', p.id, newId);
+        checkpoint?.markStep(p.id, 'upsert', { dstId: newId });
       }
       
-      console.log(`${created ? '+ Created' : '~ Updated'} product: ${p.name} (#${p.id} -> #${dstProduct.id})`);
-      const newId = dstProduct.id;
+      // Steps below are gated like fields; a product created in this run gets everything not excluded
+      const stepSelected = (field) => isFieldSelected(field, fieldFilter, { create: action === 'created' });
+      
+      if (relatedUnmapped && payload.related_products === undefined && stepSelected('related_products')) {
+        pendingRelated.push({ product: p, dstId: newId });
+      }
       
       // Debug inventory
       if (cli.debugInventory) {
@@ -75,170 +192,255 @@ export async function migrateProducts({
       }
       
       // Migrate OPTIONS (idempotent)
-      if ((options || []).length > 0) {
-        await ensureOptionsInDst(dstClient, newId, options);
-      }
-      
-      const allDstOptions = await getAllDstOptions(dstClient, newId);
-      const dstIdx = indexDstOptions(allDstOptions);
+      await runStep('options', async () => {
+        if ((options || []).length > 0) {
+          await ensureOptionsInDst(dstClient, newId, options, idMap, journal);
+        }
+      });
       
       // Migrate VARIANTS
-      const skuStrategy = (config.strategies.variantSku || 'suffix').toLowerCase();
-      const skuSuffix = config.strategies.variantSkuSuffix || '-SBX';
-      
-      const createdVariants = await migrateVariants({
-        dstClient,
-        productId: newId,
-        variants,
-        dstIdx,
-        skuStrategy,
-        skuSuffix
+      await runStep('variants', async () => {
+        const allDstOptions = await getAllDstOptions(dstClient, newId);
+        const dstIdx = indexDstOptions(allDstOptions);
+        
+        const skuStrategy = (config.strategies.variantSku || 'suffix').toLowerCase();
+        const skuSuffix = config.strategies.variantSkuSuffix || '-SBX';
+        
+        await migrateVariants({
+          dstClient,
+          productId: newId,
+          variants,
+          dstIdx,
+          skuStrategy,
+          skuSuffix,
+          idMap,
+          report,
+          srcProductId: p.id,
+          fieldFilter,
+          hooks,
+          srcProduct: p,
+          journal
+        });
       });
       
       // Migrate CUSTOM FIELDS
-      if (!cli.skipCustomFields) {
-        await ensureCustomFieldsInDst(
-          dstClient,
-          newId,
-          customFields || [],
-          (config.strategies.customFieldDedup || 'pair').toLowerCase()
-        );
-      } else {
-        console.log('  ~ Skipped custom fields by CLI flag');
-      }
+      await runStep('customFields', async () => {
+        if (!stepSelected('custom_fields')) return false;
+        if (!cli.skipCustomFields) {
+          await ensureCustomFieldsInDst(
+            dstClient,
+            newId,
+            customFields || [],
+            (config.strategies.customFieldDedup || 'pair').toLowerCase(),
+            { idMap, report, srcProductId: p.id, journal }
+          );
+        } else {
+          console.log('  ~ Skipped custom fields by CLI flag');
+          return false;
+        }
+      });
       
-      // Migrate IMAGES
-      if (!cli.skipImages) {
-        const srcImages = images || [];
-        console.log(`  • Found ${srcImages.length} image(s) on source`);
+      // Migrate BULK PRICING RULES
+      await runStep('bulkPricing', async () => {
+        if (!stepSelected('bulk_pricing_rules')) return false;
         
-        for (const img of srcImages) {
-          const srcUrl = img.url_zoom || img.url_standard || img.image_url || img.url_thumbnail || img.url_tiny;
+        const { created, deleted } = await syncBulkPricingRules(dstClient, newId, bulkPricingRules || [], { journal });
+        if (created || deleted) {
+          console.log(`  ~ Bulk pricing rules: ${created} created, ${deleted} removed`);
+        }
+      });
+      
+      // Migrate IMAGES
+      await runStep('images', async () => {
+        if (!stepSelected('images')) return false;
+        if (!cli.skipImages) {
+          const srcImages = images || [];
+          console.log(`  • Found ${srcImages.length} image(s) on source`);
           
-          if (!srcUrl) {
-            console.log('   ! Skipping image (no usable URL on source)');
-            continue;
-          }
+          const dstImageIds = new Set(
+            (await pagedGetAll(dstClient, `/catalog/products/${newId}/images`)).map(i => i.id)
+          );
           
-          try {
-            const result = await uploadImageWithFallback(dstClient, newId, srcUrl, {
+          for (const img of srcImages) {
+            const track = (action, extra) => report?.record({
+              entity: 'image', action, srcId: img.id, parentSrcId: p.id, ...extra
+            });
+            
+            if (dstImageIds.has(idMap?.get('images', img.id))) {
+              console.log(`   ~ Image already migrated: #${img.id} -> #${idMap.get('images', img.id)}`);
+              track('skipped', { dstId: idMap.get('images', img.id), note: 'exists' });
+              continue;
+            }
+            
+            const srcUrl = img.url_zoom || img.url_standard || img.image_url || img.url_thumbnail || img.url_tiny;
+            
+            if (!srcUrl) {
+              console.log('   ! Skipping image (no usable URL on source)');
+              track('skipped', { note: 'no usable URL on source' });
+              continue;
+            }
+            
+            const imagePayload = await hooks.transformImage({
+              image_url: srcUrl,
               is_thumbnail: img.is_thumbnail ?? false,
               sort_order: img.sort_order ?? 0,
               description: img.description || ''
+            }, { source: img, product: p });
+            
+            if (!imagePayload) {
+              console.log(`   ~ Image skipped by hook: #${img.id}`);
+              track('skipped', { name: srcUrl, note: 'hook' });
+              continue;
+            }
+            
+            const { image_url: imageUrl, ...imageMeta } = imagePayload;
+            const imgStarted = Date.now();
+            try {
+              const result = await uploadImageWithFallback(dstClient, newId, imageUrl, imageMeta);
+              console.log(`   + Image via ${result.method}: ${result.data?.id || ''}`);
+              idMap?.set('images', img.id, result.data?.id);
+              journal?.created('image', {
+                url: `/catalog/products/${newId}/images/${result.data?.id}`,
+                id: result.data?.id,
+                srcId: img.id,
+                parentSrcId: p.id,
+                parent: `/catalog/products/${newId}`
+              });
+              track('created', { dstId: result.data?.id, name: srcUrl, durationMs: Date.now() - imgStarted, note: `via ${result.method}` });
+            } catch (e) {
+              console.log(`   ❌ Image failed for ${p.name}: ${e.message}`);
+              track('failed', { name: srcUrl, durationMs: Date.now() - imgStarted, error: e });
+            }
+          }
+          
+          // Verify images
+          try {
+            const check = await requestWithRetry(dstClient, {
+              method: 'get',
+              url: `/catalog/products/${newId}/images`
             });
-            console.log(`   + Image via ${result.method}: ${result.data?.id || ''}`);
+            const count = (check.data?.data || []).length;
+            console.log(`  ✔ Images now on destination: ${count}`);
           } catch (e) {
-            console.log(`   ❌ Image failed for ${p.name}: ${e.message}`);
+            console.log(`  ! Couldn't verify images: ${e.message}`);
           }
+        } else {
+          console.log('  ~ Skipped images by CLI flag');
+          return false;
         }
-        
-        // Verify images
-        try {
-          const check = await requestWithRetry(dstClient, {
-            method: 'get',
-            url: `/catalog/products/${newId}/images`
-          });
-          const count = (check.data?.data || []).length;
-          console.log(`  ✔ Images now on destination: ${count}`);
-        } catch (e) {
-          console.log(`  ! Couldn't verify images: ${e.message}`);
-        }
-      } else {
-        console.log('  ~ Skipped images by CLI flag');
-      }
+      });
       
       // Migrate INVENTORY
-      try {
-        const locationId = defaultLocationId;
-        
-        if (!realVariantFlag) {
-          // Product-level inventory
-          const qty = p.inventory_level ?? 0;
-          await setProductInventoryAbsolute(dstClient, newId, qty, locationId);
-          console.log(`  ~ Set PRODUCT-level stock to ${qty} at location ${locationId}`);
-          
-          if (cli.debugInventory) {
-            const row = await readInventoryAtLocation(dstClient, {
-              sku: p.sku,
-              productId: newId,
-              locationId
-            });
-            console.log(`  ${row ? '✅' : '⚠️'} Readback at location ${locationId}: ${row ? (row.inventory?.available ?? row.quantity ?? '(?)') : 'not found'}`);
-          }
-        } else {
-          // Variant-level inventory
-          const dstVariantsLatest = await pagedGetAll(dstClient, `/catalog/products/${newId}/variants`);
-          const srcBySku = new Map(
-            (variants || [])
-              .filter(v => v.sku)
-              .map(v => [String(v.sku), v])
-          );
-          
-          const items = [];
-          for (const dv of (dstVariantsLatest || [])) {
-            if (!dv.sku) continue;
-            const sv = srcBySku.get(String(dv.sku));
-            if (sv && sv.inventory_level != null) {
-              items.push({
-                location_id: locationId,
-                variant_id: dv.id,
-                quantity: Number(sv.inventory_level) || 0
-              });
-            }
-          }
+      await runStep('inventory', async () => {
+        if (!stepSelected('inventory_level')) return false;
+        try {
+          const locationId = defaultLocationId;
           
-          if (items.length) {
-            await inventoryAbsoluteAdjust(dstClient, items, `set variant stock for product #${newId}`);
-            console.log(`  ~ Set stock for ${items.length} VARIANT(s) via Inventory API at location ${locationId}`);
+          if (!realVariantFlag) {
+            // Product-level inventory
+            const qty = p.inventory_level ?? 0;
+            await setProductInventoryAbsolute(dstClient, newId, qty, locationId);
+            console.log(`  ~ Set PRODUCT-level stock to ${qty} at location ${locationId}`);
             
-            if (cli.debugInventory && items.length === 1) {
-              const onlySku = (variants || []).find(v => v.sku)?.sku;
+            if (cli.debugInventory) {
               const row = await readInventoryAtLocation(dstClient, {
-                sku: onlySku,
+                sku: p.sku,
                 productId: newId,
                 locationId
               });
               console.log(`  ${row ? '✅' : '⚠️'} Readback at location ${locationId}: ${row ? (row.inventory?.available ?? row.quantity ?? '(?)') : 'not found'}`);
             }
           } else {
-            // Fallback to product-level
-            const fallback = p.inventory_level ?? 0;
-            await setProductInventoryAbsolute(dstClient, newId, fallback, locationId);
-            console.log(`  ~ Fallback: set PRODUCT-level stock to ${fallback} at location ${locationId}`);
+            // Variant-level inventory
+            const dstVariantsLatest = await pagedGetAll(dstClient, `/catalog/products/${newId}/variants`);
+            const srcBySku = new Map(
+              (variants || [])
+                .filter(v => v.sku)
+                .map(v => [String(v.sku), v])
+            );
+            // Mapped variant IDs first, so SKUs rewritten by a hook still line up
+            const srcByDstId = new Map(
+              (variants || [])
+                .filter(v => idMap?.get('variants', v.id))
+                .map(v => [idMap.get('variants', v.id), v])
+            );
             
-            if (cli.debugInventory) {
-              const row = await readInventoryAtLocation(dstClient, {
-                sku: p.sku,
-                productId: newId,
-                locationId
-              });
-              console.log(`  ${row ? '✅' : '⚠️'} Readback at location ${locationId}: ${row ? (row.inventory?.available ?? row.quantity ?? '(?)') : 'not found'}`);
+            const items = [];
+            for (const dv of (dstVariantsLatest || [])) {
+              const sv = srcByDstId.get(dv.id) || (dv.sku && srcBySku.get(String(dv.sku)));
+              if (sv && sv.inventory_level != null) {
+                items.push({
+                  location_id: locationId,
+                  variant_id: dv.id,
+                  quantity: Number(sv.inventory_level) || 0
+                });
+              }
+            }
+            
+            if (items.length) {
+              await inventoryAbsoluteAdjust(dstClient, items, `set variant stock for product #${newId}`);
+              console.log(`  ~ Set stock for ${items.length} VARIANT(s) via Inventory API at location ${locationId}`);
+              
+              if (cli.debugInventory && items.length === 1) {
+                const onlySku = (variants || []).find(v => v.sku)?.sku;
+                const row = await readInventoryAtLocation(dstClient, {
+                  sku: onlySku,
+                  productId: newId,
+                  locationId
+                });
+                console.log(`  ${row ? '✅' : '⚠️'} Readback at location ${locationId}: ${row ? (row.inventory?.available ?? row.quantity ?? '(?)') : 'not found'}`);
+              }
+            } else {
+              // Fallback to product-level
+              const fallback = p.inventory_level ?? 0;
+              await setProductInventoryAbsolute(dstClient, newId, fallback, locationId);
+              console.log(`  ~ Fallback: set PRODUCT-level stock to ${fallback} at location ${locationId}`);
+              
+              if (cli.debugInventory) {
+                const row = await readInventoryAtLocation(dstClient, {
+                  sku: p.sku,
+                  productId: newId,
+                  locationId
+                });
+                console.log(`  ${row ? '✅' : '⚠️'} Readback at location ${locationId}: ${row ? (row.inventory?.available ?? row.quantity ?? '(?)') : 'not found'}`);
+              }
             }
           }
+        } catch (e) {
+          console.log(`  ! Inventory set failed: ${e.message}`);
+          
+          // Last resort fallback: legacy catalog field
+          try {
+            const qty = p.inventory_level ?? 0;
+            await requestWithRetry(dstClient, {
+              method: 'put',
+              url: `/catalog/products/${newId}`,
+              data: { inventory_tracking: 'product', inventory_level: qty }
+            });
+            console.log(`  ~ Fallback: set catalog.inventory_level=${qty}`);
+          } catch (e2) {
+            console.log(`  ! Fallback failed: ${e2.message}`);
+          }
         }
-      } catch (e) {
-        console.log(`  ! Inventory set failed: ${e.message}`);
-        
-        // Last resort fallback: legacy catalog field
-        try {
-          const qty = p.inventory_level ?? 0;
-          await requestWithRetry(dstClient, {
-            method: 'put',
-            url: `/catalog/products/${newId}`,
-            data: { inventory_tracking: 'product', inventory_level: qty }
-          });
-          console.log(`  ~ Fallback: set catalog.inventory_level=${qty}`);
-        } catch (e2) {
-          console.log(`  ! Fallback failed: ${e2.message}`);
-        }
-      }
+      });
       
+      checkpoint?.markDone(p.id);
+      report?.record({ entity: 'product', action, srcId: p.id, dstId: newId, name: p.name, durationMs: Date.now() - started });
       processed++;
     } catch (e) {
       failed++;
-      console.log(`❌ Product failed: ${p.name} (#${p.id}) :: ${e.message}`);
+      checkpoint?.markFailed(p.id, currentStep, e);
+      report?.record({ entity: 'product', action: 'failed', srcId: p.id, dstId: newId, name: p.name, durationMs: Date.now() - started, note: `step ${currentStep}`, error: e });
+      console.log(`❌ Product failed: ${p.name} (#${p.id}) at step ${currentStep} :: ${e.message}`);
+    } finally {
+      idMap?.save();
     }
-  }
+  };
+  
+  await runProducts(products, { cli, config }, processProduct);
+  
+  await linkRelatedProducts(dstClient, pendingRelated, { idMap, report, journal });
+  idMap?.save({ force: true });
   
-  console.log(`\nProducts processed: ${processed}, failed: ${failed}, skipped by strategy: ${skippedCount}`);
+  console.log(`\nProducts processed: ${processed}, failed: ${failed}, skipped by strategy or hook: ${skippedCount}`);
 }
@@ -0,0 +1,382 @@
+// Prune - hide, archive or delete destination entities whose source counterpart was deleted
+import { requestWithRetry, pagedGetAll } from '../api/client.js';
+import { shopifyRequestWithRetry } from '../api/shopifyClient.js';
+import { pickFields } from '../services/runJournal.js';
+import { PASSTHROUGH_FIELDS, VARIANT_FIELDS } from '../models/product.js';
+import { chunk } from '../utils/array.js';
+
+export const PRUNE_POLICIES = ['hide', 'archive', 'delete'];
+
+// Source product sub-resources (`include` name -> ID map type)
+const PRODUCT_CHILDREN = { variants: 'variants', images: 'images', custom_fields: 'customFields' };
+
+// Fields that re-create a deleted product or variant (BigCommerce)
+const BC_PRODUCT_FIELDS = [
+  ...PASSTHROUGH_FIELDS, 'name', 'type', 'sku', 'description', 'weight', 'price', 'cost_price', 'sale_price',
+  'inventory_tracking', 'inventory_level', 'inventory_warning_level', 'brand_id', 'categories', 'related_products',
+  'is_visible', 'availability', 'condition'
+];
+const BC_VARIANT_FIELDS = [...VARIANT_FIELDS, 'sku', 'image_url'];
+
+// Fields that re-create a deleted product or variant (Shopify)
+const SHOPIFY_PRODUCT_FIELDS = ['title', 'body_html', 'vendor', 'product_type', 'handle', 'tags', 'status', 'template_suffix'];
+const SHOPIFY_VARIANT_FIELDS = [
+  'option1', 'option2', 'option3', 'price', 'compare_at_price', 'sku', 'barcode',
+  'weight', 'weight_unit', 'inventory_management', 'inventory_policy', 'taxable', 'requires_shipping'
+];
+
+/**
+ * Validate a prune policy name
+ */
+export function parsePrunePolicy(value) {
+  const policy = String(value || 'hide').toLowerCase();
+  if (!PRUNE_POLICIES.includes(policy)) {
+    throw new Error(`❌ Invalid prune policy "${value}". Use ${PRUNE_POLICIES.join(', ')}.`);
+  }
+  return policy;
+}
+
+/**
+ * Mapped entities (per ID map type) whose source ID no longer exists on the source.
+ * Products and their variants, images and custom fields come from one paged product read.
+ */
+export async function findSourceOrphans(srcClient, idMap, pageSize = 250) {
+  const live = {};
+  const include = Object.entries(PRODUCT_CHILDREN).filter(([, type]) => idMap.size(type) > 0);
+  
+  if (idMap.size('products') > 0 || include.length) {
+    const params = { include_fields: 'id' };
+    if (include.length) params.include = include.map(([name]) => name).join(',');
+    const products = await pagedGetAll(srcClient, '/catalog/products', params, pageSize);
+    
+    // An empty answer is far more likely a wrong store or token than a wiped catalog
+    if (!products.length && idMap.size('products') > 0) {
+      throw new Error(`❌ The source returned no products; refusing to prune ${idMap.size('products')} migrated product(s). Check the source credentials.`);
+    }
+    
+    live.products = new Set(products.map(p => String(p.id)));
+    for (const [name, type] of include) {
+      live[type] = new Set(products.flatMap(p => p[name] || []).map(c => String(c.id)));
+    }
+    // Parts of a split product ("<id>#<n>") go with their source product
+    live.productParts = new Set(idMap.entries('productParts').map(([key]) => key).filter(key => live.products.has(key.split('#')[0])));
+  }
+  for (const [type, url] of [['categories', '/catalog/categories'], ['brands', '/catalog/brands']]) {
+    if (idMap.size(type) > 0) {
+      live[type] = new Set((await pagedGetAll(srcClient, url, { include_fields: 'id' }, pageSize)).map(e => String(e.id)));
+    }
+  }
+  
+  const orphans = {};
+  for (const [type, ids] of Object.entries(live)) {
+    orphans[type] = idMap.entries(type)
+      .filter(([srcId]) => !ids.has(String(srcId)))
+      .map(([srcId, dstId]) => ({ srcId: type === 'productParts' ? srcId : Number(srcId), dstId }));
+  }
+  return orphans;
+}
+
+/**
+ * Destination resources by ID from an `id:in` list endpoint (BigCommerce)
+ */
+async function bcByIds(client, url, ids, params = {}) {
+  const out = new Map();
+  for (const part of chunk(ids, 50)) {
+    const res = await requestWithRetry(client, { method: 'get', url, params: { ...params, 'id:in': part.join(','), limit: 250 } });
+    for (const item of res.data?.data || []) out.set(String(item.id), item);
+  }
+  return out;
+}
+
+/**
+ * Destination images or custom fields by ID with their product (no list endpoint across products)
+ */
+async function bcProductChildren(client, name, pageSize) {
+  const out = new Map();
+  const products = await pagedGetAll(client, '/catalog/products', { include_fields: 'id', include: name }, pageSize);
+  for (const p of products) {
+    for (const child of p[name] || []) out.set(String(child.id), { ...child, product_id: p.id });
+  }
+  return out;
+}
+
+/**
+ * What pruning means per entity on a BigCommerce destination. `hide`/`archive` are the
+ * fields to PUT (none: the entity stays, only `delete` removes it); `restore` lists the
+ * fields that re-create it on rollback, or `snapshot` reads the full body that does.
+ */
+function bigCommerceTarget(client, pageSize) {
+  const located = (items, urlOf) => new Map([...items].map(([id, item]) => [id, { ...item, name: item.name ?? item.sku, url: urlOf(item) }]));
+  
+  return {
+    request: (opts) => requestWithRetry(client, opts),
+    wrap: (entity, body) => body,
+    entities: [
+      {
+        entity: 'product',
+        type: 'products',
+        hide: { is_visible: false },
+        archive: { is_visible: false, availability: 'disabled' },
+        collection: () => '/catalog/products',
+        locate: async (ids) => located(
+          await bcByIds(client, '/catalog/products', ids, { include_fields: 'name,is_visible,availability' }),
+          p => `/catalog/products/${p.id}`
+        ),
+        // The product with its variants, images, custom fields and bulk pricing rules, in one POST
+        snapshot: async (item) => {
+          const { data } = await requestWithRetry(client, {
+            method: 'get',
+            url: item.url,
+            params: { include: 'variants,images,custom_fields,bulk_pricing_rules' }
+          });
+          const p = data.data;
+          const variants = (p.variants || []).filter(v => v.option_values?.length);
+          return {
+            ...pickFields(p, BC_PRODUCT_FIELDS),
+            variants: variants.length ? variants.map(v => ({
+              ...pickFields(v, BC_VARIANT_FIELDS),
+              option_values: v.option_values.map(ov => ({ option_display_name: ov.option_display_name, label: ov.label }))
+            })) : undefined,
+            images: (p.images || []).map(img => ({ ...pickFields(img, ['is_thumbnail', 'sort_order', 'description']), image_url: img.url_zoom })),
+            custom_fields: (p.custom_fields || []).map(cf => pickFields(cf, ['name', 'value'])),
+            bulk_pricing_rules: (p.bulk_pricing_rules || []).map(r => pickFields(r, ['quantity_min', 'quantity_max', 'type', 'amount']))
+          };
+        }
+      },
+      {
+        entity: 'category',
+        type: 'categories',
+        hide: { is_visible: false },
+        archive: { is_visible: false },
+        restore: ['parent_id', 'name', 'description', 'sort_order', 'page_title', 'meta_keywords', 'meta_description',
+          'search_keywords', 'image_url', 'is_visible', 'default_product_sort', 'layout_file'],
+        collection: () => '/catalog/categories',
+        locate: async (ids) => located(await bcByIds(client, '/catalog/categories', ids), c => `/catalog/categories/${c.id}`)
+      },
+      {
+        entity: 'brand',
+        type: 'brands',
+        restore: ['name', 'page_title', 'meta_keywords', 'meta_description', 'search_keywords', 'image_url'],
+        collection: () => '/catalog/brands',
+        locate: async (ids) => located(await bcByIds(client, '/catalog/brands', ids), b => `/catalog/brands/${b.id}`)
+      },
+      {
+        entity: 'variant',
+        type: 'variants',
+        hide: { purchasing_disabled: true },
+        archive: { purchasing_disabled: true },
+        collection: (v) => `/catalog/products/${v.product_id}/variants`,
+        locate: async (ids) => located(
+          await bcByIds(client, '/catalog/variants', ids),
+          v => `/catalog/products/${v.product_id}/variants/${v.id}`
+        ),
+        snapshot: async (v) => ({
+          ...pickFields(v, BC_VARIANT_FIELDS),
+          option_values: (v.option_values || []).map(ov => ({ id: ov.id, option_id: ov.option_id }))
+        })
+      },
+      {
+        entity: 'image',
+        type: 'images',
+        restore: ['image_url', 'is_thumbnail', 'sort_order', 'description'],
+        collection: (img) => `/catalog/products/${img.product_id}/images`,
+        locate: async () => located(
+          new Map([...await bcProductChildren(client, 'images', pageSize)].map(([id, img]) => [id, { ...img, image_url: img.url_zoom }])),
+          img => `/catalog/products/${img.product_id}/images/${img.id}`
+        )
+      },
+      {
+        entity: 'custom_field',
+        type: 'customFields',
+        restore: ['name', 'value'],
+        collection: (cf) => `/catalog/products/${cf.product_id}/custom-fields`,
+        locate: async () => located(
+          await bcProductChildren(client, 'custom_fields', pageSize),
+          cf => `/catalog/products/${cf.product_id}/custom-fields/${cf.id}`
+        )
+      }
+    ]
+  };
+}
+
+/**
+ * What pruning means per entity on a Shopify destination (products, collections, variants).
+ * A re-created product gets its options, variants and images back, not its metafields.
+ */
+function shopifyTarget(client) {
+  const request = (opts) => shopifyRequestWithRetry(client, opts);
+  const byIds = async (url, key, ids, fields) => {
+    const out = new Map();
+    for (const part of chunk(ids, 250)) {
+      const res = await request({ method: 'get', url, params: { ids: part.join(','), fields, limit: 250 } });
+      for (const item of res.data?.[key] || []) out.set(String(item.id), item);
+    }
+    return out;
+  };
+  
+  const product = {
+    entity: 'product',
+    type: 'products',
+    hide: { status: 'draft' },
+    archive: { status: 'archived' },
+    collection: () => '/products.json',
+    locate: async (ids) => new Map([...await byIds('/products.json', 'products', ids, 'id,title,status')]
+      .map(([id, p]) => [id, { ...p, name: p.title, url: `/products/${p.id}.json` }])),
+    snapshot: async (item) => {
+      const { data: { product: p } } = await request({ method: 'get', url: item.url });
+      return {
+        product: {
+          ...pickFields(p, SHOPIFY_PRODUCT_FIELDS),
+          options: (p.options || []).map(o => ({ name: o.name, values: o.values })),
+          variants: (p.variants || []).map(v => pickFields(v, SHOPIFY_VARIANT_FIELDS)),
+          images: (p.images || []).map(img => pickFields(img, ['src', 'position', 'alt']))
+        }
+      };
+    }
+  };
+  
+  // Categories are custom or smart collections (SHOPIFY_COLLECTIONS); only smart ones have rules
+  const collectionKind = (c) => (c.rules ? 'smart_collection' : 'custom_collection');
+  
+  return {
+    request,
+    wrap: (entity, body, item) => ({ [entity === 'category' ? collectionKind({ ...item, ...body }) : entity]: { id: item.id, ...body } }),
+    entities: [
+      product,
+      // Extra products of a split product
+      { ...product, type: 'productParts' },
+      {
+        entity: 'category',
+        type: 'categories',
+        hide: { published: false },
+        archive: { published: false },
+        restore: ['title', 'body_html', 'handle', 'sort_order', 'template_suffix', 'published', 'image', 'rules', 'disjunctive'],
+        collection: (c) => `/${collectionKind(c)}s.json`,
+        locate: async (ids) => new Map([
+          ...await byIds('/custom_collections.json', 'custom_collections', ids),
+          ...await byIds('/smart_collections.json', 'smart_collections', ids)
+        ].map(([id, c]) => [id, { ...c, name: c.title, published: c.published_at != null, url: `/${collectionKind(c)}s/${c.id}.json` }]))
+      },
+      {
+        entity: 'variant',
+        type: 'variants',
+        collection: (v) => `/products/${v.product_id}/variants.json`,
+        snapshot: async (v) => ({ variant: pickFields(v, SHOPIFY_VARIANT_FIELDS) }),
+        locate: async (ids) => {
+          // Variants can only be deleted through their product
+          const out = new Map();
+          for (const id of ids) {
+            try {
+              const { data } = await request({ method: 'get', url: `/variants/${id}.json` });
+              out.set(String(id), { ...data.variant, name: data.variant.sku, url: `/products/${data.variant.product_id}/variants/${id}.json` });
+            } catch (e) {
+              if (e.status !== 404) throw e;
+            }
+          }
+          return out;
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Hide, archive or delete (per `policy`) the destination entities that came from the source
+ * (found through the ID map) and no longer exist there. Products go first, so children of a
+ * deleted product are simply gone. Entities that cannot be hidden (brands, images, custom
+ * fields, Shopify variants) are kept unless the policy is delete. A dry run only lists.
+ */
+export async function pruneOrphans({
+  srcClient,
+  dstClient,
+  toShopify = false,
+  idMap,
+  policy = 'hide',
+  dryRun = false,
+  report = null,
+  journal = null,
+  pageSize = 250
+}) {
+  console.log(`\n==== PRUNE (${policy}) ====`);
+  
+  const orphans = await findSourceOrphans(srcClient, idMap, pageSize);
+  const target = toShopify ? shopifyTarget(dstClient) : bigCommerceTarget(dstClient, pageSize);
+  const stats = { pruned: 0, kept: 0, gone: 0, failed: 0, planned: 0 };
+  const verb = { hide: 'Hid', archive: 'Archived', delete: 'Deleted' }[policy];
+  const done = { hide: 'hidden', archive: 'archived', delete: 'deleted' }[policy];
+  
+  const total = Object.values(orphans).reduce((n, list) => n + list.length, 0);
+  if (!total) {
+    console.log('Nothing to prune: every migrated entity still exists on the source');
+    return stats;
+  }
+  
+  for (const { entity, type, restore, snapshot, collection, locate, ...policies } of target.entities) {
+    const list = orphans[type] || [];
+    if (!list.length) continue;
+    console.log(`\n${list.length} ${entity.replace('_', ' ')}(s) deleted on the source:`);
+    
+    const fields = policies[policy];
+    if (policy !== 'delete' && !fields) {
+      for (const { srcId, dstId } of list) {
+        console.log(`  ~ ${entity} #${dstId} (src #${srcId}) kept: it cannot be ${done}, only deleted`);
+        report?.record({ entity, action: 'skipped', srcId, dstId, note: `deleted on source; kept (cannot be ${done})` });
+        stats.kept++;
+      }
+      continue;
+    }
+    
+    const live = await locate(list.map(o => o.dstId));
+    
+    for (const { srcId, dstId } of list) {
+      const item = live.get(String(dstId));
+      const label = `${entity} #${dstId} (src #${srcId}${item?.name ? `, ${item.name}` : ''})`;
+      
+      if (!item) {
+        console.log(`  ~ ${label} is already gone from the destination`);
+        if (!dryRun) idMap.delete(type, srcId);
+        report?.record({ entity, action: 'skipped', srcId, dstId, note: 'deleted on source; already gone from destination' });
+        stats.gone++;
+        continue;
+      }
+      if (fields && Object.entries(fields).every(([k, v]) => item[k] === v)) {
+        console.log(`  = ${label} is already ${done}`);
+        report?.record({ entity, action: 'skipped', srcId, dstId, note: `deleted on source; already ${done}` });
+        stats.kept++;
+        continue;
+      }
+      if (dryRun) {
+        console.log(`  [DRY] Would ${policy} ${label}`);
+        stats.planned++;
+        continue;
+      }
+      
+      try {
+        if (policy === 'delete') {
+          const body = snapshot ? await snapshot(item) : target.wrap(entity, pickFields(item, restore), {});
+          await target.request({ method: 'delete', url: item.url });
+          journal?.deleted(entity, { url: collection(item), id: item.id, srcId, restore: body });
+          idMap.delete(type, srcId);
+          report?.record({ entity, action: 'deleted', srcId, dstId, name: item.name, note: 'deleted on source' });
+        } else {
+          await target.request({ method: 'put', url: item.url, data: target.wrap(entity, fields, item) });
+          journal?.updated(entity, { url: item.url, id: item.id, srcId, restore: target.wrap(entity, pickFields(item, Object.keys(fields)), item) });
+          report?.record({ entity, action: 'updated', srcId, dstId, name: item.name, note: `deleted on source; ${done}` });
+        }
+        console.log(`  ✖ ${verb} ${label}`);
+        stats.pruned++;
+      } catch (e) {
+        console.log(`  ❌ Could not ${policy} ${label}: ${e.message}`);
+        report?.record({ entity, action: 'failed', srcId, dstId, note: `prune (${policy})`, error: e });
+        stats.failed++;
+      }
+    }
+  }
+  
+  if (!dryRun) idMap.save({ force: true });
+  
+  console.log(dryRun
+    ? `\n[DRY] ${stats.planned} to ${policy}, ${stats.kept} kept, ${stats.gone} already gone`
+    : `\n${verb}: ${stats.pruned}, kept: ${stats.kept}, already gone: ${stats.gone}, failed: ${stats.failed}`);
+  return stats;
+}
@@ -0,0 +1,221 @@
+// Rollback - undoes the destination writes of one run from its run journal
+import { requestWithRetry } from '../api/client.js';
+import { shopifyRequestWithRetry } from '../api/shopifyClient.js';
+import { shopifyMutation } from '../api/shopifyGraphql.js';
+import { ROLLBACK_ORDER, readRunJournal, markRolledBack, markUndone } from '../services/runJournal.js';
+
+// Journal entity -> ID map type, so rolled back creations are no longer treated as migrated
+export const ID_MAP_TYPES = {
+  brand: 'brands',
+  category: 'categories',
+  product: 'products',
+  option: 'options',
+  option_value: 'optionValues',
+  variant: 'variants',
+  image: 'images',
+  custom_field: 'customFields'
+};
+
+// Undo of the Shopify writes journaled by GID: [mutation, variables(id, restore)] per op and entity
+const GRAPHQL_UNDO = {
+  create: {
+    metaobject: [`
+      mutation metaobjectDelete($id: ID!) {
+        metaobjectDelete(id: $id) { deletedId userErrors { field message } }
+      }`, (id) => ({ id })],
+    file: [`
+      mutation fileDelete($fileIds: [ID!]!) {
+        fileDelete(fileIds: $fileIds) { deletedFileIds userErrors { field message } }
+      }`, (id) => ({ fileIds: [id] })],
+    metaobject_definition: [`
+      mutation metaobjectDefinitionDelete($id: ID!) {
+        metaobjectDefinitionDelete(id: $id) { deletedId userErrors { field message } }
+      }`, (id) => ({ id })],
+    metafield_definition: [`
+      mutation metafieldDefinitionDelete($id: ID!, $deleteAllAssociatedMetafields: Boolean) {
+        metafieldDefinitionDelete(id: $id, deleteAllAssociatedMetafields: $deleteAllAssociatedMetafields) {
+          deletedDefinitionId
+          userErrors { field message }
+        }
+      }`, (id) => ({ id, deleteAllAssociatedMetafields: true })]
+  },
+  update: {
+    metaobject: [`
+      mutation metaobjectUpdate($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+        metaobjectUpdate(id: $id, metaobject: $metaobject) { metaobject { id } userErrors { field message } }
+      }`, (id, restore) => ({ id, metaobject: restore })],
+    metaobject_definition: [`
+      mutation metaobjectDefinitionUpdate($id: ID!, $definition: MetaobjectDefinitionUpdateInput!) {
+        metaobjectDefinitionUpdate(id: $id, definition: $definition) { metaobjectDefinition { id } userErrors { field message } }
+      }`, (id, restore) => ({ id, definition: restore })]
+  }
+};
+
+/**
+ * Undo a write journaled by GID through its GraphQL mutation. A resource that no longer
+ * exists fails like a REST 404.
+ */
+async function undoGraphqlWrite(client, e) {
+  const undo = GRAPHQL_UNDO[e.op]?.[e.entity];
+  if (!undo) throw new Error(`no GraphQL undo for ${e.op} of ${e.entity}`);
+  const [mutation, variables] = undo;
+  try {
+    await shopifyMutation(client, mutation, variables(e.url, e.restore));
+  } catch (err) {
+    if (err.userErrors?.some(u => /not exist|not found/i.test(u.message))) err.status = 404;
+    throw err;
+  }
+}
+
+// Fields of a re-created BigCommerce entity that hold IDs of entities the run may have deleted too
+const RESTORE_REFERENCES = { product: { brand_id: 'brand', categories: 'category' }, category: { parent_id: 'category' } };
+
+/**
+ * Order journal entries for undo: creates and updates children before parents, newest first
+ * within an entity; then deletions parents first (a category before its subcategories and
+ * products), so what is re-created can point at its re-created parent.
+ */
+export function rollbackPlan(entries) {
+  const rank = (entity) => ROLLBACK_ORDER.indexOf(entity);
+  const deletes = entries.filter(e => e.op === 'delete');
+  const deleted = new Map(deletes.map(e => [`${e.entity}:${e.id}`, e]));
+  const depth = (e, seen = new Set()) => {
+    const parent = e.restore?.parent_id && deleted.get(`${e.entity}:${e.restore.parent_id}`);
+    if (!parent || seen.has(parent)) return 0;
+    seen.add(parent);
+    return 1 + depth(parent, seen);
+  };
+  
+  return [
+    ...entries.filter(e => e.op !== 'delete').sort((a, b) => rank(a.entity) - rank(b.entity) || b.seq - a.seq),
+    ...deletes.sort((a, b) => rank(b.entity) - rank(a.entity) || depth(a) - depth(b) || a.seq - b.seq)
+  ];
+}
+
+/**
+ * Body that re-creates a deleted entity, its references to entities re-created earlier in
+ * the rollback swapped for their new IDs
+ */
+function recreateBody(e, recreated) {
+  const refs = RESTORE_REFERENCES[e.entity];
+  if (!refs || !recreated.size) return e.restore;
+  const swap = (entity, id) => recreated.get(`${entity}:${id}`) ?? id;
+  const body = { ...e.restore };
+  for (const [field, entity] of Object.entries(refs)) {
+    if (Array.isArray(body[field])) body[field] = body[field].map(id => swap(entity, id));
+    else if (body[field] != null) body[field] = swap(entity, body[field]);
+  }
+  return body;
+}
+
+/**
+ * Undo one run: delete what it created, PUT back what it updated, re-create what it deleted.
+ * Children of resources created in the same run go away with their parent and are skipped.
+ * Each undone entry is marked in the journal, so retrying a partly failed rollback only
+ * undoes the rest (and never re-creates a deleted resource twice).
+ */
+export async function rollbackRun({ client, target = 'bigcommerce', file, idMap = null, dryRun = false }) {
+  console.log('\n==== ROLLBACK ====');
+  
+  const { header, entries, rolledBack, undone } = readRunJournal(file);
+  if (rolledBack) {
+    throw new Error(`❌ Run ${header?.runId} was already rolled back at ${rolledBack.at}`);
+  }
+  if (header?.target && header.target !== target) {
+    throw new Error(`❌ Run ${header.runId} wrote to ${header.target}; rerun with${header.target === 'shopify' ? '' : 'out'} --to-shopify`);
+  }
+  
+  const request = target === 'shopify'
+    ? (opts) => shopifyRequestWithRetry(client, opts)
+    : (opts) => requestWithRetry(client, opts);
+  
+  const createdUrls = new Set(entries.filter(e => e.op === 'create').map(e => e.url));
+  const stats = { deleted: 0, restored: 0, recreated: 0, gone: 0, covered: 0, failed: 0, planned: 0, undone: 0 };
+  const recreated = new Map(); // "<entity>:<old id>" -> new ID
+  
+  console.log(`Run: ${header?.runId} (${entries.length} journaled write(s), started ${header?.started_at})`);
+  if (undone.size) console.log(`Retrying: ${undone.size} write(s) already undone by an earlier attempt`);
+  
+  for (const e of rollbackPlan(entries)) {
+    const label = `${e.entity} #${e.id ?? '?'}${e.srcId != null ? ` (src #${e.srcId})` : ''}`;
+    
+    if (undone.has(e.seq)) {
+      stats.undone++;
+      continue;
+    }
+    
+    if (e.parent && createdUrls.has(e.parent)) {
+      stats.covered++;
+      if (e.op === 'create') forget(idMap, e);
+      continue;
+    }
+    
+    if (dryRun) {
+      const verb = e.op === 'create' ? 'delete' : e.op === 'update' ? 'restore' : 're-create';
+      console.log(`[DRY] Would ${verb} ${label}: ${e.url}`);
+      stats.planned++;
+      continue;
+    }
+    
+    try {
+      if (target === 'shopify' && String(e.url).startsWith('gid://')) {
+        await undoGraphqlWrite(client, e);
+        console.log(`${e.op === 'create' ? '- Deleted' : '↺ Restored'} ${label}`);
+        stats[e.op === 'create' ? 'deleted' : 'restored']++;
+      } else if (e.op === 'create') {
+        await request({ method: 'delete', url: e.url });
+        console.log(`- Deleted ${label}`);
+        stats.deleted++;
+        forget(idMap, e);
+      } else if (e.op === 'update') {
+        await request({ method: 'put', url: e.url, data: e.restore });
+        console.log(`↺ Restored ${label}`);
+        stats.restored++;
+      } else if (e.op === 'delete') {
+        const { data } = await request({ method: 'post', url: e.url, data: recreateBody(e, recreated) });
+        const newId = data?.data?.id ?? Object.values(data || {})[0]?.id;
+        if (newId != null) recreated.set(`${e.entity}:${e.id}`, newId);
+        console.log(`+ Re-created ${label}${newId != null ? ` as #${newId}` : ''}`);
+        stats.recreated++;
+      }
+      markUndone(file, e.seq);
+    } catch (err) {
+      // Deleted since (by hand or by rolling back an earlier run): nothing left to undo
+      if (err.status === 404 && e.op !== 'delete') {
+        console.log(`~ Already gone: ${label}`);
+        stats.gone++;
+        if (e.op === 'create') forget(idMap, e);
+        markUndone(file, e.seq);
+        continue;
+      }
+      console.log(`❌ Could not undo ${e.op} of ${label}: ${err.message}`);
+      stats.failed++;
+    }
+  }
+  
+  if (!dryRun) {
+    idMap?.save({ force: true });
+    // A partly failed rollback stays open so it can be retried
+    if (stats.failed === 0) markRolledBack(file, stats);
+  }
+  
+  if (dryRun) {
+    console.log(`\n[DRY] ${stats.planned} write(s) would be undone, ${stats.covered} removed with their parent`);
+    return stats;
+  }
+  
+  console.log(`\nDeleted: ${stats.deleted}, restored: ${stats.restored}, re-created: ${stats.recreated}, ` +
+    `already gone: ${stats.gone}, removed with parent: ${stats.covered}, failed: ${stats.failed}` +
+    (stats.undone ? `, undone earlier: ${stats.undone}` : ''));
+  return stats;
+}
+
+/**
+ * Drop the ID mapping of a rolled back creation (only if it still points at that resource)
+ */
+function forget(idMap, e) {
+  // Parts of a split product are mapped as productParts ("<id>#<n>")
+  const type = e.entity === 'product' && String(e.srcId).includes('#') ? 'productParts' : ID_MAP_TYPES[e.entity];
+  if (!idMap || !type || e.srcId == null) return;
+  if (String(idMap.get(type, e.srcId)) === String(e.id)) idMap.delete(type, e.srcId);
+}
@@ -0,0 +1,221 @@
+// Serve - long-running sync: queue source webhooks and push each change through the product pipeline
+import { requestWithRetry } from '../api/client.js';
+import { migrateBrands } from './brands.js';
+import { migrateCategories } from './categories.js';
+import { migrateProducts } from './products.js';
+import { NO_HOOKS } from '../services/hooks.js';
+import { createWebhookServer, WEBHOOK_PATH } from '../services/webhooks.js';
+import { chunk } from '../utils/array.js';
+
+// Wait before retrying events whose sync failed (when nothing new arrives meanwhile)
+const RETRY_DELAY_MS = 60000;
+
+/**
+ * Source product IDs of SKU (variant) IDs, for SKU events without product_id in the payload
+ */
+async function resolveSkuProducts(srcClient, skuIds) {
+  const out = new Map();
+  for (const ids of chunk(skuIds, 50)) {
+    const res = await requestWithRetry(srcClient, {
+      method: 'get',
+      url: '/catalog/variants',
+      params: { 'id:in': ids.join(','), limit: 250 }
+    });
+    for (const v of res.data?.data || []) out.set(v.id, v.product_id);
+  }
+  return out;
+}
+
+/**
+ * Listen for webhooks and sync what they name until SIGINT/SIGTERM.
+ * Events are queued durably before they are acknowledged, then processed in batches once
+ * no new event arrived for debounceMs: category events re-run the category pass, product
+ * and SKU events run migrateProducts for just those products. Failed events are retried.
+ * Resolves with the session stats after shutdown.
+ */
+export async function serveWebhooks({
+  srcClient,
+  dstClient,
+  queue,
+  brandMap,
+  catMap,
+  defaultLocationId,
+  cli,
+  config,
+  dryRun = false,
+  idMap = null,
+  report,
+  hooks = NO_HOOKS,
+  journal = null,
+  port = 3000,
+  secret,
+  producer = null,
+  debounceMs = 2000,
+  onBatch = () => {}
+}) {
+  const stats = { received: 0, batches: 0, synced: 0, failed: 0, dropped: 0 };
+  let timer = null;
+  let running = null;
+  let stopping = false;
+  
+  /**
+   * Process one batch of pending events
+   */
+  const drain = async (events) => {
+    stats.batches++;
+    console.log(`\n==== WEBHOOK BATCH ${stats.batches} (${events.length} event(s)) ====`);
+    
+    const before = report.entries.length;
+    const byProduct = new Map(); // srcProductId -> queue event IDs
+    const done = [];
+    const categoryEvents = events.filter(e => e.entity === 'category');
+    
+    // SKU payloads usually carry the product ID; look up the rest
+    const unresolved = events.filter(e => e.entity === 'sku' && e.productId == null).map(e => e.entityId);
+    const skuProducts = unresolved.length ? await resolveSkuProducts(srcClient, [...new Set(unresolved)]) : new Map();
+    
+    for (const e of events) {
+      if (e.entity === 'category') continue;
+      
+      if (e.entity === 'product' && e.action === 'deleted') {
+        console.log(`✖ Product #${e.entityId} was deleted on the source (destination #${idMap?.get('products', e.entityId) ?? '?'} left as is)`);
+        report.record({ entity: 'product', action: 'skipped', srcId: e.entityId, dstId: idMap?.get('products', e.entityId), note: 'deleted on source' });
+        done.push(e.id);
+        continue;
+      }
+      
+      const productId = e.entity === 'product' ? e.entityId : e.productId ?? skuProducts.get(e.entityId);
+      if (productId == null) {
+        console.log(`~ ${e.scope} #${e.entityId}: variant no longer on the source, nothing to sync`);
+        done.push(e.id);
+        continue;
+      }
+      byProduct.set(productId, [...(byProduct.get(productId) || []), e.id]);
+    }
+    
+    if (categoryEvents.length && config.entities.categories) {
+      catMap = await migrateCategories({
+        srcClient, dstClient, dryRun, idMap, report, hooks, journal, urlStrategy: config.strategies.customUrl, strategy: cli.categoryStrategy
+      });
+    }
+    done.push(...categoryEvents.map(e => e.id));
+    
+    if (byProduct.size && config.entities.products) {
+      // Changed products may point at brands created since the last batch
+      if (config.entities.brands) {
+        brandMap = await migrateBrands({
+          srcClient, dstClient, dryRun, idMap, report, journal, strategy: cli.categoryStrategy, urlStrategy: config.strategies.customUrl
+        });
+      }
+      await migrateProducts({
+        srcClient,
+        dstClient,
+        brandMap,
+        catMap,
+        defaultLocationId,
+        cli: { ...cli, onlyIds: [...byProduct.keys()] },
+        config,
+        dryRun,
+        idMap,
+        report,
+        hooks,
+        journal
+      });
+    }
+    
+    const failedProducts = new Set(
+      report.entries.slice(before)
+        .filter(r => r.action === 'failed')
+        .map(r => (r.entity === 'product' ? r.src_id : r.parent_src_id))
+    );
+    const failed = [];
+    for (const [productId, ids] of byProduct) {
+      (failedProducts.has(productId) ? failed : done).push(...ids);
+    }
+    
+    queue.markDone(done);
+    for (const e of queue.markFailed(failed, 'product sync failed (see report)')) {
+      console.log(`❌ Giving up on ${e.scope} #${e.entityId} after repeated failures: ${e.error}`);
+      stats.dropped++;
+    }
+    stats.synced += done.length;
+    stats.failed += failed.length;
+  };
+  
+  /**
+   * Run a batch (one at a time), then schedule the next if events are left
+   */
+  const run = async () => {
+    if (running) return;
+    const receivedBefore = stats.received;
+    const events = queue.pending();
+    if (!events.length) return;
+    
+    running = drain(events).catch((e) => {
+      // Nothing in this batch was confirmed; all of it is retried
+      console.log(`❌ Webhook batch failed: ${e.message}`);
+      for (const dropped of queue.markFailed(events.map(ev => ev.id), e)) {
+        console.log(`❌ Giving up on ${dropped.scope} #${dropped.entityId} after repeated failures: ${dropped.error}`);
+        stats.dropped++;
+      }
+    });
+    await running;
+    running = null;
+    
+    idMap?.save({ force: true });
+    queue.compact();
+    onBatch();
+    
+    if (queue.size() > 0) schedule(stats.received > receivedBefore ? debounceMs : RETRY_DELAY_MS);
+    console.log(`\nWaiting for webhooks (${queue.size()} pending)...`);
+  };
+  
+  const schedule = (delay = debounceMs) => {
+    if (stopping) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      run();
+    }, delay);
+  };
+  
+  const server = createWebhookServer({
+    secret,
+    producer,
+    status: () => ({ pending: queue.size(), processing: Boolean(running), ...stats }),
+    onEvent: (event) => {
+      const queued = queue.push(event);
+      stats.received++;
+      console.log(`← ${event.scope} #${event.entityId}`);
+      if (!running) schedule();
+      return queued;
+    }
+  });
+  
+  return new Promise((resolve, reject) => {
+    const stop = async (signal) => {
+      if (stopping) return;
+      stopping = true;
+      clearTimeout(timer);
+      console.log(`\n${signal}: finishing the current batch, ${queue.size()} event(s) stay queued for the next start`);
+      server.close();
+      await running;
+      resolve(stats);
+    };
+    
+    server.on('error', reject);
+    server.listen(port, () => {
+      console.log(`\nListening on http://localhost:${port}${WEBHOOK_PATH} (health: /health)`);
+      process.once('SIGINT', () => stop('SIGINT'));
+      process.once('SIGTERM', () => stop('SIGTERM'));
+      
+      // Events left over from the last session go first
+      if (queue.size() > 0) {
+        console.log(`${queue.size()} queued event(s) from an earlier session`);
+        schedule(0);
+      } else {
+        console.log('Waiting for webhooks...');
+      }
+    });
+  });
+}
@@ -1,28 +1,343 @@
 // Migrate brands from BigCommerce to Shopify
-// In Shopify, brands are typically stored as vendors or custom collections
-import { shopifyRequestWithRetry, shopifyPagedGetAll } from '../api/shopifyClient.js';
+// In Shopify, brands are product vendors, optionally backed by `brand` metaobjects
+import { shopifyGraphql, shopifyMutation, fromGid } from '../api/shopifyGraphql.js';
 import { pagedGetAll } from '../api/client.js';
-import { normalize } from '../utils/string.js';
+import { handleize } from '../utils/string.js';
+import { strategyChanges } from '../services/updateStrategy.js';
+
+export const SHOPIFY_BRAND_MODES = ['vendor', 'metaobject'];
+
+// Metaobject type and fields of a brand (the logo is a file reference to an uploaded image)
+const BRAND_TYPE = 'brand';
+const BRAND_FIELD_DEFINITIONS = [
+  { key: 'name', name: 'Name', type: 'single_line_text_field', required: true },
+  { key: 'description', name: 'Description', type: 'multi_line_text_field' },
+  { key: 'logo', name: 'Logo', type: 'file_reference' },
+  { key: 'seo_title', name: 'SEO title', type: 'single_line_text_field' },
+  { key: 'seo_description', name: 'SEO description', type: 'multi_line_text_field' }
+];
+
+// Brands are published as online store pages at /pages/brands/<handle>, with the SEO fields as meta tags
+const BRAND_CAPABILITIES = {
+  publishable: { enabled: true },
+  renderable: { enabled: true, data: { metaTitleKey: 'seo_title', metaDescriptionKey: 'seo_description' } },
+  onlineStore: { enabled: true, data: { urlHandle: 'brands' } }
+};
+
+// Product metafield linking a product to its brand metaobject
+const BRAND_REFERENCE = { namespace: 'custom', key: 'brand', type: 'metaobject_reference' };
+
+const DEFINITION_BY_TYPE = `
+  query metaobjectDefinitionByType($type: String!) {
+    metaobjectDefinitionByType(type: $type) {
+      id
+      fieldDefinitions { key }
+      capabilities { publishable { enabled } renderable { enabled } onlineStore { enabled } }
+    }
+  }`;
+
+const DEFINITION_CREATE = `
+  mutation metaobjectDefinitionCreate($definition: MetaobjectDefinitionCreateInput!) {
+    metaobjectDefinitionCreate(definition: $definition) {
+      metaobjectDefinition { id }
+      userErrors { field message }
+    }
+  }`;
+
+const DEFINITION_UPDATE = `
+  mutation metaobjectDefinitionUpdate($id: ID!, $definition: MetaobjectDefinitionUpdateInput!) {
+    metaobjectDefinitionUpdate(id: $id, definition: $definition) {
+      metaobjectDefinition { id }
+      userErrors { field message }
+    }
+  }`;
+
+const REFERENCE_DEFINITION = `
+  query metafieldDefinitions($namespace: String!, $key: String!) {
+    metafieldDefinitions(first: 1, ownerType: PRODUCT, namespace: $namespace, key: $key) {
+      nodes { id type { name } }
+    }
+  }`;
+
+const REFERENCE_DEFINITION_CREATE = `
+  mutation metafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+    metafieldDefinitionCreate(definition: $definition) {
+      createdDefinition { id }
+      userErrors { field message }
+    }
+  }`;
+
+const METAOBJECT_BY_HANDLE = `
+  query metaobjectByHandle($handle: MetaobjectHandleInput!) {
+    metaobjectByHandle(handle: $handle) { id handle fields { key value } }
+  }`;
+
+const METAOBJECT_UPSERT = `
+  mutation metaobjectUpsert($handle: MetaobjectHandleInput!, $metaobject: MetaobjectUpsertInput!) {
+    metaobjectUpsert(handle: $handle, metaobject: $metaobject) {
+      metaobject { id handle }
+      userErrors { field message }
+    }
+  }`;
+
+const FILE_CREATE = `
+  mutation fileCreate($files: [FileCreateInput!]!) {
+    fileCreate(files: $files) {
+      files { id }
+      userErrors { field message }
+    }
+  }`;
+
+/**
+ * Validate a Shopify brand mode (SHOPIFY_BRANDS / --shopify-brands)
+ */
+export function parseBrandMode(value) {
+  const mode = String(value || 'vendor').toLowerCase();
+  if (!SHOPIFY_BRAND_MODES.includes(mode)) {
+    throw new Error(`❌ Invalid brand mode "${value}". Use ${SHOPIFY_BRAND_MODES.join(', ')}.`);
+  }
+  return mode;
+}
+
+/**
+ * Metaobject handle of a brand - derived from its name, so reruns find the same metaobject
+ */
+export function brandHandle(brand) {
+  return handleize(brand.name || '') || `brand-${brand.id}`;
+}
+
+/**
+ * Create the `brand` metaobject definition, or add the fields and online store pages an
+ * older one lacks; returns the definition GID. Journaled by GID: rollback deletes a created
+ * definition, or removes the added fields and restores the previous capabilities.
+ */
+async function ensureBrandDefinition(shopifyClient, journal = null) {
+  const { metaobjectDefinitionByType: definition } = await shopifyGraphql(shopifyClient, DEFINITION_BY_TYPE, { type: BRAND_TYPE });
+  
+  if (!definition) {
+    const { metaobjectDefinition } = await shopifyMutation(shopifyClient, DEFINITION_CREATE, {
+      definition: {
+        type: BRAND_TYPE,
+        name: 'Brand',
+        displayNameKey: 'name',
+        access: { storefront: 'PUBLIC_READ' },
+        capabilities: BRAND_CAPABILITIES,
+        fieldDefinitions: BRAND_FIELD_DEFINITIONS
+      }
+    });
+    console.log(`+ Created metaobject definition: ${BRAND_TYPE}`);
+    journal?.created('metaobject_definition', { url: metaobjectDefinition.id, id: fromGid(metaobjectDefinition.id) });
+    return metaobjectDefinition.id;
+  }
+  
+  const known = new Set(definition.fieldDefinitions.map(f => f.key));
+  const missing = BRAND_FIELD_DEFINITIONS.filter(f => !known.has(f.key));
+  const pages = Object.keys(BRAND_CAPABILITIES).every(c => definition.capabilities?.[c]?.enabled);
+  if (missing.length || !pages) {
+    await shopifyMutation(shopifyClient, DEFINITION_UPDATE, {
+      id: definition.id,
+      definition: {
+        fieldDefinitions: missing.map(({ required, ...f }) => ({ create: f })),
+        ...(pages ? {} : { capabilities: BRAND_CAPABILITIES })
+      }
+    });
+    const added = [...missing.map(f => f.key), ...(pages ? [] : ['online store pages'])];
+    console.log(`~ Added to metaobject definition ${BRAND_TYPE}: ${added.join(', ')}`);
+    const capabilities = Object.fromEntries(
+      Object.keys(BRAND_CAPABILITIES).map(c => [c, { enabled: Boolean(definition.capabilities?.[c]?.enabled) }])
+    );
+    journal?.updated('metaobject_definition', {
+      url: definition.id,
+      id: fromGid(definition.id),
+      restore: {
+        fieldDefinitions: missing.map(f => ({ delete: { key: f.key } })),
+        ...(pages ? {} : { capabilities })
+      }
+    });
+  }
+  return definition.id;
+}
+
+/**
+ * Create the product metafield definition custom.brand (a reference to a `brand` metaobject).
+ * Returns false when custom.brand already exists with another type, so products are not linked.
+ */
+async function ensureBrandReference(shopifyClient, definitionId, journal = null) {
+  const { namespace, key, type } = BRAND_REFERENCE;
+  const { metafieldDefinitions } = await shopifyGraphql(shopifyClient, REFERENCE_DEFINITION, { namespace, key });
+  const existing = metafieldDefinitions.nodes[0];
+  if (existing) {
+    if (existing.type.name === type) return true;
+    console.log(`⚠️  Products not linked to brand metaobjects: ${namespace}.${key} is already a ${existing.type.name} metafield`);
+    return false;
+  }
+  
+  const { createdDefinition } = await shopifyMutation(shopifyClient, REFERENCE_DEFINITION_CREATE, {
+    definition: {
+      name: 'Brand',
+      namespace,
+      key,
+      type,
+      ownerType: 'PRODUCT',
+      validations: [{ name: 'metaobject_definition_id', value: definitionId }]
+    }
+  });
+  console.log(`+ Created product metafield definition: ${namespace}.${key}`);
+  journal?.created('metafield_definition', { url: createdDefinition.id, id: fromGid(createdDefinition.id) });
+  return true;
+}
+
+/**
+ * Metafield linking a product to its brand metaobject (none when the brand has no metaobject)
+ */
+export function brandReferenceMetafield(brandId, brandObjects) {
+  const id = brandId && brandObjects?.get(brandId);
+  return id ? { ...BRAND_REFERENCE, value: id } : null;
+}
+
+/**
+ * Upload a brand's logo from its URL to Shopify Files; returns the file GID
+ */
+async function uploadLogo(shopifyClient, brand, journal = null) {
+  const { files } = await shopifyMutation(shopifyClient, FILE_CREATE, {
+    files: [{ originalSource: brand.image_url, contentType: 'IMAGE', alt: brand.name }]
+  });
+  journal?.created('file', { url: files[0].id, id: fromGid(files[0].id), srcId: brand.id });
+  return files[0].id;
+}
+
+/**
+ * Create or update the `brand` metaobject of one BigCommerce brand. Name, description (the
+ * brand's meta description) and SEO fields follow the category strategy; the logo is only
+ * uploaded when the metaobject has none. New metaobjects are published. Returns the
+ * metaobject GID (null on a dry run that would create it).
+ */
+async function upsertBrandMetaobject(shopifyClient, brand, { dryRun, report, strategy, journal = null, definitionId = null }) {
+  const handle = brandHandle(brand);
+  const { metaobjectByHandle: existing } = await shopifyGraphql(shopifyClient, METAOBJECT_BY_HANDLE, {
+    handle: { type: BRAND_TYPE, handle }
+  });
+  
+  const current = Object.fromEntries((existing?.fields || []).map(f => [f.key, f.value]));
+  const desired = {
+    name: brand.name,
+    description: brand.meta_description || '',
+    seo_title: brand.page_title || '',
+    seo_description: brand.meta_description || ''
+  };
+  const fields = existing
+    ? strategyChanges(desired, current, Object.keys(desired), strategy).map(ch => ch.field)
+    : Object.keys(desired);
+  const addLogo = Boolean(brand.image_url) && !current.logo && (!existing || strategy !== 'create-only');
+  
+  if (!fields.length && !addLogo) {
+    report?.record({ entity: 'brand', action: 'skipped', srcId: brand.id, dstId: fromGid(existing.id), name: brand.name, note: 'exists' });
+    return existing.id;
+  }
+  
+  const changed = [...fields, ...(addLogo ? ['logo'] : [])];
+  if (dryRun) {
+    console.log(`[DRY] Would ${existing ? 'update' : 'create'} brand metaobject: ${brand.name} (${handle})${existing ? `: ${changed.join(', ')}` : ''}`);
+    report?.record({ entity: 'brand', action: existing ? 'updated' : 'created', srcId: brand.id, name: brand.name, note: 'dry run' });
+    return existing?.id || null;
+  }
+  
+  // Blank fields of a new metaobject are left out rather than written empty
+  const values = fields.filter(key => existing || desired[key]).map(key => ({ key, value: desired[key] }));
+  if (addLogo) {
+    try {
+      values.push({ key: 'logo', value: await uploadLogo(shopifyClient, brand, journal) });
+    } catch (e) {
+      console.log(`  ! Brand logo not uploaded (${brand.image_url}): ${e.message}`);
+    }
+  }
+  if (!values.length) {
+    report?.record({ entity: 'brand', action: 'skipped', srcId: brand.id, dstId: fromGid(existing.id), name: brand.name, note: 'logo not uploaded' });
+    return existing.id;
+  }
+  
+  const { metaobject } = await shopifyMutation(shopifyClient, METAOBJECT_UPSERT, {
+    handle: { type: BRAND_TYPE, handle },
+    metaobject: { fields: values, ...(existing ? {} : { capabilities: { publishable: { status: 'ACTIVE' } } }) }
+  });
+  if (existing) {
+    journal?.updated('metaobject', {
+      url: metaobject.id,
+      id: fromGid(metaobject.id),
+      srcId: brand.id,
+      restore: { fields: values.map(({ key }) => ({ key, value: current[key] ?? '' })) }
+    });
+  } else {
+    // A metaobject of a definition created in this run goes away with it on rollback
+    journal?.created('metaobject', { url: metaobject.id, id: fromGid(metaobject.id), srcId: brand.id, parent: definitionId });
+  }
+  const verb = existing ? 'Updated' : 'Created';
+  console.log(`${existing ? '~' : '+'} ${verb} brand metaobject: ${brand.name} (${metaobject.handle})${existing ? `: ${values.map(v => v.key).join(', ')}` : ''}`);
+  report?.record({ entity: 'brand', action: existing ? 'updated' : 'created', srcId: brand.id, dstId: fromGid(metaobject.id), name: brand.name });
+  return metaobject.id;
+}
 
 /**
  * Migrate brands to Shopify as vendors
- * BigCommerce brands -> Shopify product vendors
- * @returns Map of BigCommerce brand ID to Shopify vendor name
+ * BigCommerce brands -> Shopify product vendors. With mode "metaobject", each brand also gets a
+ * published `brand` metaobject (name, description, logo, SEO) keyed by a handle derived from its
+ * name, and products link to it through the custom.brand metafield; metaobjects need the
+ * GraphQL Admin API.
+ * @returns {{ brandMap, brandObjects }} BigCommerce brand ID -> Shopify vendor name, and
+ *   BigCommerce brand ID -> brand metaobject GID (empty unless products link to metaobjects)
  */
-export async function migrateShopifyBrands(srcClient, shopifyClient, dryRun) {
-  console.log('\n==== BRANDS (to Shopify Vendors) ====');
+export async function migrateShopifyBrands({
+  srcClient,
+  shopifyClient,
+  dryRun,
+  report = null,
+  api = 'graphql',
+  mode = 'vendor',
+  strategy = 'create-only',
+  journal = null
+}) {
+  console.log(`\n==== BRANDS (to Shopify Vendors${mode === 'metaobject' ? ' and Brand Metaobjects' : ''}) ====`);
   
   // Fetch all brands from BigCommerce
   const srcBrands = await pagedGetAll(srcClient, '/catalog/brands');
   
-  // In Shopify, brands are just vendor strings, not separate entities
-  // We'll collect unique vendor names and use them when creating products
+  // Vendors are just strings on the products; metaobjects are written here
+  let metaobjects = mode === 'metaobject';
+  let linkProducts = false;
+  let definitionId = null;
+  if (metaobjects && api === 'rest') {
+    console.log('⚠️  Brand metaobjects not written: metaobjects need the GraphQL Admin API');
+    metaobjects = false;
+  } else if (metaobjects && !dryRun) {
+    try {
+      definitionId = await ensureBrandDefinition(shopifyClient, journal);
+      linkProducts = await ensureBrandReference(shopifyClient, definitionId, journal);
+    } catch (e) {
+      console.log(`❌ Brand metaobjects not written: ${e.message}`);
+      metaobjects = false;
+    }
+  }
+  
   const brandMap = new Map(); // srcBrandId -> vendor name
+  const brandObjects = new Map(); // srcBrandId -> brand metaobject GID
   
   for (const brand of srcBrands) {
     const vendorName = brand.name || 'Unknown';
     brandMap.set(brand.id, vendorName);
     
+    if (metaobjects) {
+      try {
+        const id = await upsertBrandMetaobject(shopifyClient, brand, { dryRun, report, strategy, journal, definitionId });
+        if (id && linkProducts) brandObjects.set(brand.id, id);
+      } catch (e) {
+        console.log(`  ❌ Failed to write brand metaobject ${vendorName}: ${e.message}`);
+        report?.record({ entity: 'brand', action: 'failed', srcId: brand.id, name: vendorName, error: e });
+      }
+      continue;
+    }
+    
+    report?.record({ entity: 'brand', action: 'skipped', srcId: brand.id, name: vendorName, note: 'used as vendor' });
+    
     if (dryRun) {
       console.log(`[DRY] Brand: ${vendorName} (will be used as vendor)`);
     } else {
@@ -30,6 +345,6 @@ export async function migrateShopifyBrands(srcClient, shopifyClient, dryRun) {
     }
   }
   
-  console.log(`Brand mappings prepared: ${brandMap.size}`);
-  return brandMap;
+  console.log(`Brand mappings prepared: ${brandMap.size}${brandObjects.size ? ` (${brandObjects.size} linked to metaobjects)` : ''}`);
+  return { brandMap, brandObjects };
 }
@@ -0,0 +1,369 @@
+// Bulk import to Shopify - one productSet per product in a JSONL file, run as a bulk mutation
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import FormData from 'form-data';
+import { shopifyGraphql, shopifyMutation, toGid, fromGid } from '../api/shopifyGraphql.js';
+import { NO_HOOKS } from '../services/hooks.js';
+import { createShopifyMatcher, shopifyMarkerPayload } from '../services/productMatch.js';
+import { createShopifyWriter, toProductSetInput } from '../services/shopifyWriter.js';
+import { SHOPIFY_MAX_VARIANTS } from '../services/variantOverflow.js';
+import { buildProductParts, customFieldMetafield, findShopifyProductById, migrateShopifyProducts } from './shopifyProducts.js';
+import { fetchSourceProducts, filterProducts } from './productFetcher.js';
+
+// Shopify takes bulk mutation files up to 100MB; larger imports run as several operations
+const MAX_FILE_BYTES = 90 * 1024 * 1024;
+
+// Bulk operation statuses that are still going
+const RUNNING = ['CREATED', 'RUNNING', 'CANCELING'];
+
+const BULK_PRODUCT_SET = `mutation productSet($input: ProductSetInput!) {
+  productSet(input: $input) {
+    product { id variants(first: 250) { nodes { id sku } } }
+    userErrors { field message }
+  }
+}`;
+
+const STAGED_UPLOADS_CREATE = `
+  mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets { url resourceUrl parameters { name value } }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_OPERATION_RUN_MUTATION = `
+  mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+    bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const BULK_OPERATION = `
+  query bulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+    }
+  }
+`;
+
+/**
+ * Dimension metafields of a built variant (0 counts, blank doesn't)
+ */
+function dimensionMetafields(variant = {}) {
+  return [['width', variant._bc_width], ['height', variant._bc_height], ['depth', variant._bc_depth]]
+    .filter(([, value]) => value != null && value !== '')
+    .map(([key, value]) => ({ namespace: 'custom', key: `dimension_${key}`, value: String(value), type: 'number_decimal' }));
+}
+
+/**
+ * Write the productSet variables as JSONL files of at most MAX_FILE_BYTES each
+ */
+function writeJsonlFiles(dir, runId, lines) {
+  fs.mkdirSync(dir, { recursive: true });
+  const chunks = [];
+  let current = null;
+  
+  for (const line of lines) {
+    const json = `${JSON.stringify({ input: line.input })}\n`;
+    const bytes = Buffer.byteLength(json);
+    if (!current || current.bytes + bytes > MAX_FILE_BYTES) {
+      current = { lines: [], parts: [], bytes: 0 };
+      chunks.push(current);
+    }
+    current.lines.push(line);
+    current.parts.push(json);
+    current.bytes += bytes;
+  }
+  
+  return chunks.map((chunk, i) => {
+    const file = path.join(dir, `${runId}${chunks.length > 1 ? `-${i + 1}` : ''}.jsonl`);
+    fs.writeFileSync(file, chunk.parts.join(''));
+    return { file, lines: chunk.lines };
+  });
+}
+
+/**
+ * Upload a JSONL file to a staged upload target; returns its stagedUploadPath
+ */
+async function stageUpload(shopifyClient, file) {
+  const filename = path.basename(file);
+  const { stagedTargets } = await shopifyMutation(shopifyClient, STAGED_UPLOADS_CREATE, {
+    input: [{ resource: 'BULK_MUTATION_VARIABLES', filename, mimeType: 'text/jsonl', httpMethod: 'POST' }]
+  });
+  const [target] = stagedTargets;
+  
+  const form = new FormData();
+  for (const { name, value } of target.parameters) form.append(name, value);
+  form.append('file', fs.createReadStream(file), { filename, contentType: 'text/jsonl' });
+  
+  try {
+    await axios.post(target.url, form, { headers: form.getHeaders(), maxBodyLength: Infinity });
+  } catch (e) {
+    throw new Error(`❌ Staged upload of ${filename} failed: ${e.response?.status ?? ''} ${e.message}`);
+  }
+  return target.parameters.find(p => p.name === 'key')?.value;
+}
+
+/**
+ * Poll a bulk operation until it stops running (1s, doubling up to 30s)
+ */
+async function waitForBulkOperation(shopifyClient, id) {
+  let wait = 1000;
+  for (;;) {
+    const data = await shopifyGraphql(shopifyClient, BULK_OPERATION, { id });
+    const operation = data?.node;
+    if (!RUNNING.includes(operation?.status)) return operation;
+    
+    console.log(`  … ${operation.status.toLowerCase()}, ${operation.objectCount ?? 0} product(s) done`);
+    await new Promise(r => setTimeout(r, wait));
+    wait = Math.min(wait * 2, 30000);
+  }
+}
+
+/**
+ * Result JSONL of a finished (or partly finished) operation, by __lineNumber
+ */
+async function readResults(operation) {
+  const results = new Map();
+  const url = operation.url || operation.partialDataUrl;
+  if (!url) return results;
+  
+  const res = await axios.get(url, { responseType: 'text', transformResponse: [d => d] });
+  for (const line of String(res.data).split('\n')) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+    results.set(row.__lineNumber, row);
+  }
+  return results;
+}
+
+/**
+ * Shopify product ID a source product (or split part) already has: the ID map entry if that
+ * product still exists (a stale entry is dropped), else a --match-by match. null when it's new.
+ */
+async function findExistingProduct(shopifyClient, matcher, idMap, mapType, key, source) {
+  const knownId = idMap?.get(mapType, key);
+  if (knownId) {
+    if (await findShopifyProductById(shopifyClient, knownId)) return knownId;
+    idMap.delete(mapType, key);
+  }
+  return (await matcher.find(source))?.product.id || null;
+}
+
+/**
+ * Migrate products to Shopify through bulk operations. Products are read from the source in one
+ * paged read (with their variants, images, options and custom fields), turned into productSet
+ * inputs - custom fields, dimensions, collections and the source ID marker included - and written
+ * to JSONL under bulkDir. Each file is uploaded, run with bulkOperationRunMutation and polled;
+ * its result JSONL is read back into the ID map, the checkpoint and the report.
+ * Bulk operations only create products: ones that already exist on Shopify go through
+ * migrateShopifyProducts afterwards, which journals their prior state for rollback.
+ */
+export async function migrateShopifyProductsBulk(options) {
+  const {
+    srcClient,
+    shopifyClient,
+    brandMap,
+    brandObjects = null,
+    collectionMap,
+    collectionTags = null,
+    cli,
+    config,
+    dryRun,
+    bulkDir,
+    runId,
+    idMap = null,
+    checkpoint = null,
+    report = null,
+    hooks = NO_HOOKS,
+    journal = null
+  } = options;
+  console.log('\n==== PRODUCTS (to Shopify, bulk) ====');
+  
+  if (cli.shopifyApi === 'rest') {
+    throw new Error('❌ --bulk runs GraphQL bulk operations; it can\'t be combined with --shopify-api=rest.');
+  }
+  
+  const include = { include: 'variants,images,custom_fields,options' };
+  let products = filterProducts(await fetchSourceProducts(srcClient, cli, config.settings.pageSize, include), cli);
+  console.log(`Total source products (after filters): ${products.length}`);
+  
+  if (checkpoint?.resume) {
+    const before = products.length;
+    products = products.filter(p => !checkpoint.isDone(p.id));
+    console.log(`Resuming: ${before - products.length} product(s) already done, ${products.length} to go`);
+  }
+  
+  const writer = dryRun ? null : await createShopifyWriter({ shopifyClient, api: 'graphql' });
+  if (writer && writer.api !== 'graphql') {
+    throw new Error('❌ --bulk needs the Shopify GraphQL Admin API, which this shop or token can\'t use (see above).');
+  }
+  const matcher = createShopifyMatcher({ shopifyClient, matchBy: cli.matchBy || config.strategies.matchBy });
+  const overflow = { strategy: cli.variantOverflow || config.strategies.variantOverflow, maxVariants: SHOPIFY_MAX_VARIANTS.graphql };
+  
+  let processed = 0, skipped = 0, failed = 0;
+  
+  // One productSet input per new product (per part of a split product)
+  const lines = [];
+  const existingIds = [];
+  for (const bcProduct of products) {
+    if (await findExistingProduct(shopifyClient, matcher, idMap, 'products', bcProduct.id, bcProduct)) {
+      existingIds.push(bcProduct.id);
+      continue;
+    }
+    
+    const skipByHook = () => {
+      console.log(`  ~ Skipped by hook: ${bcProduct.name}`);
+      report?.record({ entity: 'product', action: 'skipped', srcId: bcProduct.id, name: bcProduct.name, note: 'hook' });
+      skipped++;
+    };
+    if (!(await hooks.shouldMigrate('product', bcProduct))) {
+      skipByHook();
+      continue;
+    }
+    
+    const customFields = bcProduct.custom_fields || [];
+    let built;
+    try {
+      built = await buildProductParts(
+        bcProduct,
+        { customFields, images: bcProduct.images || [], options: bcProduct.options || [], variants: bcProduct.variants || [] },
+        { brandMap, brandObjects, collectionMap, collectionTags, hooks, cli, report, overflow }
+      );
+    } catch (error) {
+      // Variant overflow the strategy can't fit (or fail)
+      console.log(`  ❌ ${bcProduct.name} (#${bcProduct.id}): ${error.message}`);
+      checkpoint?.markFailed(bcProduct.id, 'payload', error);
+      report?.record({ entity: 'product', action: 'failed', srcId: bcProduct.id, name: bcProduct.name, note: 'bulk', error });
+      failed++;
+      continue;
+    }
+    if (!built.parts.some(part => part.payload)) {
+      skipByHook();
+      continue;
+    }
+    
+    // A split product with a part on Shopify already is updated part by part, like an existing product
+    const productLines = [];
+    let partExists = false;
+    for (const [i, { key, payload, shopifyVariants, sentVariants }] of built.parts.entries()) {
+      if (!payload) continue;
+      const mapType = key === bcProduct.id ? 'products' : 'productParts';
+      if (key !== bcProduct.id && await findExistingProduct(shopifyClient, matcher, idMap, mapType, key, { ...bcProduct, id: key, name: payload.title })) {
+        partExists = true;
+        break;
+      }
+      const input = toProductSetInput({
+        ...payload,
+        metafields: [
+          ...(payload.metafields || []),
+          ...(cli.skipCustomFields ? [] : customFields.map(customFieldMetafield)),
+          shopifyMarkerPayload(key)
+        ]
+      }, { locationId: writer?.locationId });
+      
+      input.variants?.forEach((variant, n) => {
+        const metafields = dimensionMetafields(shopifyVariants[n]);
+        if (metafields.length) variant.metafields = metafields;
+      });
+      // Smart collections (collectionTags) pick products up by their tags instead
+      const collections = collectionTags ? [] : (bcProduct.categories || []).map(id => collectionMap.get(id)).filter(Boolean);
+      if (collections.length) input.collections = collections.map(id => toGid('Collection', id));
+      
+      const note = i ? `bulk; split part ${i + 1}/${built.parts.length}` : ['bulk', built.note].filter(Boolean).join('; ');
+      productLines.push({ bcProduct, key, mapType, title: payload.title, note, sentVariants, input });
+    }
+    if (partExists) existingIds.push(bcProduct.id);
+    else lines.push(...productLines);
+  }
+  
+  const files = lines.length ? writeJsonlFiles(bulkDir, runId, lines) : [];
+  if (files.length) console.log(`Bulk input: ${lines.length} new product(s) in ${files.map(f => f.file).join(', ')}`);
+  if (existingIds.length) {
+    console.log(`${existingIds.length} product(s) already on Shopify are updated one by one after the bulk import`);
+  }
+  
+  if (dryRun) {
+    for (const { bcProduct, title, note } of lines) {
+      report?.record({ entity: 'product', action: 'created', srcId: bcProduct.id, name: title, note: `dry run (${note})` });
+    }
+    console.log(`[DRY] Would run ${files.length} bulk operation(s) of productSet`);
+    console.log(`\nProducts processed: ${lines.length}, failed: ${failed}, skipped: ${skipped}`);
+    await updateExisting(options, existingIds);
+    return;
+  }
+  
+  for (const [n, { file, lines: batch }] of files.entries()) {
+    console.log(`\nBulk operation ${n + 1}/${files.length}: ${batch.length} product(s)`);
+    const stagedUploadPath = await stageUpload(shopifyClient, file);
+    const { bulkOperation } = await shopifyMutation(shopifyClient, BULK_OPERATION_RUN_MUTATION, {
+      mutation: BULK_PRODUCT_SET,
+      stagedUploadPath
+    });
+    console.log(`  Started ${bulkOperation.id}`);
+    
+    const operation = await waitForBulkOperation(shopifyClient, bulkOperation.id);
+    console.log(`  ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ''}: ${operation.objectCount ?? 0} product(s)`);
+    const results = await readResults(operation);
+    
+    for (const [lineNumber, { bcProduct, key, mapType, title, note, sentVariants }] of batch.entries()) {
+      const row = results.get(lineNumber);
+      const result = row?.data?.productSet;
+      const errors = [
+        ...(row?.errors || []).map(e => e.message),
+        ...(result?.userErrors || []).map(e => `${(e.field || []).join('.')}: ${e.message}`)
+      ];
+      
+      if (!result?.product || errors.length) {
+        const error = new Error(errors.join('; ') || `no result (bulk operation ${operation.status})`);
+        console.log(`  ❌ ${title} (#${key}): ${error.message}`);
+        checkpoint?.markFailed(key, 'upsert', error);
+        report?.record({ entity: 'product', action: 'failed', srcId: bcProduct.id, name: title, note, error });
+        failed++;
+        continue;
+      }
+      
+      const dstId = fromGid(result.product.id);
+      idMap?.set(mapType, key, dstId);
+      journal?.created('product', { url: `/products/${dstId}.json`, id: dstId, srcId: key });
+      
+      // The result lists the first 250 variants; larger products are read back in pages
+      let dstVariants = (result.product.variants?.nodes || []).map(v => ({ id: fromGid(v.id) }));
+      if (sentVariants.length > dstVariants.length) dstVariants = await writer.productVariants(dstId);
+      sentVariants.forEach((v, i) => {
+        const dstVariantId = dstVariants[i]?.id;
+        idMap?.set('variants', v.id, dstVariantId);
+        report?.record({
+          entity: 'variant',
+          action: dstVariantId ? 'created' : 'skipped',
+          srcId: v.id,
+          dstId: dstVariantId,
+          parentSrcId: bcProduct.id,
+          name: v.sku,
+          note: dstVariantId ? undefined : 'not present on Shopify product'
+        });
+      });
+      
+      if (key === bcProduct.id) checkpoint?.markDone(bcProduct.id);
+      report?.record({ entity: 'product', action: 'created', srcId: bcProduct.id, dstId, name: title, note });
+      processed++;
+    }
+    
+    idMap?.save({ force: true });
+  }
+  
+  console.log(`\nProducts processed: ${processed}, failed: ${failed}, skipped: ${skipped}`);
+  await updateExisting(options, existingIds);
+}
+
+/**
+ * Update the products a bulk run found on Shopify already through the per-product path
+ */
+async function updateExisting(options, existingIds) {
+  if (!existingIds.length) return;
+  await migrateShopifyProducts({ ...options, cli: { ...options.cli, onlyIds: existingIds, limit: undefined, startAfterId: undefined } });
+}
@@ -1,8 +1,71 @@
 // Migrate categories from BigCommerce to Shopify
-// BigCommerce categories -> Shopify collections (custom collections)
+// BigCommerce categories -> Shopify collections (custom, or tag-based smart collections)
 import { shopifyRequestWithRetry, shopifyPagedGetAll } from '../api/shopifyClient.js';
+import { shopifyGraphql, shopifyMutation, toGid } from '../api/shopifyGraphql.js';
 import { pagedGetAll } from '../api/client.js';
-import { normalize } from '../utils/string.js';
+import { normalize, handleize } from '../utils/string.js';
+import { NO_HOOKS } from '../services/hooks.js';
+import { changedSince } from '../services/syncState.js';
+import { createShopifyWriter } from '../services/shopifyWriter.js';
+import { strategyChanges } from '../services/updateStrategy.js';
+import { journalMetafield } from './shopifyProducts.js';
+
+export const SHOPIFY_COLLECTION_MODES = ['custom', 'smart'];
+
+// Shopify menus nest at most 3 levels deep
+const MAX_MENU_DEPTH = 3;
+
+// Collection fields kept up to date on existing collections (per the category strategy)
+const COLLECTION_FIELDS = ['title', 'handle', 'body_html', 'published', 'sort_order'];
+
+// BigCommerce default_product_sort -> Shopify collection sort_order (others keep Shopify's default)
+const SORT_ORDERS = {
+  featured: 'manual',
+  newest: 'created-desc',
+  best_selling: 'best-selling',
+  alpha_asc: 'alpha-asc',
+  alpha_desc: 'alpha-desc',
+  price_asc: 'price-asc',
+  price_desc: 'price-desc'
+};
+
+const MENUS = `
+  query menus($after: String) {
+    menus(first: 250, after: $after) {
+      nodes { id handle }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const MENU_CREATE = `
+  mutation menuCreate($title: String!, $handle: String!, $items: [MenuItemCreateInput!]!) {
+    menuCreate(title: $title, handle: $handle, items: $items) {
+      menu { id handle }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MENU_UPDATE = `
+  mutation menuUpdate($id: ID!, $title: String!, $handle: String, $items: [MenuItemUpdateInput!]!) {
+    menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
+      menu { id handle }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Validate --collections / SHOPIFY_COLLECTIONS
+ */
+export function parseCollectionMode(value) {
+  const mode = String(value || 'custom').toLowerCase();
+  if (!SHOPIFY_COLLECTION_MODES.includes(mode)) {
+    throw new Error(`❌ Invalid collection mode "${value}". Use ${SHOPIFY_COLLECTION_MODES.join(', ')}.`);
+  }
+  return mode;
+}
 
 /**
  * Build category path map for hierarchical categories
@@ -11,25 +74,55 @@ function buildCategoryPathMap(categories) {
   const byId = new Map(categories.map(c => [c.id, c]));
   const cache = new Map();
   
-  function pathFor(cat) {
+  function namesFor(cat) {
     if (cache.has(cat.id)) return cache.get(cat.id);
     const name = (cat.name || '').trim();
     
     if (!cat.parent_id || cat.parent_id === 0) {
-      const p = `/${name}`;
-      cache.set(cat.id, p);
-      return p;
+      cache.set(cat.id, [name]);
+      return cache.get(cat.id);
     }
     
     const parent = byId.get(cat.parent_id);
-    const parentPath = parent ? pathFor(parent) : '';
-    const p = `${parentPath}/${name}`;
-    cache.set(cat.id, p);
-    return p;
+    const names = [...(parent ? namesFor(parent) : []), name];
+    cache.set(cat.id, names);
+    return names;
   }
   
-  const idToPath = new Map(categories.map(c => [c.id, pathFor(c)]));
-  return { byId, idToPath };
+  const idToNames = new Map(categories.map(c => [c.id, namesFor(c)]));
+  const idToPath = new Map([...idToNames].map(([id, names]) => [id, `/${names.join('/')}`]));
+  return { byId, idToPath, idToNames };
+}
+
+/**
+ * Title, handle, path and smart collection tag of each category's collection, by category ID.
+ * The title is the category name, or its path ("Men / Accessories") when another category has
+ * the same name. The handle comes from the category's custom URL, or else follows the path, so
+ * same-named categories get their own collection; the tag always follows the path.
+ */
+export function describeCollections(categories) {
+  const { idToPath, idToNames } = buildCategoryPathMap(categories);
+  const nameCount = new Map();
+  for (const c of categories) nameCount.set(normalize(c.name), (nameCount.get(normalize(c.name)) || 0) + 1);
+  
+  return new Map(categories.map((c) => {
+    const names = idToNames.get(c.id);
+    const pathHandle = handleize(names.join(' ')) || `category-${c.id}`;
+    return [c.id, {
+      path: idToPath.get(c.id),
+      title: nameCount.get(normalize(c.name)) > 1 ? names.join(' / ') : (c.name || 'Untitled'),
+      handle: handleize(c.custom_url?.url || '') || pathHandle,
+      tag: `category:${pathHandle}`
+    }];
+  }));
+}
+
+/**
+ * Smart collection tag per source category ID, for products when categories are not migrated this run
+ */
+export async function fetchCollectionTags(srcClient) {
+  const described = describeCollections(await pagedGetAll(srcClient, '/catalog/categories'));
+  return new Map([...described].map(([id, c]) => [id, c.tag]));
 }
 
 /**
@@ -62,70 +155,291 @@ function sortCatsParentFirst(categories) {
 }
 
 /**
- * Migrate categories to Shopify custom collections
+ * Parent-path metafields of a collection: its source category path, and its parent's collection
+ */
+function pathMetafields(path, parentCollectionId) {
+  const metafields = [{ namespace: 'custom', key: 'category_path', value: path, type: 'single_line_text_field' }];
+  if (parentCollectionId) {
+    metafields.push({ namespace: 'custom', key: 'parent_collection', value: toGid('Collection', parentCollectionId), type: 'collection_reference' });
+  }
+  return metafields;
+}
+
+/**
+ * SEO title and description of a collection (the global title_tag / description_tag metafields)
+ */
+function seoMetafields(cat) {
+  return [['title_tag', cat.page_title], ['description_tag', cat.meta_description]]
+    .filter(([, value]) => value)
+    .map(([key, value]) => ({ namespace: 'global', key, value, type: 'single_line_text_field' }));
+}
+
+/**
+ * REST collection payload for a category: title, handle, description, visibility, image and
+ * sort order, plus the tag rule of a smart collection
+ */
+function collectionPayload(cat, { title, handle, tag, smart }) {
+  return {
+    title,
+    handle,
+    body_html: cat.description || '',
+    published: cat.is_visible ?? true,
+    ...(cat.image_url ? { image: { src: cat.image_url, alt: cat.name } } : {}),
+    ...(SORT_ORDERS[cat.default_product_sort] ? { sort_order: SORT_ORDERS[cat.default_product_sort] } : {}),
+    ...(smart ? { rules: [{ column: 'tag', relation: 'equals', condition: tag }], disjunctive: false } : {})
+  };
+}
+
+/**
+ * Fields of a collection payload that an existing collection should get under the category
+ * strategy, by field name. An image is only added where the collection has none: Shopify
+ * re-hosts it, so a replaced source image can't be told from the one uploaded earlier.
+ */
+function collectionChanges(payload, current, strategy = 'create-only') {
+  const changes = Object.fromEntries(
+    strategyChanges(payload, current, COLLECTION_FIELDS, strategy).map(ch => [ch.field, ch.to])
+  );
+  if (strategy !== 'create-only' && payload.image && !current.image) changes.image = payload.image;
+  return changes;
+}
+
+/**
+ * Menu items mirroring the category tree (categories that have a collection, 3 levels deep at most)
+ */
+function buildMenuItems(ordered, catMap) {
+  const items = [];
+  const itemsByParent = new Map([[0, items]]); // category ID -> its item's children
+  const depth = new Map([[0, 0]]);
+  let omitted = 0;
+  
+  // Parents come first, so a category whose parent was left out is left out too
+  for (const cat of ordered) {
+    const parentId = cat.parent_id || 0;
+    const collectionId = catMap.get(cat.id);
+    if (!collectionId || !itemsByParent.has(parentId) || depth.get(parentId) >= MAX_MENU_DEPTH) {
+      omitted++;
+      continue;
+    }
+    
+    const item = { title: cat.name || 'Untitled', type: 'COLLECTION', resourceId: toGid('Collection', collectionId), items: [] };
+    itemsByParent.get(parentId).push(item);
+    itemsByParent.set(cat.id, item.items);
+    depth.set(cat.id, depth.get(parentId) + 1);
+  }
+  return { items, omitted };
+}
+
+/**
+ * Create or replace the navigation menu with this handle (GraphQL only; not journaled)
+ */
+async function writeMenu(shopifyClient, handle, items) {
+  let menu = null;
+  let after = null;
+  do {
+    const data = await shopifyGraphql(shopifyClient, MENUS, { after });
+    menu = data?.menus?.nodes.find(m => m.handle === handle) || null;
+    after = !menu && data?.menus?.pageInfo.hasNextPage ? data.menus.pageInfo.endCursor : null;
+  } while (after);
+  
+  const title = 'Categories';
+  if (menu) {
+    await shopifyMutation(shopifyClient, MENU_UPDATE, { id: menu.id, title, handle, items });
+    return { id: menu.id, created: false };
+  }
+  const created = await shopifyMutation(shopifyClient, MENU_CREATE, { title, handle, items });
+  return { id: created.menu.id, created: true };
+}
+
+/**
+ * Migrate categories to Shopify collections: custom collections (products are added to them),
+ * or with mode "smart" smart collections holding the products tagged with the category's tag.
+ * Collections are matched by ID map, then handle, then title; each gets its category path,
+ * parent collection and SEO title/description as metafields. Existing ones are updated per
+ * `strategy` (title, handle, description, visibility, sort order, and an image when they have
+ * none; SEO metafields too unless create-only). With menuHandle, a navigation menu mirroring the category
+ * tree is created or replaced. With `since` (delta sync), missing collections are only created
+ * if the category changed since then.
  * @returns Map of BigCommerce category ID to Shopify collection ID
  */
-export async function migrateShopifyCategories(srcClient, shopifyClient, dryRun) {
-  console.log('\n==== CATEGORIES (to Shopify Collections) ====');
+export async function migrateShopifyCategories({
+  srcClient,
+  shopifyClient,
+  dryRun,
+  idMap = null,
+  report = null,
+  hooks = NO_HOOKS,
+  journal = null,
+  since = null,
+  api = 'graphql',
+  mode = 'custom',
+  menuHandle = null,
+  strategy = 'create-only'
+}) {
+  console.log(`\n==== CATEGORIES (to Shopify ${mode === 'smart' ? 'Smart' : 'Custom'} Collections) ====`);
   
   // Fetch all categories from BigCommerce
   const srcCats = await pagedGetAll(srcClient, '/catalog/categories');
   
-  // Fetch existing Shopify collections
-  const existingCollections = await shopifyPagedGetAll(shopifyClient, '/custom_collections.json');
+  // Fetch existing Shopify collections (both kinds, so a mapped one is found whatever the mode)
+  const [customCollections, smartCollections] = await Promise.all([
+    shopifyPagedGetAll(shopifyClient, '/custom_collections.json'),
+    shopifyPagedGetAll(shopifyClient, '/smart_collections.json')
+  ]);
   
   const { idToPath: srcIdToPath } = buildCategoryPathMap(srcCats);
+  const described = describeCollections(srcCats);
   
-  // Build map of existing collections by title
+  // Build maps of existing collections by ID, handle and title
+  const dstById = new Map();
+  const dstByHandle = new Map();
   const dstByTitle = new Map();
-  for (const coll of existingCollections) {
+  const index = (coll) => {
+    dstById.set(coll.id, coll);
+    if (coll.handle) dstByHandle.set(coll.handle, coll);
     dstByTitle.set(normalize(coll.title), coll);
-  }
+  };
+  [...customCollections, ...smartCollections].forEach(index);
+  
+  // Metafields of existing collections are written through the writer (metafieldsSet or REST)
+  const writer = dryRun ? null : await createShopifyWriter({ shopifyClient, api });
   
   const catMap = new Map(); // srcCatId -> shopifyCollectionId
+  const claimed = new Set(); // collection IDs already used by a category this run
   const ordered = sortCatsParentFirst(srcCats);
   
   for (const cat of ordered) {
-    const title = cat.name || 'Untitled';
-    const key = normalize(title);
+    const { path, title, handle, tag } = described.get(cat.id);
+    
+    if (!(await hooks.shouldMigrate('category', cat, { path: srcIdToPath.get(cat.id) }))) {
+      console.log(`~ Skipped category by hook: ${title}`);
+      report?.record({ entity: 'category', action: 'skipped', srcId: cat.id, name: title, note: 'hook' });
+      continue;
+    }
     
-    let shopifyCollection = dstByTitle.get(key);
+    // A mapping shared with another category (same-named categories used to share one
+    // collection) only counts for the first; the others get their own path-aware collection
+    const mapped = dstById.get(idMap?.get('categories', cat.id));
+    let shopifyCollection = [mapped, dstByHandle.get(handle), dstByTitle.get(normalize(title))]
+      .find(c => c && !claimed.has(c.id)) || null;
+    
+    if (!shopifyCollection && !changedSince(cat, since)) {
+      report?.record({ entity: 'category', action: 'skipped', srcId: cat.id, name: title, note: `unchanged since ${since.toISOString()}` });
+      continue;
+    }
+    
+    const parentCollectionId = cat.parent_id ? catMap.get(cat.parent_id) : null;
+    const metafields = [...pathMetafields(path, parentCollectionId), ...(strategy === 'create-only' && shopifyCollection ? [] : seoMetafields(cat))];
+    const smart = shopifyCollection ? Boolean(shopifyCollection.rules) : mode === 'smart';
+    const resource = smart ? 'smart_collection' : 'custom_collection';
+    const collection = await hooks.transformCategory(
+      collectionPayload(cat, { title, handle, tag, smart }),
+      { source: cat, path: srcIdToPath.get(cat.id) }
+    );
+    
+    if (!shopifyCollection && !collection) {
+      console.log(`~ Skipped category by hook: ${title}`);
+      report?.record({ entity: 'category', action: 'skipped', srcId: cat.id, name: title, note: 'hook' });
+      continue;
+    }
     
     if (!shopifyCollection && !dryRun) {
-      // Create custom collection in Shopify
-      const payload = {
-        custom_collection: {
-          title: title,
-          body_html: cat.description || '',
-          published: cat.is_visible ?? true,
-          sort_order: 'manual',
-        }
-      };
-      
+      // Create the collection in Shopify (custom collections list products manually by default)
       try {
         const res = await shopifyRequestWithRetry(shopifyClient, {
           method: 'post',
-          url: '/custom_collections.json',
-          data: payload
+          url: `/${resource}s.json`,
+          data: { [resource]: { ...(smart ? {} : { sort_order: 'manual' }), ...collection, metafields } }
         });
         
-        shopifyCollection = res.data.custom_collection;
-        dstByTitle.set(key, shopifyCollection);
-        console.log(`+ Created collection: ${title} (#${shopifyCollection.id})`);
+        shopifyCollection = res.data[resource];
+        journal?.created('category', {
+          url: `/${resource}s/${shopifyCollection.id}.json`,
+          id: shopifyCollection.id,
+          srcId: cat.id
+        });
+        index(shopifyCollection);
+        console.log(`+ Created ${mode} collection: ${title} (#${shopifyCollection.id}, ${shopifyCollection.handle})`);
+        report?.record({ entity: 'category', action: 'created', srcId: cat.id, dstId: shopifyCollection.id, name: title });
       } catch (e) {
         console.log(`  ❌ Failed to create collection ${title}: ${e.message}`);
+        report?.record({ entity: 'category', action: 'failed', srcId: cat.id, name: title, error: e });
       }
     } else if (!shopifyCollection && dryRun) {
-      console.log(`[DRY] Would create collection: ${title}`);
+      console.log(`[DRY] Would create ${mode} collection: ${title} (${handle})`);
+      report?.record({ entity: 'category', action: 'created', srcId: cat.id, name: title, note: 'dry run' });
     } else {
-      console.log(`~ Collection exists: ${title} (#${shopifyCollection.id})`);
+      // REST collections report visibility as published_at
+      const current = { ...shopifyCollection, published: shopifyCollection.published_at != null };
+      const changes = collection ? collectionChanges(collection, current, strategy) : {};
+      const fields = Object.keys(changes);
+      const id = shopifyCollection.id;
+      
+      if (!fields.length) {
+        console.log(`~ Collection exists: ${title} (#${id})`);
+        report?.record({ entity: 'category', action: 'skipped', srcId: cat.id, dstId: id, name: title, note: 'exists' });
+      } else if (dryRun) {
+        console.log(`[DRY] Would update collection: ${title} (#${id}): ${fields.join(', ')}`);
+        report?.record({ entity: 'category', action: 'updated', srcId: cat.id, dstId: id, name: title, note: `dry run: ${fields.join(', ')}` });
+      } else {
+        // Shopify removes a collection image when it is set to ""
+        const previous = Object.fromEntries(fields.map(f => [f, f === 'image' ? (current.image || '') : current[f]]));
+        try {
+          const res = await shopifyRequestWithRetry(shopifyClient, {
+            method: 'put',
+            url: `/${resource}s/${id}.json`,
+            data: { [resource]: { id, ...changes } }
+          });
+          Object.assign(shopifyCollection, res.data[resource]);
+          journal?.updated('category', {
+            url: `/${resource}s/${id}.json`,
+            id,
+            srcId: cat.id,
+            restore: { [resource]: { id, ...previous } }
+          });
+          console.log(`~ Updated collection: ${title} (#${id}): ${fields.join(', ')}`);
+          report?.record({ entity: 'category', action: 'updated', srcId: cat.id, dstId: id, name: title, note: fields.join(', ') });
+        } catch (e) {
+          console.log(`  ❌ Failed to update collection ${title}: ${e.message}`);
+          report?.record({ entity: 'category', action: 'failed', srcId: cat.id, dstId: id, name: title, error: e });
+        }
+      }
+      
+      if (writer) {
+        const written = await writer.setMetafields('collection', id, metafields);
+        written.forEach((result, i) => {
+          if (result.ok) journalMetafield(journal, result, { owner: 'collection', ownerId: id, srcId: cat.id });
+          else console.log(`  ! Metafield ${metafields[i].namespace}.${metafields[i].key}: ${result.error.message}`);
+        });
+      }
     }
     
     if (shopifyCollection) {
+      claimed.add(shopifyCollection.id);
       catMap.set(cat.id, shopifyCollection.id);
+      idMap?.set('categories', cat.id, shopifyCollection.id);
     }
   }
   
+  idMap?.save({ force: true });
+  
   console.log(`Category mappings: ${catMap.size}`);
+  
+  if (menuHandle) {
+    const { items, omitted } = buildMenuItems(ordered, catMap);
+    const note = omitted ? ` (${omitted} categor${omitted === 1 ? 'y' : 'ies'} left out: not migrated or deeper than ${MAX_MENU_DEPTH} levels)` : '';
+    if (dryRun) {
+      console.log(`[DRY] Would write menu "${menuHandle}" mirroring the category tree (${MAX_MENU_DEPTH} levels at most)`);
+    } else if (writer.api !== 'graphql') {
+      console.log(`⚠️  Menu "${menuHandle}" not written: menus need the GraphQL Admin API`);
+    } else {
+      try {
+        const menu = await writeMenu(shopifyClient, menuHandle, items);
+        console.log(`✓ ${menu.created ? 'Created' : 'Replaced'} menu "${menuHandle}" with ${items.length} top-level item(s)${note}`);
+      } catch (e) {
+        console.log(`❌ Failed to write menu "${menuHandle}": ${e.message}`);
+      }
+    }
+  }
+  
   return catMap;
 }
@@ -1,61 +1,21 @@
 // Migrate products from BigCommerce to Shopify
-import { shopifyRequestWithRetry, shopifyPagedGetAll } from '../api/shopifyClient.js';
-import { pagedGetAll, requestWithRetry } from '../api/client.js';
+import { shopifyRequestWithRetry } from '../api/shopifyClient.js';
 import { normalize } from '../utils/string.js';
+import { runProducts, createStepRunner } from '../services/productRun.js';
+import { NO_HOOKS } from '../services/hooks.js';
+import { pickFields } from '../services/runJournal.js';
+import { diffFields } from '../services/plan.js';
+import { createShopifyMatcher, shopifyMarkerPayload } from '../services/productMatch.js';
+import { createShopifyWriter } from '../services/shopifyWriter.js';
+import { planVariantOverflow, SHOPIFY_MAX_OPTIONS, SHOPIFY_MAX_VARIANTS } from '../services/variantOverflow.js';
+import { brandReferenceMetafield } from './shopifyBrands.js';
+import { fetchSourceProducts, filterProducts, getProductAssets } from './productFetcher.js';
 
-/**
- * Get product assets from BigCommerce
- */
-async function getProductAssets(srcClient, productId) {
-  const [customFields, images, options, variants] = await Promise.all([
-    pagedGetAll(srcClient, `/catalog/products/${productId}/custom-fields`),
-    pagedGetAll(srcClient, `/catalog/products/${productId}/images`),
-    pagedGetAll(srcClient, `/catalog/products/${productId}/options`),
-    pagedGetAll(srcClient, `/catalog/products/${productId}/variants`)
-  ]);
-  return { customFields, images, options, variants };
-}
-
-/**
- * Fetch source products with filters
- */
-async function fetchSourceProducts(srcClient, cli, pageSize) {
-  if (Array.isArray(cli.onlyIds) && cli.onlyIds.length) {
-    const chunk = (arr, n) => arr.reduce((a, _, i) => (i % n ? a : [...a, arr.slice(i, i + n)]), []);
-    const chunks = chunk(cli.onlyIds, 50);
-    const out = [];
-    for (const ids of chunks) {
-      const res = await requestWithRetry(srcClient, {
-        method: 'get',
-        url: '/catalog/products',
-        params: { limit: pageSize, 'id:in': ids.join(',') }
-      });
-      out.push(...(res.data?.data || []));
-    }
-    return out;
-  }
-  
-  if (cli.onlyName) {
-    const exact = await requestWithRetry(srcClient, {
-      method: 'get',
-      url: '/catalog/products',
-      params: { name: cli.onlyName, limit: 50 }
-    });
-    let list = exact.data?.data || [];
-    
-    if (!list.length) {
-      const like = await requestWithRetry(srcClient, {
-        method: 'get',
-        url: '/catalog/products',
-        params: { 'name:like': cli.onlyName, limit: 50 }
-      });
-      list = like.data?.data || [];
-    }
-    return list;
-  }
-  
-  return await pagedGetAll(srcClient, '/catalog/products', {}, pageSize);
-}
+// Variant fields resent when an update is rolled back
+const SHOPIFY_VARIANT_FIELDS = [
+  'option1', 'option2', 'option3', 'price', 'compare_at_price', 'sku', 'barcode',
+  'weight', 'weight_unit', 'inventory_management', 'inventory_policy', 'taxable', 'requires_shipping'
+];
 
 /**
  * Map BigCommerce product type to Shopify product type
@@ -76,9 +36,11 @@ function hasRealVariants(variants = []) {
 }
 
 /**
- * Build Shopify product payload from BigCommerce product
+ * Build Shopify product payload from BigCommerce product. With collectionTags (smart
+ * collections), products are tagged with their categories' path tags instead. With
+ * brandObjects, the product links to its brand metaobject through custom.brand.
  */
-function buildShopifyProduct(bcProduct, brandMap, collectionMap) {
+function buildShopifyProduct(bcProduct, brandMap, collectionMap, collectionTags = null, brandObjects = null) {
   const vendor = bcProduct.brand_id && brandMap.get(bcProduct.brand_id)
     ? brandMap.get(bcProduct.brand_id)
     : '';
@@ -87,13 +49,17 @@ function buildShopifyProduct(bcProduct, brandMap, collectionMap) {
   const tags = [];
   if (Array.isArray(bcProduct.categories)) {
     for (const catId of bcProduct.categories) {
-      const collectionId = collectionMap.get(catId);
-      if (collectionId) {
-        tags.push(`category_${collectionId}`);
+      const tag = collectionTags
+        ? collectionTags.get(catId)
+        : collectionMap.get(catId) && `category_${collectionMap.get(catId)}`;
+      if (tag) {
+        tags.push(tag);
       }
     }
   }
   
+  const brandRef = brandReferenceMetafield(bcProduct.brand_id, brandObjects);
+  
   return {
     title: bcProduct.name || 'Untitled Product',
     body_html: bcProduct.description || '',
@@ -101,6 +67,7 @@ function buildShopifyProduct(bcProduct, brandMap, collectionMap) {
     product_type: mapProductType(bcProduct.type),
     tags: tags.join(', '),
     published: bcProduct.is_visible ?? true,
+    ...(brandRef ? { metafields: [brandRef] } : {})
   };
 }
 
@@ -200,91 +167,241 @@ function buildShopifyImages(bcImages) {
   }).filter(img => img.src);
 }
 
+/**
+ * Body that puts an updated Shopify product back the way it was. Variants are resent
+ * without IDs, since an update that replaced them removed the old ones. Updates leave
+ * images alone, so they are not part of it.
+ */
+function shopifyRestoreBody(existing, payload) {
+  const product = pickFields(existing, Object.keys(payload).filter(k => !['variants', 'images'].includes(k)));
+  
+  if (payload.variants) {
+    product.variants = (existing.variants || []).map(v => pickFields(v, SHOPIFY_VARIANT_FIELDS));
+  }
+  
+  return { product };
+}
+
+/**
+ * Shopify product payload (REST shape) for a BigCommerce product and its assets, after the
+ * transform hooks. `payload` is null when transformProduct drops the product; `sentVariants`
+ * are the source variants of the sent ones, in the same order.
+ */
+export async function buildProductPayload(bcProduct, { customFields, images, options, variants }, { brandMap, brandObjects = null, collectionMap, collectionTags = null, hooks = NO_HOOKS, cli = {}, report = null }) {
+  // Build Shopify product payload
+  const basePayload = buildShopifyProduct(bcProduct, brandMap, collectionMap, collectionTags, brandObjects);
+  
+  // Add options
+  const shopifyOptions = buildShopifyOptions(options);
+  if (shopifyOptions.length > 0) {
+    basePayload.options = shopifyOptions;
+  }
+  
+  // Add variants (transformVariant may rewrite or drop each one; keep the
+  // source variants aligned with what is sent so IDs map by position)
+  const builtVariants = buildShopifyVariants(bcProduct, variants, options);
+  const shopifyVariants = [];
+  const sentVariants = [];
+  for (let i = 0; i < builtVariants.length; i++) {
+    const source = variants.length ? variants[i] : bcProduct;
+    const sv = await hooks.transformVariant(builtVariants[i], { source, product: bcProduct });
+    if (!sv) {
+      console.log(`  ~ Variant skipped by hook: ${builtVariants[i].sku || source.id}`);
+      if (variants.length) {
+        report?.record({ entity: 'variant', action: 'skipped', srcId: source.id, parentSrcId: bcProduct.id, name: source.sku, note: 'hook' });
+      }
+      continue;
+    }
+    shopifyVariants.push(sv);
+    if (variants.length) sentVariants.push(source);
+  }
+  if (shopifyVariants.length > 0) {
+    basePayload.variants = shopifyVariants;
+  }
+  
+  // Add images
+  const shopifyImages = [];
+  for (const img of images || []) {
+    const [built] = buildShopifyImages([img]);
+    if (!built) continue;
+    const si = await hooks.transformImage(built, { source: img, product: bcProduct });
+    if (si) shopifyImages.push(si);
+    else console.log(`  ~ Image skipped by hook: ${built.src}`);
+  }
+  if (shopifyImages.length > 0 && !cli.skipImages) {
+    basePayload.images = shopifyImages;
+  }
+  
+  const payload = await hooks.transformProduct(basePayload, { source: bcProduct, variants, images, customFields });
+  return { payload, shopifyVariants, sentVariants, shopifyOptions, shopifyImages };
+}
+
+/**
+ * Shopify products for a BigCommerce product: one, or several when it has more options or
+ * variants than a Shopify product holds and the overflow strategy splits it (ctx.overflow,
+ * see planVariantOverflow). Each part is a buildProductPayload result with its key, the
+ * source product ID for the first part and "<id>#<n>" for the others. Split parts share
+ * the tag split-<id>; options kept as line-item properties go to custom.extra_options.
+ */
+export async function buildProductParts(bcProduct, assets, ctx) {
+  const { parts, dropped, note } = planVariantOverflow(assets, ctx.overflow);
+  if (note) console.log(`  ⚠️  ${note}`);
+  for (const v of dropped) {
+    ctx.report?.record({ entity: 'variant', action: 'skipped', srcId: v.id, parentSrcId: bcProduct.id, name: v.sku, note: 'variant overflow: collapsed into line-item properties' });
+  }
+  
+  const out = [];
+  for (const [i, part] of parts.entries()) {
+    const source = part.suffix ? { ...bcProduct, name: `${bcProduct.name} - ${part.suffix}` } : bcProduct;
+    const built = await buildProductPayload(source, { ...assets, options: part.options, variants: part.variants }, ctx);
+    if (built.payload && part.extraOptions.length) {
+      built.payload.metafields = [
+        ...(built.payload.metafields || []),
+        { namespace: 'custom', key: 'extra_options', value: JSON.stringify(part.extraOptions), type: 'json' }
+      ];
+    }
+    if (built.payload && parts.length > 1) {
+      built.payload.tags = [built.payload.tags, `split-${bcProduct.id}`].filter(Boolean).join(', ');
+    }
+    out.push({ key: i ? `${bcProduct.id}#${i + 1}` : bcProduct.id, ...built });
+  }
+  return { parts: out, note };
+}
+
+/**
+ * Metafield (namespace custom) holding a BigCommerce custom field
+ */
+export function customFieldMetafield(cf) {
+  return {
+    namespace: 'custom',
+    key: String(cf.name || 'field').toLowerCase().replace(/[^a-z0-9]/g, '_'),
+    value: String(cf.value || ''),
+    type: 'single_line_text_field'
+  };
+}
+
+/**
+ * Journal a metafield write: a created one is deleted on rollback, an updated one gets its old value back
+ */
+export function journalMetafield(journal, result, { owner, ownerId, parent, srcId, parentSrcId }) {
+  if (result.created) {
+    journal?.created('metafield', { url: `/${owner}s/${ownerId}/metafields/${result.id}.json`, id: result.id, srcId, parentSrcId, parent });
+  } else if (result.previous) {
+    journal?.updated('metafield', {
+      url: `/metafields/${result.id}.json`,
+      id: result.id,
+      srcId,
+      parent,
+      restore: { metafield: { id: result.id, value: result.previous.value } }
+    });
+  }
+}
+
 /**
  * Create dimension metafields for a variant
  */
-async function createVariantDimensionMetafields(shopifyClient, variantId, width, height, depth) {
+async function createVariantDimensionMetafields(writer, variantId, width, height, depth, { journal = null, parent, fresh = false } = {}) {
   const dimensions = [
     { key: 'width', value: width, label: 'Width' },
     { key: 'height', value: height, label: 'Height' },
     { key: 'depth', value: depth, label: 'Depth/Length' }
-  ];
+  ].filter(dim => dim.value != null && dim.value !== ''); // allow 0 if it's explicitly set
   
   const results = { success: [], failed: [] };
+  const written = await writer.setMetafields('variant', variantId, dimensions.map(dim => ({
+    namespace: 'custom',
+    key: `dimension_${dim.key}`,
+    value: String(dim.value),
+    type: 'number_decimal'
+  })), { fresh });
   
-  for (const dim of dimensions) {
-    // Skip null, undefined, empty string, but allow 0 if it's explicitly set
-    if (dim.value == null || dim.value === '') {
-      continue;
+  dimensions.forEach((dim, i) => {
+    const result = written[i];
+    if (result.ok) {
+      journalMetafield(journal, result, { owner: 'variant', ownerId: variantId, parent });
+      results.success.push(dim.key);
+      console.log(`    ✓ ${result.created ? 'Created' : 'Updated'} metafield custom.dimension_${dim.key} = ${dim.value}`);
+      return;
     }
     
-    try {
-      const response = await shopifyRequestWithRetry(shopifyClient, {
-        method: 'post',
-        url: `/variants/${variantId}/metafields.json`,
-        data: {
-          metafield: {
-            namespace: 'custom',
-            key: `dimension_${dim.key}`,
-            value: String(dim.value),
-            type: 'number_decimal'
-          }
-        }
-      });
-      results.success.push(dim.key);
-      console.log(`    ✓ Created metafield custom.dimension_${dim.key} = ${dim.value}`);
-    } catch (e) {
-      // Log all errors for debugging
-      console.log(`    ! Dimension metafield (${dim.key}): ${e.message}`);
-      results.failed.push({ key: dim.key, error: e.message });
-      
-      // If it's not a "already exists" error, we should know about it
-      if (!e.message.includes('already exists') && !e.message.includes('taken')) {
-        console.log(`    ! Full error details:`, JSON.stringify(e.response?.data || e.message, null, 2));
-      }
+    const e = result.error;
+    // Log all errors for debugging
+    console.log(`    ! Dimension metafield (${dim.key}): ${e.message}`);
+    results.failed.push({ key: dim.key, error: e.message });
+    
+    // If it's not a "already exists" error, we should know about it
+    if (!e.message.includes('already exists') && !e.message.includes('taken')) {
+      console.log(`    ! Full error details:`, JSON.stringify(e.response?.data || e.message, null, 2));
     }
-  }
+  });
   
   return results;
 }
 
 /**
- * Find existing Shopify product by title or SKU
+ * Find Shopify product by ID (null if it no longer exists)
  */
-async function findShopifyProduct(shopifyClient, title, sku) {
+export async function findShopifyProductById(shopifyClient, id) {
   try {
-    // Try finding by title first
-    const byTitle = await shopifyRequestWithRetry(shopifyClient, {
+    const res = await shopifyRequestWithRetry(shopifyClient, {
       method: 'get',
-      url: '/products.json',
-      params: { title: title, limit: 1 }
+      url: `/products/${id}.json`
     });
-    
-    if (byTitle.data.products && byTitle.data.products.length > 0) {
-      return byTitle.data.products[0];
-    }
-    
-    // Try finding by SKU if available
-    if (sku) {
-      const res = await shopifyRequestWithRetry(shopifyClient, {
-        method: 'get',
-        url: '/products.json',
-        params: { limit: 250 }
-      });
-      
-      const products = res.data.products || [];
-      for (const product of products) {
-        const variants = product.variants || [];
-        if (variants.some(v => v.sku === sku)) {
-          return product;
-        }
-      }
-    }
+    return res.data.product || null;
   } catch (e) {
-    console.log(`  ! Error finding product: ${e.message}`);
+    if (e.status === 404) return null;
+    throw e;
+  }
+}
+
+// Product and variant fields a dry run compares with the destination
+const PLANNED_PRODUCT_FIELDS = ['title', 'body_html', 'vendor', 'product_type'];
+const PLANNED_VARIANT_FIELDS = ['price', 'compare_at_price', 'barcode'];
+
+/**
+ * Field changes a write would make to an existing Shopify product, as [{ field, from, to }]:
+ * the product fields, tags (in any order) and status. Updates leave images alone.
+ */
+function shopifyProductChanges(payload, existing) {
+  const changes = diffFields(pickFields(payload, PLANNED_PRODUCT_FIELDS), existing);
+  const tagList = (tags) => String(tags || '').split(',').map(t => t.trim()).filter(Boolean).sort().join(', ');
+  if (tagList(payload.tags) !== tagList(existing.tags)) {
+    changes.push({ field: 'tags', from: existing.tags || null, to: payload.tags });
+  }
+  const status = payload.published === false ? 'draft' : 'active';
+  if (payload.published !== undefined && existing.status !== status) {
+    changes.push({ field: 'status', from: existing.status ?? null, to: status });
+  }
+  return changes;
+}
+
+/**
+ * Plan one Shopify product (a part, for a split product) against its destination match:
+ * create, update with a field diff, or no-op; variants are planned by SKU under it.
+ * Returns the planned product action.
+ */
+function planShopifyProduct(plan, { key, payload, shopifyVariants, sentVariants, shopifyImages, existing }) {
+  if (!existing) {
+    plan.add({ entity: 'product', action: 'create', srcId: key, name: payload.title, note: `${shopifyVariants.length} variant(s), ${shopifyImages.length} image(s)` });
+    return 'create';
   }
   
-  return null;
+  const changes = shopifyProductChanges(payload, existing);
+  const action = changes.length ? 'update' : 'noop';
+  plan.add({ entity: 'product', action, srcId: key, dstId: existing.id, name: payload.title, changes });
+  
+  const bySku = new Map((existing.variants || []).filter(v => v.sku).map(v => [String(v.sku), v]));
+  for (const [i, variant] of shopifyVariants.entries()) {
+    const srcId = sentVariants[i]?.id;
+    const current = variant.sku && bySku.get(String(variant.sku));
+    if (!current) {
+      plan.add({ entity: 'variant', action: 'create', srcId, parentSrcId: key, name: variant.sku || variant.option1 || 'Default' });
+      continue;
+    }
+    const variantChanges = diffFields(pickFields(variant, PLANNED_VARIANT_FIELDS), current);
+    plan.add({ entity: 'variant', action: variantChanges.length ? 'update' : 'noop', srcId, parentSrcId: key, dstId: current.id, name: variant.sku, changes: variantChanges });
+  }
+  return action;
 }
 
 /**
@@ -294,10 +411,18 @@ export async function migrateShopifyProducts({
   srcClient,
   shopifyClient,
   brandMap,
+  brandObjects = null,
   collectionMap,
+  collectionTags = null,
   cli,
   config,
-  dryRun
+  dryRun,
+  idMap = null,
+  checkpoint = null,
+  report = null,
+  hooks = NO_HOOKS,
+  journal = null,
+  plan = null
 }) {
   console.log('\n==== PRODUCTS (to Shopify) ====');
   console.log(`Brand mappings available: ${brandMap.size}`);
@@ -312,225 +437,336 @@ export async function migrateShopifyProducts({
   }
   
   // Fetch source products
-  let products = await fetchSourceProducts(srcClient, cli, config.settings.pageSize);
-  
-  // Apply filters
-  if (cli.startAfterId) {
-    products = products.filter(p => p.id > cli.startAfterId);
-  }
-  if (cli.nameRegex) {
-    products = products.filter(p => cli.nameRegex.test(String(p.name || '')));
-  }
-  if (cli.onlyName) {
-    const needle = cli.onlyName.toLowerCase();
-    products = products.filter(p => String(p.name || '').toLowerCase().includes(needle));
-  }
-  if (cli.limit && cli.limit > 0) {
-    products = products.slice(0, cli.limit);
-  }
+  let products = filterProducts(await fetchSourceProducts(srcClient, cli, config.settings.pageSize), cli);
   
   console.log(`Total source products (after filters): ${products.length}`);
   
+  // Products not in the ID map are matched by --match-by, checked against their source ID marker
+  const matcher = createShopifyMatcher({ shopifyClient, matchBy: cli.matchBy || config.strategies.matchBy });
+  console.log(`Match by: ID map, ${matcher.keys.join(' → ')} (source ID marker checked)`);
+  
+  // Products, variants, collects and metafields are written through GraphQL unless --shopify-api=rest
+  const writer = dryRun ? null : await createShopifyWriter({ shopifyClient, api: cli.shopifyApi || config.shopify.api });
+  if (writer) console.log(`Writing through the Shopify ${writer.api === 'graphql' ? 'GraphQL' : 'REST'} Admin API`);
+  
+  // The variant cap is the writing API's: 100 on REST, 2048 on GraphQL
+  const overflow = {
+    strategy: cli.variantOverflow || config.strategies.variantOverflow,
+    maxVariants: SHOPIFY_MAX_VARIANTS[writer?.api || cli.shopifyApi || config.shopify.api]
+  };
+  console.log(`Variant overflow: ${overflow.strategy} (over ${SHOPIFY_MAX_OPTIONS} options or ${overflow.maxVariants} variants)`);
+  
+  if (checkpoint?.resume) {
+    const before = products.length;
+    products = products.filter(p => !checkpoint.isDone(p.id));
+    console.log(`Resuming: ${before - products.length} product(s) already done, ${products.length} to go`);
+  }
+  
   let processed = 0, skipped = 0, failed = 0;
   
-  for (const bcProduct of products) {
+  const processProduct = async (bcProduct) => {
+    let currentStep = 'fetch';
+    let action = 'updated';
+    const started = Date.now();
+    const trackProduct = (extra) => report?.record({
+      entity: 'product', srcId: bcProduct.id, name: bcProduct.name, durationMs: Date.now() - started, ...extra
+    });
+    
+    const runStep = createStepRunner(checkpoint, bcProduct.id, (name) => { currentStep = name; });
+    
     try {
       console.log(`\nProcessing: ${bcProduct.name} (#${bcProduct.id})`);
       console.log(`  BC Product dimensions: width=${bcProduct.width}, height=${bcProduct.height}, depth=${bcProduct.depth}, weight=${bcProduct.weight}`);
       console.log(`  BC Product categories:`, bcProduct.categories || 'none');
       
-      // Get product assets
-      const { customFields, images, options, variants } = await getProductAssets(srcClient, bcProduct.id);
-      
-      if (dryRun) {
-        console.log(`[DRY] Would migrate product: ${bcProduct.name}`);
-        console.log(`  - Variants: ${variants.length}`);
-        console.log(`  - Images: ${images.length}`);
-        console.log(`  - Options: ${options.length}`);
-        processed++;
-        continue;
-      }
+      const skipByHook = () => {
+        console.log(`  ~ Skipped by hook: ${bcProduct.name}`);
+        trackProduct({ action: 'skipped', note: 'hook' });
+        skipped++;
+        checkpoint?.markDone(bcProduct.id);
+      };
       
-      // Build Shopify product payload
-      const productPayload = buildShopifyProduct(bcProduct, brandMap, collectionMap);
+      if (!(await hooks.shouldMigrate('product', bcProduct))) return skipByHook();
       
-      // Add options
-      const shopifyOptions = buildShopifyOptions(options);
-      if (shopifyOptions.length > 0) {
-        productPayload.options = shopifyOptions;
-      }
+      // Get product assets
+      const { customFields, images, options, variants } = await getProductAssets(srcClient, bcProduct.id, { bulkPricing: false });
       
-      // Add variants
-      const shopifyVariants = buildShopifyVariants(bcProduct, variants, options);
-      if (shopifyVariants.length > 0) {
-        productPayload.variants = shopifyVariants;
-      }
+      currentStep = 'payload';
+      const { parts, note: overflowNote } = await buildProductParts(
+        bcProduct, { customFields, images, options, variants }, { brandMap, brandObjects, collectionMap, collectionTags, hooks, cli, report, overflow }
+      );
+      if (!parts.some(part => part.payload)) return skipByHook();
       
-      // Add images
-      const shopifyImages = buildShopifyImages(images);
-      if (shopifyImages.length > 0 && !cli.skipImages) {
-        productPayload.images = shopifyImages;
+      // A dry run finds each part's destination product as a write would, and plans it
+      if (dryRun) {
+        const actions = [];
+        for (const { key, payload, shopifyVariants, sentVariants, shopifyImages } of parts.filter(part => part.payload)) {
+          const knownId = idMap?.get(key === bcProduct.id ? 'products' : 'productParts', key);
+          const mapped = knownId ? await findShopifyProductById(shopifyClient, knownId) : null;
+          const match = mapped ? null : await matcher.find(key === bcProduct.id ? bcProduct : { ...bcProduct, id: key, name: payload.title });
+          const existing = mapped || (match && await findShopifyProductById(shopifyClient, match.product.id)) || null;
+          actions.push(plan
+            ? planShopifyProduct(plan, { key, payload, shopifyVariants, sentVariants, shopifyImages, existing })
+            : existing ? 'update' : 'create');
+        }
+        const action = actions.includes('create') ? 'created' : actions.includes('update') ? 'updated' : 'skipped';
+        trackProduct({ action, note: ['dry run', action === 'skipped' && 'unchanged', overflowNote].filter(Boolean).join('; ') });
+        processed++;
+        return;
       }
       
-      // Check if product exists
-      const existing = await findShopifyProduct(shopifyClient, bcProduct.name, bcProduct.sku);
-      
-      let shopifyProduct = null;
-      
-      if (existing) {
-        // Update existing product
-        console.log(`  ~ Updating existing product #${existing.id}`);
-        try {
-          const res = await shopifyRequestWithRetry(shopifyClient, {
-            method: 'put',
-            url: `/products/${existing.id}.json`,
-            data: { product: productPayload }
-          });
-          shopifyProduct = res.data.product;
-          console.log(`  ✓ Updated product: ${shopifyProduct.title}`);
-        } catch (e) {
-          console.log(`  ❌ Failed to update: ${e.message}`);
-          failed++;
-          continue;
+      // Create or update one Shopify product (a part, for a split product) and run its steps.
+      // Parts after the first are mapped as productParts and journaled under "<id>#<n>".
+      const migratePart = async ({ key, payload: productPayload, shopifyVariants, sentVariants }) => {
+        const mapType = key === bcProduct.id ? 'products' : 'productParts';
+        let action = 'updated';
+        let shopifyProduct = null;
+        const resumedId = checkpoint?.hasStep(key, 'upsert') ? checkpoint.get(key).dstId : undefined;
+        
+        if (resumedId) {
+          shopifyProduct = await findShopifyProductById(shopifyClient, resumedId);
+          if (shopifyProduct) console.log(`  ↷ Resuming product #${shopifyProduct.id}`);
         }
-      } else {
-        // Create new product
-        try {
-          const res = await shopifyRequestWithRetry(shopifyClient, {
-            method: 'post',
-            url: '/products.json',
-            data: { product: productPayload }
-          });
-          shopifyProduct = res.data.product;
-          console.log(`  + Created product: ${shopifyProduct.title} (#${shopifyProduct.id})`);
-        } catch (e) {
-          console.log(`  ❌ Failed to create: ${e.message}`);
-          failed++;
-          continue;
+        const resumed = Boolean(shopifyProduct);
+        
+        // Check if product exists (mapping from a previous run first, then the match keys)
+        currentStep = 'upsert';
+        const knownId = idMap?.get(mapType, key);
+        const mapped = shopifyProduct || !knownId ? null : await findShopifyProductById(shopifyClient, knownId);
+        const match = shopifyProduct || mapped ? null : await matcher.find(key === bcProduct.id ? bcProduct : { ...bcProduct, id: key, name: productPayload.title });
+        const existing = mapped || (match && await findShopifyProductById(shopifyClient, match.product.id)) || null;
+        if (match) console.log(`  ~ Matched #${existing.id} by ${match.via}`);
+        
+        if (shopifyProduct) {
+          // Upsert finished in a previous run
+        } else if (existing) {
+          // Update existing product
+          console.log(`  ~ Updating existing product #${existing.id}`);
+          try {
+            shopifyProduct = await writer.updateProduct(existing.id, productPayload);
+            journal?.updated('product', {
+              url: `/products/${existing.id}.json`,
+              id: existing.id,
+              srcId: key,
+              restore: shopifyRestoreBody(existing, productPayload)
+            });
+            console.log(`  ✓ Updated product: ${shopifyProduct.title}`);
+            if (!match?.marked) await matcher.mark(existing.id, key, journal);
+          } catch (e) {
+            console.log(`  ❌ Failed to update: ${e.message}`);
+            checkpoint?.markFailed(key, 'upsert', e);
+            trackProduct({ action: 'failed', dstId: existing.id, name: productPayload.title, note: 'step upsert', error: e });
+            failed++;
+            return null;
+          }
+        } else {
+          // Create new product
+          try {
+            shopifyProduct = await writer.createProduct({
+              ...productPayload,
+              metafields: [...(productPayload.metafields || []), shopifyMarkerPayload(key)]
+            });
+            journal?.created('product', { url: `/products/${shopifyProduct.id}.json`, id: shopifyProduct.id, srcId: key });
+            console.log(`  + Created product: ${shopifyProduct.title} (#${shopifyProduct.id})`);
+            action = 'created';
+          } catch (e) {
+            console.log(`  ❌ Failed to create: ${e.message}`);
+            checkpoint?.markFailed(key, 'upsert', e);
+            trackProduct({ action: 'failed', name: productPayload.title, note: 'step upsert', error: e });
+            failed++;
+            return null;
+          }
         }
-      }
-      
-      // Add dimension metafields to variants
-      if (shopifyProduct && shopifyProduct.variants) {
-        for (let i = 0; i < shopifyProduct.variants.length; i++) {
-          const shopifyVariant = shopifyProduct.variants[i];
-          const bcVariantData = shopifyVariants[i]; // Get corresponding BC data
-          
-          if (bcVariantData && (bcVariantData._bc_width || bcVariantData._bc_height || bcVariantData._bc_depth)) {
-            console.log(`  → Attempting to add dimensions to variant #${shopifyVariant.id}...`);
-            console.log(`    BC Dimensions: W=${bcVariantData._bc_width}, H=${bcVariantData._bc_height}, D=${bcVariantData._bc_depth}`);
-            
-            try {
-              const results = await createVariantDimensionMetafields(
-                shopifyClient,
-                shopifyVariant.id,
-                bcVariantData._bc_width,
-                bcVariantData._bc_height,
-                bcVariantData._bc_depth
-              );
-              
-              if (results.success.length > 0) {
-                const dims = [];
-                if (bcVariantData._bc_width && results.success.includes('width')) dims.push(`W:${bcVariantData._bc_width}`);
-                if (bcVariantData._bc_height && results.success.includes('height')) dims.push(`H:${bcVariantData._bc_height}`);
-                if (bcVariantData._bc_depth && results.success.includes('depth')) dims.push(`D:${bcVariantData._bc_depth}`);
-                console.log(`  ✓ Added dimensions to variant #${shopifyVariant.id} (${dims.join(', ')})`);
-              }
+        
+        idMap?.set(mapType, key, shopifyProduct.id);
+        matcher.add(shopifyProduct, action === 'created' ? key : null);
+        sentVariants.forEach((v, i) => {
+          const dstVariantId = shopifyProduct.variants?.[i]?.id;
+          idMap?.set('variants', v.id, dstVariantId);
+          if (dstVariantId && action === 'created') {
+            journal?.created('variant', {
+              url: `/products/${shopifyProduct.id}/variants/${dstVariantId}.json`,
+              id: dstVariantId,
+              srcId: v.id,
+              parentSrcId: bcProduct.id,
+              parent: `/products/${shopifyProduct.id}.json`
+            });
+          }
+          if (!resumed) {
+            report?.record({
+              entity: 'variant',
+              action: dstVariantId ? action : 'skipped',
+              srcId: v.id,
+              dstId: dstVariantId,
+              parentSrcId: bcProduct.id,
+              name: v.sku,
+              note: dstVariantId ? undefined : 'not present on Shopify product'
+            });
+          }
+        });
+        if (!resumed && action === 'created' && !cli.skipImages) {
+          for (const img of shopifyProduct.images || []) {
+            report?.record({ entity: 'image', action, dstId: img.id, parentSrcId: bcProduct.id, name: img.src });
+          }
+        }
+        if (!resumed) checkpoint?.markStep(key, 'upsert', { dstId: shopifyProduct.id });
+        
+        // Add dimension metafields to variants
+        await runStep('variants', async () => {
+          if (shopifyProduct && shopifyProduct.variants) {
+            for (let i = 0; i < shopifyProduct.variants.length; i++) {
+              const shopifyVariant = shopifyProduct.variants[i];
+              const bcVariantData = shopifyVariants[i]; // Get corresponding BC data
               
-              if (results.failed.length > 0) {
-                console.log(`  ⚠️  Some dimensions failed for variant #${shopifyVariant.id}:`, results.failed.map(f => f.key).join(', '));
+              if (bcVariantData && (bcVariantData._bc_width || bcVariantData._bc_height || bcVariantData._bc_depth)) {
+                console.log(`  → Attempting to add dimensions to variant #${shopifyVariant.id}...`);
+                console.log(`    BC Dimensions: W=${bcVariantData._bc_width}, H=${bcVariantData._bc_height}, D=${bcVariantData._bc_depth}`);
+                
+                try {
+                  const results = await createVariantDimensionMetafields(
+                    writer,
+                    shopifyVariant.id,
+                    bcVariantData._bc_width,
+                    bcVariantData._bc_height,
+                    bcVariantData._bc_depth,
+                    { journal, parent: `/products/${shopifyProduct.id}.json`, fresh: action === 'created' }
+                  );
+                  
+                  if (results.success.length > 0) {
+                    const dims = [];
+                    if (bcVariantData._bc_width && results.success.includes('width')) dims.push(`W:${bcVariantData._bc_width}`);
+                    if (bcVariantData._bc_height && results.success.includes('height')) dims.push(`H:${bcVariantData._bc_height}`);
+                    if (bcVariantData._bc_depth && results.success.includes('depth')) dims.push(`D:${bcVariantData._bc_depth}`);
+                    console.log(`  ✓ Added dimensions to variant #${shopifyVariant.id} (${dims.join(', ')})`);
+                  }
+                  
+                  if (results.failed.length > 0) {
+                    console.log(`  ⚠️  Some dimensions failed for variant #${shopifyVariant.id}:`, results.failed.map(f => f.key).join(', '));
+                  }
+                } catch (e) {
+                  console.log(`  ❌ Failed to add dimensions to variant #${shopifyVariant.id}: ${e.message}`);
+                }
+              } else {
+                console.log(`  ⊘ No dimensions to migrate for variant #${shopifyVariant.id}`);
               }
-            } catch (e) {
-              console.log(`  ❌ Failed to add dimensions to variant #${shopifyVariant.id}: ${e.message}`);
             }
-          } else {
-            console.log(`  ⊘ No dimensions to migrate for variant #${shopifyVariant.id}`);
           }
-        }
-      }
-      
-      // Add product to collections (categories)
-      if (shopifyProduct && Array.isArray(bcProduct.categories) && bcProduct.categories.length > 0) {
-        console.log(`  → Attempting to add product to ${bcProduct.categories.length} collection(s)...`);
-        
-        let addedCount = 0;
-        let failedCount = 0;
+        }, key);
         
-        for (const catId of bcProduct.categories) {
-          const collectionId = collectionMap.get(catId);
-          
-          if (collectionId) {
-            console.log(`    • BC Category #${catId} → Shopify Collection #${collectionId}`);
-            try {
-              await shopifyRequestWithRetry(shopifyClient, {
-                method: 'post',
-                url: `/collects.json`,
-                data: {
-                  collect: {
-                    product_id: shopifyProduct.id,
-                    collection_id: collectionId
+        // Add product to collections (categories); smart collections pick products up by tag
+        await runStep('collections', async () => {
+          if (collectionTags) return false;
+          if (shopifyProduct && Array.isArray(bcProduct.categories) && bcProduct.categories.length > 0) {
+            console.log(`  → Attempting to add product to ${bcProduct.categories.length} collection(s)...`);
+            
+            let addedCount = 0;
+            let failedCount = 0;
+            
+            for (const catId of bcProduct.categories) {
+              const collectionId = collectionMap.get(catId);
+              
+              if (collectionId) {
+                console.log(`    • BC Category #${catId} → Shopify Collection #${collectionId}`);
+                try {
+                  const { collectId } = await writer.addToCollection(shopifyProduct.id, collectionId, { fresh: action === 'created' });
+                  if (collectId) {
+                    journal?.created('collect', {
+                      url: `/collects/${collectId}.json`,
+                      id: collectId,
+                      parent: `/products/${shopifyProduct.id}.json`
+                    });
+                  }
+                  console.log(`    ✓ Added to collection #${collectionId}`);
+                  addedCount++;
+                } catch (e) {
+                  // Might already exist, that's ok
+                  if (e.message.includes('already') || e.message.includes('taken')) {
+                    console.log(`    ~ Already in collection #${collectionId}`);
+                    addedCount++;
+                  } else {
+                    console.log(`    ❌ Failed to add to collection #${collectionId}: ${e.message}`);
+                    console.log(`    Full error:`, JSON.stringify(e.response?.data || e.message, null, 2));
+                    failedCount++;
                   }
                 }
-              });
-              console.log(`    ✓ Added to collection #${collectionId}`);
-              addedCount++;
-            } catch (e) {
-              // Might already exist, that's ok
-              if (e.message.includes('already exists') || e.message.includes('taken')) {
-                console.log(`    ~ Already in collection #${collectionId}`);
-                addedCount++;
               } else {
-                console.log(`    ❌ Failed to add to collection #${collectionId}: ${e.message}`);
-                console.log(`    Full error:`, JSON.stringify(e.response?.data || e.message, null, 2));
+                console.log(`    ⚠️  BC Category #${catId} not found in collection map (may not be migrated)`);
                 failedCount++;
               }
             }
-          } else {
-            console.log(`    ⚠️  BC Category #${catId} not found in collection map (may not be migrated)`);
-            failedCount++;
+            
+            if (addedCount > 0) {
+              console.log(`  ✓ Product added to ${addedCount} collection(s)`);
+            }
+            if (failedCount > 0) {
+              console.log(`  ⚠️  ${failedCount} collection(s) failed or not mapped`);
+            }
+          } else if (shopifyProduct && (!bcProduct.categories || bcProduct.categories.length === 0)) {
+            console.log(`  ⊘ No categories assigned to this product in BigCommerce`);
           }
-        }
+        }, key);
         
-        if (addedCount > 0) {
-          console.log(`  ✓ Product added to ${addedCount} collection(s)`);
-        }
-        if (failedCount > 0) {
-          console.log(`  ⚠️  ${failedCount} collection(s) failed or not mapped`);
-        }
-      } else if (shopifyProduct && (!bcProduct.categories || bcProduct.categories.length === 0)) {
-        console.log(`  ⊘ No categories assigned to this product in BigCommerce`);
-      }
-      
-      // Add metafields for custom fields
-      if (shopifyProduct && !cli.skipCustomFields && customFields.length > 0) {
-        for (const cf of customFields) {
-          try {
-            await shopifyRequestWithRetry(shopifyClient, {
-              method: 'post',
-              url: `/products/${shopifyProduct.id}/metafields.json`,
-              data: {
-                metafield: {
-                  namespace: 'custom',
-                  key: String(cf.name || 'field').toLowerCase().replace(/[^a-z0-9]/g, '_'),
-                  value: String(cf.value || ''),
-                  type: 'single_line_text_field'
-                }
+        // Add metafields for custom fields
+        await runStep('customFields', async () => {
+          if (cli.skipCustomFields) return false;
+          if (shopifyProduct && customFields.length > 0) {
+            const written = await writer.setMetafields('product', shopifyProduct.id, customFields.map(customFieldMetafield), { fresh: action === 'created' });
+            
+            customFields.forEach((cf, i) => {
+              const result = written[i];
+              if (result.ok) {
+                journalMetafield(journal, result, {
+                  owner: 'product',
+                  ownerId: shopifyProduct.id,
+                  parent: `/products/${shopifyProduct.id}.json`,
+                  srcId: cf.id,
+                  parentSrcId: bcProduct.id
+                });
+                console.log(`  ✓ ${result.created ? 'Added' : 'Updated'} metafield: ${cf.name}`);
+                report?.record({ entity: 'custom_field', action: result.created ? 'created' : 'updated', srcId: cf.id, parentSrcId: bcProduct.id, name: cf.name });
+              } else {
+                // Metafield might exist, that's ok
+                console.log(`  ! Metafield note: ${cf.name}`);
+                report?.record({ entity: 'custom_field', action: 'skipped', srcId: cf.id, parentSrcId: bcProduct.id, name: cf.name, error: result.error });
               }
             });
-            console.log(`  ✓ Added metafield: ${cf.name}`);
-          } catch (e) {
-            // Metafield might exist, that's ok
-            console.log(`  ! Metafield note: ${cf.name}`);
           }
+        }, key);
+        
+        
+        return { shopifyProduct, action };
+      };
+      
+      let dstId;
+      for (const [i, part] of parts.entries()) {
+        if (!part.payload) continue;
+        if (parts.length > 1) console.log(`  Part ${i + 1}/${parts.length}: ${part.payload.title}`);
+        const written = await migratePart(part);
+        if (!written) return;
+        if (i === 0) {
+          action = written.action;
+          dstId = written.shopifyProduct.id;
+        } else {
+          trackProduct({ action: written.action, dstId: written.shopifyProduct.id, name: part.payload.title, note: `split part ${i + 1}/${parts.length}` });
         }
       }
       
+      checkpoint?.markDone(bcProduct.id);
+      trackProduct({ action, dstId, note: overflowNote || undefined });
       processed++;
     } catch (e) {
       failed++;
-      console.log(`❌ Product failed: ${bcProduct.name} (#${bcProduct.id}) :: ${e.message}`);
+      checkpoint?.markFailed(bcProduct.id, currentStep, e);
+      trackProduct({ action: 'failed', note: `step ${currentStep}`, error: e });
+      console.log(`❌ Product failed: ${bcProduct.name} (#${bcProduct.id}) at step ${currentStep} :: ${e.message}`);
+    } finally {
+      idMap?.save();
     }
-  }
+  };
+  
+  await runProducts(products, { cli, config }, processProduct);
+  
+  idMap?.save({ force: true });
   
   console.log(`\nProducts processed: ${processed}, failed: ${failed}, skipped: ${skipped}`);
 }
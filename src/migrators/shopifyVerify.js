@@ -0,0 +1,142 @@
+// Verification pass - compares the source catalog with a Shopify destination (read-only)
+// Values are compared the way the Shopify migrator maps them (e.g. categories -> collection titles)
+import { shopifyRequestWithRetry, shopifyPagedGetAll } from '../api/shopifyClient.js';
+import { filterProducts } from './productFetcher.js';
+import { fetchCatalogForVerify } from './verify.js';
+import { createDiscrepancyReport, optionComboKey } from '../services/verification.js';
+import { describeCollections } from './shopifyCategories.js';
+import { normalize } from '../utils/string.js';
+
+/**
+ * Metafield key used for a BigCommerce custom field name
+ */
+function metafieldKey(name) {
+  return String(name || 'field').toLowerCase().replace(/[^a-z0-9]/g, '_');
+}
+
+/**
+ * Get product metafields in the custom namespace
+ */
+async function getCustomMetafields(shopifyClient, productId) {
+  const res = await shopifyRequestWithRetry(shopifyClient, {
+    method: 'get',
+    url: `/products/${productId}/metafields.json`,
+    params: { namespace: 'custom', limit: 250 }
+  });
+  return res.data.metafields || [];
+}
+
+/**
+ * Verify a Shopify destination against the source catalog. Categories are compared with the
+ * product's custom collections (through collects), or with --collections=smart with the
+ * smart collections whose tag rule matches one of the product's tags.
+ */
+export async function verifyShopify({ srcClient, shopifyClient, cli, config, idMap = null, sourceKey, targetKey }) {
+  console.log('\n==== VERIFY (Shopify) ====');
+  
+  const smart = cli.collections === 'smart';
+  const [src, dstProducts, collections, collects] = await Promise.all([
+    fetchCatalogForVerify(srcClient, config.settings.pageSize),
+    shopifyPagedGetAll(shopifyClient, '/products.json'),
+    shopifyPagedGetAll(shopifyClient, smart ? '/smart_collections.json' : '/custom_collections.json'),
+    smart ? [] : shopifyPagedGetAll(shopifyClient, '/collects.json')
+  ]);
+  
+  const srcProducts = filterProducts(src.products, cli);
+  const described = describeCollections(src.categories);
+  const srcCatName = new Map([...described].map(([id, c]) => [id, c.title]));
+  const collectionTitle = new Map(collections.map(c => [c.id, c.title]));
+  const collectionByTag = new Map(collections.flatMap(c => (c.rules || [])
+    .filter(r => r.column === 'tag' && r.relation === 'equals')
+    .map(r => [r.condition, c.title])));
+  
+  const collectionsByProduct = new Map();
+  for (const c of collects) {
+    const list = collectionsByProduct.get(c.product_id) || [];
+    list.push(collectionTitle.get(c.collection_id) || `#${c.collection_id}`);
+    collectionsByProduct.set(c.product_id, list);
+  }
+  const productCollections = (dp) => (smart
+    ? String(dp.tags || '').split(',').map(t => collectionByTag.get(t.trim())).filter(Boolean)
+    : collectionsByProduct.get(dp.id) || []);
+  
+  const dstById = new Map(dstProducts.map(p => [p.id, p]));
+  const dstByTitle = new Map(dstProducts.map(p => [normalize(p.title), p]));
+  
+  const discrepancies = createDiscrepancyReport({ source: sourceKey, target: targetKey });
+  discrepancies.stats.sourceProducts = srcProducts.length;
+  discrepancies.stats.destinationProducts = dstProducts.length;
+  
+  console.log(`Source products: ${srcProducts.length}, Shopify products: ${dstProducts.length}`);
+  
+  for (const sp of srcProducts) {
+    const dp = dstById.get(idMap?.get('products', sp.id)) || dstByTitle.get(normalize(sp.name));
+    const ctx = { product: sp.name, srcId: sp.id, dstId: dp?.id };
+    
+    if (!dp) {
+      discrepancies.add({ ...ctx, field: 'product', expected: sp.name, actual: null, note: 'product missing on Shopify' });
+      continue;
+    }
+    discrepancies.stats.matchedProducts++;
+    
+    const srcReal = (sp.variants || []).filter(v => (v.option_values || []).length > 0);
+    const dstVariants = dp.variants || [];
+    
+    if (srcReal.length === 0) {
+      // Single-variant product: product-level fields live on the only variant
+      const dv = dstVariants[0] || {};
+      discrepancies.check(ctx, 'price', sp.price, dv.price);
+      discrepancies.check(ctx, 'sale_price', sp.sale_price ? sp.price : null, dv.compare_at_price);
+      discrepancies.check(ctx, 'weight', sp.weight, dv.weight);
+      discrepancies.check(ctx, 'sku', sp.sku, dv.sku);
+      discrepancies.check(ctx, 'inventory_level', sp.inventory_level, dv.inventory_quantity);
+    } else {
+      discrepancies.check(ctx, 'variant_count', srcReal.length, dstVariants.length);
+      
+      const optionNames = (dp.options || []).map(o => o.name);
+      const comboOf = (dv) => optionComboKey(
+        optionNames.map((name, i) => [name, dv[`option${i + 1}`]]).filter(([, value]) => value != null)
+      );
+      const dstVariantById = new Map(dstVariants.map(v => [v.id, v]));
+      const dstBySku = new Map(dstVariants.filter(v => v.sku).map(v => [String(v.sku), v]));
+      const dstByCombo = new Map(dstVariants.map(v => [comboOf(v), v]));
+      
+      for (const sv of srcReal) {
+        const combo = optionComboKey(sv.option_values.map(ov => [ov.option_display_name, ov.label]));
+        const dv = dstVariantById.get(idMap?.get('variants', sv.id)) ||
+          (sv.sku && dstBySku.get(String(sv.sku))) ||
+          dstByCombo.get(combo);
+        const vctx = { ...ctx, product: `${sp.name} / ${sv.sku || combo}` };
+        
+        if (!dv) {
+          discrepancies.add({ ...vctx, field: 'variant', expected: combo, actual: null, note: 'variant missing on Shopify' });
+          continue;
+        }
+        
+        discrepancies.check(vctx, 'variant_options', combo, comboOf(dv));
+        discrepancies.check(vctx, 'variant_sku', sv.sku, dv.sku);
+        discrepancies.check(vctx, 'variant_price', sv.price ?? sp.price, dv.price);
+        discrepancies.check(vctx, 'variant_weight', sv.weight ?? sp.weight, dv.weight);
+        discrepancies.check(vctx, 'variant_inventory', sv.inventory_level, dv.inventory_quantity);
+      }
+    }
+    
+    discrepancies.check(ctx, 'image_count', (sp.images || []).length, (dp.images || []).length);
+    
+    discrepancies.checkSet(ctx, 'categories',
+      (sp.categories || []).map(id => srcCatName.get(id) || `#${id}`),
+      productCollections(dp)
+    );
+    
+    const srcFields = sp.custom_fields || [];
+    if (srcFields.length > 0) {
+      const metafields = await getCustomMetafields(shopifyClient, dp.id);
+      discrepancies.checkSet(ctx, 'custom_fields',
+        srcFields.map(cf => `${metafieldKey(cf.name)}=${cf.value}`),
+        metafields.map(mf => `${mf.key}=${mf.value}`)
+      );
+    }
+  }
+  
+  return discrepancies;
+}
@@ -1,6 +1,17 @@
 // Variant migrator
 import { pagedGetAll, requestWithRetry } from '../api/client.js';
 import { mapVariantOptionValuesAsync } from '../services/options.js';
+import { baseVariantPayload, applyFieldFilter } from '../models/product.js';
+import { NO_HOOKS } from '../services/hooks.js';
+import { pickFields } from '../services/runJournal.js';
+
+/**
+ * Check if an error is a duplicate SKU on the destination
+ */
+export function isSkuConflict(e) {
+  const msg = e?.message || '';
+  return msg.includes('"status":409') && /Sku .* is not unique/i.test(msg);
+}
 
 /**
  * Migrate variants for a product
@@ -11,69 +22,111 @@ export async function migrateVariants({
   variants,
   dstIdx,
   skuStrategy = 'suffix',
-  skuSuffix = '-SBX'
+  skuSuffix = '-SBX',
+  idMap = null,
+  report = null,
+  srcProductId,
+  fieldFilter = {},
+  hooks = NO_HOOKS,
+  srcProduct,
+  journal = null
 }) {
+  const productUrl = `/catalog/products/${productId}`;
   const existingVariants = await pagedGetAll(dstClient, `/catalog/products/${productId}/variants`);
   const bySkuOnProduct = new Map(
     (existingVariants || [])
       .filter(ev => ev.sku)
       .map(ev => [String(ev.sku), ev])
   );
+  const byIdOnProduct = new Map((existingVariants || []).map(ev => [ev.id, ev]));
   
   let createdVariants = 0;
+  const track = (v, action, dstId, note, error) => report?.record({
+    entity: 'variant', action, srcId: v.id, dstId, parentSrcId: srcProductId, name: v.sku, note, error
+  });
   
   for (const v of (variants || [])) {
     const mappedOVs = await mapVariantOptionValuesAsync({
       productId,
       variant: v,
       dstIdx,
-      dstClient
+      dstClient,
+      idMap,
+      journal
     });
     
     // Skip base variant (no options)
     if (!mappedOVs || mappedOVs.length === 0) {
+      if (Array.isArray(v.option_values) && v.option_values.length > 0) {
+        track(v, 'skipped', undefined, 'option values could not be mapped');
+      }
       continue;
     }
     
-    const basePayload = {
-      price: v.price ?? undefined,
-      inventory_level: v.inventory_level ?? undefined,
-      option_values: mappedOVs
-    };
+    const basePayload = await hooks.transformVariant(baseVariantPayload(v, mappedOVs), { source: v, product: srcProduct });
+    if (!basePayload) {
+      console.log(`  ~ Variant skipped by hook: ${v.sku || v.id}`);
+      track(v, 'skipped', undefined, 'hook');
+      continue;
+    }
     
-    let sku = v.sku || undefined;
+    // SKU as sent (a hook may have rewritten it)
+    let sku = basePayload.sku || undefined;
     
-    // Update if SKU exists on this product
-    if (sku && bySkuOnProduct.has(sku)) {
-      const existing = bySkuOnProduct.get(sku);
-      await requestWithRetry(dstClient, {
-        method: 'put',
-        url: `/catalog/products/${productId}/variants/${existing.id}`,
-        data: { ...basePayload, sku }
+    // Update if mapped from a previous run, or if SKU exists on this product
+    const existing = byIdOnProduct.get(idMap?.get('variants', v.id)) ||
+      (sku && bySkuOnProduct.get(sku));
+    
+    if (existing) {
+      idMap?.set('variants', v.id, existing.id);
+      const data = applyFieldFilter(basePayload, fieldFilter);
+      if (Object.keys(data).length === 0) {
+        track(v, 'skipped', existing.id, 'no selected fields');
+        continue;
+      }
+      const url = `${productUrl}/variants/${existing.id}`;
+      await requestWithRetry(dstClient, { method: 'put', url, data });
+      journal?.updated('variant', {
+        url,
+        id: existing.id,
+        srcId: v.id,
+        parentSrcId: srcProductId,
+        parent: productUrl,
+        restore: pickFields(existing, Object.keys(data).filter(k => k !== 'option_values'))
       });
+      track(v, 'updated', existing.id);
       createdVariants++;
       continue;
     }
     
-    let payloadV = { ...basePayload, sku };
-    const tryCreate = async () => requestWithRetry(dstClient, {
-      method: 'post',
-      url: `/catalog/products/${productId}/variants`,
-      data: payloadV
-    });
+    // New variants always carry their option values, whatever the field filter says
+    let payloadV = { ...applyFieldFilter(basePayload, fieldFilter, { create: true }), option_values: mappedOVs };
+    const tryCreate = async () => {
+      const res = await requestWithRetry(dstClient, {
+        method: 'post',
+        url: `/catalog/products/${productId}/variants`,
+        data: payloadV
+      });
+      const id = res.data?.data?.id;
+      idMap?.set('variants', v.id, id);
+      journal?.created('variant', { url: `${productUrl}/variants/${id}`, id, srcId: v.id, parentSrcId: srcProductId, parent: productUrl });
+      track(v, 'created', id, payloadV.sku !== sku ? `sku ${payloadV.sku ?? '(blank)'}` : undefined);
+      return res;
+    };
     
     try {
       await tryCreate();
       createdVariants++;
     } catch (e) {
-      const msg = e?.message || '';
-      const isSkuConflict = msg.includes('"status":409') && /Sku .* is not unique/i.test(msg);
-      
-      if (!isSkuConflict) throw e;
+      if (!isSkuConflict(e)) {
+        track(v, 'failed', undefined, undefined, e);
+        throw e;
+      }
       
       // Handle SKU conflict based on strategy
       if (skuStrategy === 'skip') {
         console.log(`  ~ Skipping variant (SKU conflict): ${sku}`);
+        track(v, 'skipped', undefined, 'sku conflict');
         continue;
       }
       
@@ -99,12 +152,12 @@ export async function migrateVariants({
           createdVariants++;
           break;
         } catch (err2) {
-          const msg2 = err2?.message || '';
-          if (!(msg2.includes('"status":409') && /Sku .* is not unique/i.test(msg2))) {
+          if (!isSkuConflict(err2)) {
             throw err2;
           }
           if (attempt === 10) {
             console.log(`  ! Gave up suffixing SKU for ${original}`);
+            track(v, 'failed', undefined, 'sku conflict: gave up suffixing');
           }
         }
       }
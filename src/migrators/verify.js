@@ -0,0 +1,129 @@
+// Verification pass - compares the source catalog with a BigCommerce destination (read-only)
+import { pagedGetAll } from '../api/client.js';
+import { buildCategoryPathMap } from '../models/category.js';
+import { filterProducts } from './productFetcher.js';
+import { createDiscrepancyReport, optionComboKey } from '../services/verification.js';
+import { createProductIndex, loadMarkers, parseMatchBy } from '../services/productMatch.js';
+
+const PRODUCT_INCLUDE = 'variants,images,custom_fields';
+
+/**
+ * Fetch every product with the sub-resources the comparison needs
+ */
+export async function fetchCatalogForVerify(client, pageSize = 250) {
+  const [products, categories] = await Promise.all([
+    pagedGetAll(client, '/catalog/products', { include: PRODUCT_INCLUDE }, pageSize),
+    pagedGetAll(client, '/catalog/categories')
+  ]);
+  return { products, categories };
+}
+
+/**
+ * Variant option combination as [option name, value label] pairs
+ */
+function variantCombo(v) {
+  return (v.option_values || []).map(ov => [ov.option_display_name, ov.label]);
+}
+
+/**
+ * Compare variants: matched by ID map, then SKU, then option combination
+ */
+function compareVariants(discrepancies, ctx, srcVariants, dstVariants, idMap) {
+  const real = (list) => (list || []).filter(v => (v.option_values || []).length > 0);
+  const src = real(srcVariants);
+  const dst = real(dstVariants);
+  
+  discrepancies.check(ctx, 'variant_count', src.length, dst.length);
+  
+  const dstById = new Map(dst.map(v => [v.id, v]));
+  const dstBySku = new Map(dst.filter(v => v.sku).map(v => [String(v.sku), v]));
+  const dstByCombo = new Map(dst.map(v => [optionComboKey(variantCombo(v)), v]));
+  
+  for (const sv of src) {
+    const combo = optionComboKey(variantCombo(sv));
+    const dv = dstById.get(idMap?.get('variants', sv.id)) ||
+      (sv.sku && dstBySku.get(String(sv.sku))) ||
+      dstByCombo.get(combo);
+    
+    const vctx = { ...ctx, product: `${ctx.product} / ${sv.sku || combo}` };
+    if (!dv) {
+      discrepancies.add({ ...vctx, field: 'variant', expected: combo, actual: null, note: 'variant missing on destination' });
+      continue;
+    }
+    
+    discrepancies.check(vctx, 'variant_options', combo, optionComboKey(variantCombo(dv)));
+    discrepancies.check(vctx, 'variant_sku', sv.sku, dv.sku);
+    discrepancies.check(vctx, 'variant_price', sv.price, dv.price);
+    discrepancies.check(vctx, 'variant_sale_price', sv.sale_price, dv.sale_price);
+    discrepancies.check(vctx, 'variant_inventory', sv.inventory_level, dv.inventory_level);
+  }
+}
+
+/**
+ * Verify a BigCommerce destination against the source catalog
+ */
+export async function verifyBigCommerce({ srcClient, dstClient, cli, config, idMap = null, sourceKey, targetKey }) {
+  console.log('\n==== VERIFY (BigCommerce) ====');
+  
+  const pageSize = config.settings.pageSize;
+  const [src, dst, markers] = await Promise.all([
+    fetchCatalogForVerify(srcClient, pageSize),
+    fetchCatalogForVerify(dstClient, pageSize),
+    loadMarkers(dstClient, pageSize)
+  ]);
+  
+  const srcProducts = filterProducts(src.products, cli);
+  const { idToPath: srcCatPath } = buildCategoryPathMap(src.categories);
+  const { idToPath: dstCatPath } = buildCategoryPathMap(dst.categories);
+  
+  // Same matching as a migrate run: ID map, source ID marker, --match-by keys
+  const dstById = new Map(dst.products.map(p => [p.id, p]));
+  const dstIndex = createProductIndex(parseMatchBy(cli.matchBy || config.strategies.matchBy), dst.products, markers);
+  
+  const discrepancies = createDiscrepancyReport({ source: sourceKey, target: targetKey });
+  discrepancies.stats.sourceProducts = srcProducts.length;
+  discrepancies.stats.destinationProducts = dst.products.length;
+  
+  console.log(`Source products: ${srcProducts.length}, destination products: ${dst.products.length}`);
+  // With a selection the destination also holds products outside it; counts compare for the whole catalog
+  if (srcProducts.length === src.products.length) {
+    discrepancies.check({ product: 'catalog' }, 'product_count', srcProducts.length, dst.products.length);
+  }
+  
+  for (const sp of srcProducts) {
+    const match = dstIndex.find(sp);
+    const dp = dstById.get(idMap?.get('products', sp.id)) || (match && !match.claimed ? match.product : null);
+    const ctx = { product: sp.name, srcId: sp.id, dstId: dp?.id };
+    
+    if (!dp) {
+      discrepancies.add({ ...ctx, field: 'product', expected: sp.name, actual: null, note: 'product missing on destination' });
+      continue;
+    }
+    discrepancies.stats.matchedProducts++;
+    
+    discrepancies.check(ctx, 'price', sp.price, dp.price);
+    discrepancies.check(ctx, 'sale_price', sp.sale_price, dp.sale_price);
+    discrepancies.check(ctx, 'weight', sp.weight, dp.weight);
+    discrepancies.check(ctx, 'sku', sp.sku, dp.sku);
+    
+    discrepancies.checkSet(ctx, 'categories',
+      (sp.categories || []).map(id => srcCatPath.get(id) || `#${id}`),
+      (dp.categories || []).map(id => dstCatPath.get(id) || `#${id}`)
+    );
+    
+    discrepancies.checkSet(ctx, 'custom_fields',
+      (sp.custom_fields || []).map(cf => `${cf.name}=${cf.value}`),
+      (dp.custom_fields || []).map(cf => `${cf.name}=${cf.value}`)
+    );
+    
+    discrepancies.check(ctx, 'image_count', (sp.images || []).length, (dp.images || []).length);
+    
+    if (sp.inventory_tracking === 'product') {
+      discrepancies.check(ctx, 'inventory_level', sp.inventory_level, dp.inventory_level);
+    }
+    
+    compareVariants(discrepancies, ctx, sp.variants, dp.variants, idMap);
+  }
+  
+  return discrepancies;
+}
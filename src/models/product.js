@@ -10,20 +10,172 @@ export function hasRealVariants(variants = []) {
 }
 
 /**
- * Build base product payload for API
+ * Product fields copied as-is from source to destination (BC -> BC).
+ * IDs that differ between stores (brand, categories, related products) are mapped separately.
  */
-export function baseProductPayload(p, brandMap, catMap, hasVariants) {
+export const PASSTHROUGH_FIELDS = [
+  // Dimensions & pricing
+  'width', 'height', 'depth',
+  'retail_price', 'map_price',
+  'tax_class_id', 'product_tax_code',
+  
+  // SEO
+  'page_title', 'meta_description', 'meta_keywords', 'search_keywords', 'custom_url',
+  'open_graph_type', 'open_graph_title', 'open_graph_description',
+  'open_graph_use_meta_description', 'open_graph_use_product_name', 'open_graph_use_image',
+  
+  // Identifiers
+  'upc', 'gtin', 'mpn', 'bin_picking_number',
+  
+  // Shipping
+  'is_free_shipping', 'fixed_cost_shipping_price',
+  
+  // Purchasing
+  'warranty',
+  'order_quantity_minimum', 'order_quantity_maximum',
+  'is_price_hidden', 'price_hidden_label',
+  'availability_description',
+  'preorder_release_date', 'preorder_message', 'is_preorder_only',
+  'gift_wrapping_options_type', 'gift_wrapping_options_list',
+  
+  // Storefront
+  'is_featured', 'sort_order', 'layout_file', 'is_condition_shown'
+];
+
+/**
+ * Variant fields copied as-is from source to destination
+ */
+export const VARIANT_FIELDS = [
+  'price', 'sale_price', 'retail_price', 'map_price', 'cost_price',
+  'weight', 'width', 'height', 'depth',
+  'inventory_level', 'inventory_warning_level',
+  'upc', 'gtin', 'mpn', 'bin_picking_number',
+  'is_free_shipping', 'fixed_cost_shipping_price',
+  'purchasing_disabled', 'purchasing_disabled_message'
+];
+
+/**
+ * Fields BigCommerce requires when creating a product; kept even if filtered out
+ */
+export const REQUIRED_CREATE_FIELDS = ['name', 'type', 'weight', 'price'];
+
+/**
+ * Shorthand names accepted in field lists, expanded to API field names.
+ * custom_fields, images and bulk_pricing_rules select whole migration steps.
+ */
+export const FIELD_GROUPS = {
+  inventory: ['inventory_level', 'inventory_warning_level', 'inventory_tracking'],
+  pricing: ['price', 'sale_price', 'retail_price', 'map_price', 'cost_price', 'bulk_pricing_rules'],
+  content: ['description', 'warranty', 'availability_description'],
+  seo: [
+    'page_title', 'meta_description', 'meta_keywords', 'search_keywords', 'custom_url',
+    'open_graph_type', 'open_graph_title', 'open_graph_description',
+    'open_graph_use_meta_description', 'open_graph_use_product_name', 'open_graph_use_image'
+  ],
+  dimensions: ['weight', 'width', 'height', 'depth'],
+  identifiers: ['sku', 'upc', 'gtin', 'mpn', 'bin_picking_number']
+};
+
+/**
+ * Map source related product IDs to destination IDs.
+ * [-1] means "automatic" and is kept. While any related product is not migrated yet the
+ * field is left out (undefined), so a partial list never replaces the destination's; the
+ * products migrator sets it once all products are mapped.
+ */
+export function mapRelatedProducts(related, idMap) {
+  if (!Array.isArray(related)) return undefined;
+  if (related.includes(-1)) return [-1];
+  if (unmappedRelatedProducts(related, idMap).length) return undefined;
+  return related.map(id => idMap.get('products', id));
+}
+
+/**
+ * Source IDs of related products that have no destination ID yet
+ */
+export function unmappedRelatedProducts(related, idMap) {
+  if (!Array.isArray(related) || related.includes(-1)) return [];
+  return related.filter(id => !idMap?.get('products', id));
+}
+
+/**
+ * Parse a field list (comma-separated string or array) into API field names,
+ * expanding FIELD_GROUPS shorthands. Returns null when empty.
+ */
+export function parseFieldList(value) {
+  const tokens = Array.isArray(value) ? value : String(value || '').split(',');
+  const list = tokens
+    .map(s => String(s).trim())
+    .filter(Boolean)
+    .flatMap(name => FIELD_GROUPS[name] || [name]);
+  return list.length ? [...new Set(list)] : null;
+}
+
+/**
+ * Field allowlist/denylist for a run: CLI flags override the config/env lists
+ */
+export function fieldFilterFrom(cli = {}, config = {}) {
+  return {
+    include: parseFieldList(cli.fields ?? config.fields?.include),
+    exclude: parseFieldList(cli.excludeFields ?? config.fields?.exclude)
+  };
+}
+
+/**
+ * Check a field against an allowlist/denylist.
+ * The allowlist limits updates only: new entities get every field that is not excluded.
+ */
+export function isFieldSelected(field, { include = null, exclude = null } = {}, { create = false } = {}) {
+  if (exclude && exclude.includes(field)) return false;
+  return create || !include || include.includes(field);
+}
+
+/**
+ * Apply a field allowlist/denylist to a product or variant payload.
+ * On create, the fields BigCommerce requires are always kept.
+ */
+export function applyFieldFilter(payload, fieldFilter = {}, { create = false } = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(payload)) {
+    if (isFieldSelected(key, fieldFilter, { create }) || (create && REQUIRED_CREATE_FIELDS.includes(key))) {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Build base product payload for API.
+ * fieldMap ({ destinationField: sourceField }) fills destination fields from other source fields.
+ */
+export function baseProductPayload(p, brandMap, catMap, hasVariants, { idMap = null, fieldMap = {} } = {}) {
   const mappedBrandId = p.brand_id && brandMap.get(p.brand_id) 
     ? brandMap.get(p.brand_id) 
     : undefined;
-    
+  
   const mappedCats = Array.isArray(p.categories) && p.categories.length
     ? p.categories.map(id => catMap.get(id)).filter(Boolean)
     : undefined;
-    
+  
   const tracking = hasVariants ? 'variant' : (p.inventory_tracking || 'none');
   
+  const passthrough = {};
+  for (const field of PASSTHROUGH_FIELDS) {
+    if (p[field] !== undefined && p[field] !== null) passthrough[field] = p[field];
+  }
+  
+  // Gift wrapping option IDs are store-specific; only "any"/"none" carry over safely
+  if (passthrough.gift_wrapping_options_type === 'list') {
+    delete passthrough.gift_wrapping_options_type;
+    delete passthrough.gift_wrapping_options_list;
+  }
+  
+  const mapped = {};
+  for (const [field, sourceField] of Object.entries(fieldMap || {})) {
+    if (p[sourceField] !== undefined && p[sourceField] !== null) mapped[field] = p[sourceField];
+  }
+  
   return {
+    ...passthrough,
     name: p.name,
     type: p.type || 'physical',
     sku: p.sku || undefined,
@@ -40,8 +192,23 @@ export function baseProductPayload(p, brandMap, catMap, hasVariants) {
     
     brand_id: mappedBrandId,
     categories: mappedCats,
+    related_products: mapRelatedProducts(p.related_products, idMap),
     is_visible: p.is_visible ?? true,
     availability: p.availability || 'available',
-    condition: p.condition || 'New'
+    condition: p.condition || 'New',
+    ...mapped
   };
 }
+
+/**
+ * Build variant payload for API (option values already mapped to destination IDs)
+ */
+export function baseVariantPayload(v, optionValues) {
+  const payload = {};
+  for (const field of VARIANT_FIELDS) {
+    if (v[field] !== undefined && v[field] !== null) payload[field] = v[field];
+  }
+  payload.sku = v.sku || undefined;
+  payload.option_values = optionValues;
+  return payload;
+}
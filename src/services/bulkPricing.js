@@ -0,0 +1,47 @@
+// Bulk pricing rules service
+import { pagedGetAll, requestWithRetry } from '../api/client.js';
+
+/**
+ * Comparable key for a bulk pricing rule
+ */
+function ruleKey(r) {
+  return [r.quantity_min ?? 0, r.quantity_max ?? 0, r.type, Number(r.amount ?? 0)].join('|');
+}
+
+/**
+ * Writable fields of a bulk pricing rule
+ */
+function rulePayload(r) {
+  return { quantity_min: r.quantity_min, quantity_max: r.quantity_max, type: r.type, amount: r.amount };
+}
+
+/**
+ * Make the destination product's bulk pricing rules match the source.
+ * Stale rules are removed before new ones are added so quantity ranges never overlap.
+ */
+export async function syncBulkPricingRules(dstClient, productId, srcRules = [], { journal = null } = {}) {
+  const productUrl = `/catalog/products/${productId}`;
+  const rulesUrl = `${productUrl}/bulk-pricing-rules`;
+  const existing = await pagedGetAll(dstClient, rulesUrl);
+  const wanted = new Map(srcRules.map(r => [ruleKey(r), r]));
+  const have = new Set(existing.map(ruleKey));
+  
+  let created = 0, deleted = 0;
+  
+  for (const rule of existing) {
+    if (wanted.has(ruleKey(rule))) continue;
+    await requestWithRetry(dstClient, { method: 'delete', url: `${rulesUrl}/${rule.id}` });
+    journal?.deleted('bulk_pricing_rule', { url: rulesUrl, id: rule.id, parent: productUrl, restore: rulePayload(rule) });
+    deleted++;
+  }
+  
+  for (const [key, rule] of wanted) {
+    if (have.has(key)) continue;
+    const res = await requestWithRetry(dstClient, { method: 'post', url: rulesUrl, data: rulePayload(rule) });
+    const id = res.data?.data?.id;
+    journal?.created('bulk_pricing_rule', { url: `${rulesUrl}/${id}`, id, parent: productUrl });
+    created++;
+  }
+  
+  return { created, deleted };
+}
@@ -0,0 +1,28 @@
+// Brand and category writes - custom URL collisions, then the image
+import { writeWithCustomUrl } from './customUrl.js';
+import { setCatalogImage } from './image.js';
+
+/**
+ * Create (no id) or update a brand or category under collectionUrl (/catalog/brands,
+ * /catalog/categories). Custom URL collisions follow urlStrategy; image_url is set afterwards
+ * from the URL, or by binary upload if the destination can't fetch it. An image that can't be
+ * set is logged without failing the write.
+ * @returns the written entity ({ id } for an image-only update)
+ */
+export async function writeCatalogEntity(dstClient, collectionUrl, payload, { id = null, urlStrategy = 'suffix', label = 'Entity' } = {}) {
+  const { image_url, ...fields } = payload;
+  let entity = { id };
+  
+  if (!id || Object.keys(fields).length) {
+    const url = id ? `${collectionUrl}/${id}` : collectionUrl;
+    entity = (await writeWithCustomUrl(dstClient, id ? 'put' : 'post', url, fields, urlStrategy)).data?.data;
+  }
+  if (image_url) {
+    try {
+      await setCatalogImage(dstClient, `${collectionUrl}/${entity.id}`, image_url);
+    } catch (e) {
+      console.log(`  ! ${label} image not set (${image_url}): ${e.message}`);
+    }
+  }
+  return entity;
+}
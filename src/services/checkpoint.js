@@ -0,0 +1,129 @@
+// Checkpoint journal - records each product's progress so a run can resume
+import fs from 'fs';
+import path from 'path';
+import { storePairKey } from './idMap.js';
+
+/**
+ * Create a checkpoint journal for one source/destination pair.
+ * The journal is append-only JSONL so every step is on disk as soon as it finishes.
+ * Without resume, any previous journal is discarded and a fresh one is started.
+ * Each run that writes to it records when it started (runId, startedAt).
+ */
+export function createCheckpoint({
+  dir = '.migration',
+  sourceKey,
+  targetKey,
+  resume = false,
+  readOnly = false,
+  runId = null,
+  startedAt = null
+} = {}) {
+  const file = path.join(dir, storePairKey(sourceKey, targetKey), 'checkpoint.jsonl');
+  const products = new Map(); // srcProductId -> { steps: Set, dstId, done, failedStep, error }
+  let firstStart = null; // earliest start of the runs in this journal
+  
+  function entry(productId) {
+    const key = String(productId);
+    if (!products.has(key)) {
+      products.set(key, { steps: new Set(), dstId: undefined, done: false });
+    }
+    return products.get(key);
+  }
+  
+  function apply(ev) {
+    const started = ev.status === 'run' ? ev.startedAt : ev.ts;
+    if (started && (!firstStart || started < firstStart)) firstStart = started;
+    if (ev.product == null) return;
+    const e = entry(ev.product);
+    if (ev.dstId != null) e.dstId = ev.dstId;
+    
+    if (ev.status === 'step') {
+      e.steps.add(ev.step);
+    } else if (ev.status === 'done') {
+      e.done = true;
+    } else if (ev.status === 'failed') {
+      e.failedStep = ev.step;
+      e.error = ev.error;
+    }
+  }
+  
+  if (resume && fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      try {
+        apply(JSON.parse(line));
+      } catch {
+        // A torn last line from a crash is expected; ignore it
+      }
+    }
+  }
+  
+  if (!readOnly) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (!resume) fs.writeFileSync(file, '');
+  }
+  
+  function append(ev) {
+    const line = { ts: new Date().toISOString(), ...ev };
+    apply(line);
+    if (readOnly) return;
+    fs.appendFileSync(file, JSON.stringify(line) + '\n');
+  }
+  
+  if (startedAt) append({ run: runId, status: 'run', startedAt: startedAt.toISOString() });
+  
+  return {
+    file,
+    resume,
+    
+    /**
+     * True if this product finished every step in a previous run
+     */
+    isDone(productId) {
+      return products.get(String(productId))?.done || false;
+    },
+    
+    /**
+     * True if this step finished for this product
+     */
+    hasStep(productId, step) {
+      return products.get(String(productId))?.steps.has(step) || false;
+    },
+    
+    /**
+     * Journal entry for a product (undefined if never started)
+     */
+    get(productId) {
+      return products.get(String(productId));
+    },
+    
+    markStep(productId, step, { dstId } = {}) {
+      append({ product: productId, step, status: 'step', dstId });
+    },
+    
+    markDone(productId) {
+      append({ product: productId, status: 'done' });
+    },
+    
+    markFailed(productId, step, error) {
+      append({ product: productId, step, status: 'failed', error: String(error?.message || error) });
+    },
+    
+    /**
+     * When the earliest run in this journal started: a resumed run skips what earlier runs
+     * finished, so source changes since then are not all covered by this run alone
+     */
+    startedAt() {
+      return firstStart ? new Date(firstStart) : null;
+    },
+    
+    /**
+     * Products that were started but not finished (for the resume summary)
+     */
+    pending() {
+      return [...products.entries()]
+        .filter(([, e]) => !e.done)
+        .map(([id, e]) => ({ productId: id, ...e }));
+    }
+  };
+}
@@ -20,11 +20,63 @@ export async function ensureCustomFieldsInDst(
   dstClient, 
   productId, 
   srcCustomFields = [], 
-  strategy = 'pair'
+  strategy = 'pair',
+  { idMap = null, report = null, srcProductId, journal = null } = {}
 ) {
   if (!Array.isArray(srcCustomFields) || srcCustomFields.length === 0) return;
   
   let existing = await getDstCustomFields(dstClient, productId);
+  const byId = new Map(existing.map(cf => [cf.id, cf]));
+  const track = (cf, action, dstId, note) => report?.record({
+    entity: 'custom_field', action, srcId: cf.id, dstId, parentSrcId: srcProductId, name: cf.name, note
+  });
+  const productUrl = `/catalog/products/${productId}`;
+  const put = async (cf, existingField, data) => {
+    const url = `${productUrl}/custom-fields/${existingField.id}`;
+    await requestWithRetry(dstClient, { method: 'put', url, data });
+    journal?.updated('custom_field', {
+      url,
+      id: existingField.id,
+      srcId: cf.id,
+      parentSrcId: srcProductId,
+      parent: productUrl,
+      restore: { name: existingField.name, value: existingField.value }
+    });
+  };
+  const post = async (cf, data) => {
+    const res = await requestWithRetry(dstClient, { method: 'post', url: `${productUrl}/custom-fields`, data });
+    const created = res.data?.data;
+    if (created) {
+      journal?.created('custom_field', {
+        url: `${productUrl}/custom-fields/${created.id}`,
+        id: created.id,
+        srcId: cf.id,
+        parentSrcId: srcProductId,
+        parent: productUrl
+      });
+    }
+    return created;
+  };
+  
+  // Fields mapped by a previous run are updated in place, whatever the strategy
+  const remaining = [];
+  for (const cf of srcCustomFields) {
+    const mapped = byId.get(idMap?.get('customFields', cf.id));
+    if (!mapped) {
+      remaining.push(cf);
+      continue;
+    }
+    
+    const name = String(cf.name ?? '');
+    const value = String(cf.value ?? '');
+    if (String(mapped.name ?? '') !== name || String(mapped.value ?? '') !== value) {
+      await put(cf, mapped, { name, value });
+      track(cf, 'updated', mapped.id);
+    } else {
+      track(cf, 'skipped', mapped.id, 'unchanged');
+    }
+  }
+  srcCustomFields = remaining;
   
   if (strategy === 'overwrite_by_name') {
     const byName = new Map(existing.map(cf => [normalize(cf.name), cf]));
@@ -37,46 +89,44 @@ export async function ensureCustomFieldsInDst(
       
       if (match) {
         if (String(match.value ?? '') !== value) {
-          await requestWithRetry(dstClient, {
-            method: 'put',
-            url: `/catalog/products/${productId}/custom-fields/${match.id}`,
-            data: { name, value }
-          });
+          await put(cf, match, { name, value });
+          track(cf, 'updated', match.id);
+        } else {
+          track(cf, 'skipped', match.id, 'unchanged');
         }
+        idMap?.set('customFields', cf.id, match.id);
       } else {
-        const res = await requestWithRetry(dstClient, {
-          method: 'post',
-          url: `/catalog/products/${productId}/custom-fields`,
-          data: { name, value }
-        });
-        const created = res.data?.data;
-        if (created) byName.set(key, created);
+        const created = await post(cf, { name, value });
+        if (created) {
+          byName.set(key, created);
+          idMap?.set('customFields', cf.id, created.id);
+        }
+        track(cf, 'created', created?.id);
       }
     }
     return;
   }
   
   // Pair strategy: skip if same (name, value) exists
-  const have = new Set(existing.map(cf => 
-    `${normalize(cf.name)}::${normalize(String(cf.value ?? ''))}`
-  ));
+  const pairKey = (cf) => `${normalize(cf.name)}::${normalize(String(cf.value ?? ''))}`;
+  const have = new Map(existing.map(cf => [pairKey(cf), cf]));
   
   for (const cf of srcCustomFields) {
     const name = String(cf.name ?? '');
     const value = String(cf.value ?? '');
-    const key = `${normalize(name)}::${normalize(value)}`;
+    const key = pairKey({ name, value });
     
-    if (have.has(key)) continue;
-    
-    const res = await requestWithRetry(dstClient, {
-      method: 'post',
-      url: `/catalog/products/${productId}/custom-fields`,
-      data: { name, value }
-    });
+    if (have.has(key)) {
+      idMap?.set('customFields', cf.id, have.get(key).id);
+      track(cf, 'skipped', have.get(key).id, 'exists');
+      continue;
+    }
     
-    const created = res.data?.data;
+    const created = await post(cf, { name, value });
     if (created) {
-      have.add(`${normalize(created.name)}::${normalize(String(created.value ?? ''))}`);
+      have.set(pairKey(created), created);
+      idMap?.set('customFields', cf.id, created.id);
     }
+    track(cf, 'created', created?.id);
   }
 }
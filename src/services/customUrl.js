@@ -0,0 +1,59 @@
+// Custom URLs - collisions on the destination resolved by CUSTOM_URL_STRATEGY
+import { requestWithRetry } from '../api/client.js';
+
+const MAX_URL_ATTEMPTS = 10;
+
+/**
+ * Check if an error is a custom URL collision on the destination
+ */
+function isCustomUrlConflict(e) {
+  return (e?.status === 409 || e?.status === 422) && /custom[_ ]?url/i.test(e?.message || '');
+}
+
+/**
+ * Next candidate for a colliding custom URL: /chair/ -> /chair-2/ -> /chair-3/
+ */
+export function nextCustomUrl(url, attempt) {
+  const [, base, slash] = String(url).match(/^(.*?)(\/?)$/);
+  return `${base}-${attempt}${slash}`;
+}
+
+/**
+ * Whether a destination custom URL is a suffixed stand-in for the desired one (/chair-2/ for
+ * /chair/), left by an earlier collision - so it isn't rewritten, and suffixed again, every run
+ */
+export function isSuffixedCustomUrl(desired, current) {
+  if (!desired?.url || !current?.url || desired.url === current.url) return false;
+  const [, base, slash] = String(desired.url).match(/^(.*?)(\/?)$/);
+  const escaped = base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped}-\\d+${slash}$`).test(current.url);
+}
+
+/**
+ * POST/PUT a product, category or brand, resolving custom URL collisions by strategy:
+ * suffix (append -2, -3, ...), drop (let the destination generate one) or fail
+ */
+export async function writeWithCustomUrl(dstClient, method, url, payload, urlStrategy) {
+  let data = payload;
+  
+  for (let attempt = 2; ; attempt++) {
+    try {
+      const res = await requestWithRetry(dstClient, { method, url, data });
+      if (data !== payload) {
+        console.log(`  ~ custom_url conflict resolved: ${payload.custom_url.url} → ${data.custom_url?.url ?? '(generated)'}`);
+      }
+      return res;
+    } catch (e) {
+      if (!payload.custom_url || urlStrategy === 'fail' || !isCustomUrlConflict(e) || attempt > MAX_URL_ATTEMPTS) {
+        throw e;
+      }
+      
+      if (urlStrategy === 'drop') {
+        const { custom_url, ...rest } = payload;
+        data = rest;
+      } else {
+        data = { ...payload, custom_url: { ...payload.custom_url, url: nextCustomUrl(payload.custom_url.url, attempt) } };
+      }
+    }
+  }
+}
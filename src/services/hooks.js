@@ -0,0 +1,73 @@
+// Transform hooks - a user module that adjusts or skips items before they are written
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const HOOK_NAMES = [
+  'shouldMigrate',
+  'transformProduct',
+  'transformVariant',
+  'transformCategory',
+  'transformImage'
+];
+
+/**
+ * Wrap a hooks module.
+ * - transformX(payload, ctx) returns the payload to send; undefined keeps it
+ *   (in-place edits are fine), null or false skips the item.
+ * - shouldMigrate(item, ctx) returns false to skip a source item entirely.
+ * ctx always carries { target, entity, source } plus entity-specific extras.
+ */
+export function createHooks(mod = {}, { target = 'bigcommerce' } = {}) {
+  const fn = (name) => (typeof mod[name] === 'function' ? mod[name] : null);
+  
+  const transform = (name, entity) => async (payload, ctx = {}) => {
+    const hook = fn(name);
+    if (!hook) return payload;
+    const result = await hook(payload, { target, entity, ...ctx });
+    if (result === null || result === false) return null;
+    return result === undefined ? payload : result;
+  };
+  
+  return {
+    names: HOOK_NAMES.filter(fn),
+    
+    async shouldMigrate(entity, item, ctx = {}) {
+      const hook = fn('shouldMigrate');
+      if (!hook) return true;
+      return (await hook(item, { target, entity, source: item, ...ctx })) !== false;
+    },
+    
+    transformProduct: transform('transformProduct', 'product'),
+    transformVariant: transform('transformVariant', 'variant'),
+    transformCategory: transform('transformCategory', 'category'),
+    transformImage: transform('transformImage', 'image')
+  };
+}
+
+/**
+ * Hooks that change nothing (used when no module is configured)
+ */
+export const NO_HOOKS = createHooks({});
+
+/**
+ * Load a hooks module (.js/.mjs) by path
+ */
+export async function loadHooks(file, { target } = {}) {
+  if (!file) return createHooks({}, { target });
+  
+  const fullPath = path.resolve(file);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`❌ Hooks module not found: ${fullPath}`);
+  }
+  
+  const mod = await import(pathToFileURL(fullPath).href);
+  const hooks = mod.default && typeof mod.default === 'object' ? mod.default : mod;
+  
+  const unknown = Object.keys(hooks).filter(k => typeof hooks[k] === 'function' && !HOOK_NAMES.includes(k));
+  if (unknown.length) {
+    console.log(`⚠️  Ignoring unknown hook(s) in ${file}: ${unknown.join(', ')} (known: ${HOOK_NAMES.join(', ')})`);
+  }
+  
+  return createHooks(hooks, { target });
+}
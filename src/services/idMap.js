@@ -0,0 +1,126 @@
+// ID mapping store - persists source -> destination IDs between runs
+import fs from 'fs';
+import path from 'path';
+
+export const ENTITY_TYPES = [
+  'brands',
+  'categories',
+  'products',
+  'productParts', // extra Shopify products of a split product: "<srcId>#<n>" -> dstId
+  'options',
+  'optionValues',
+  'variants',
+  'images',
+  'customFields'
+];
+
+/**
+ * Build a filesystem-safe key for a source/destination store pair
+ */
+export function storePairKey(sourceKey, targetKey) {
+  const safe = (s) => String(s || 'unknown').toLowerCase().replace(/[^a-z0-9.-]+/g, '_');
+  return `${safe(sourceKey)}__${safe(targetKey)}`;
+}
+
+/**
+ * Write JSON atomically (temp file + rename) so a crash never leaves a half-written file
+ */
+export function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Create an ID mapping store backed by a JSON file per source/destination pair.
+ * Lookups are in memory; call save() to flush changes to disk. Saves are throttled
+ * to one per saveIntervalMs unless forced, since the file grows with the catalog.
+ */
+export function createIdMap({
+  dir = '.migration',
+  sourceKey,
+  targetKey,
+  readOnly = false,
+  saveIntervalMs = 2000
+} = {}) {
+  const file = path.join(dir, storePairKey(sourceKey, targetKey), 'id-map.json');
+  const entities = Object.fromEntries(ENTITY_TYPES.map(t => [t, {}]));
+  let dirty = false;
+  let lastSave = 0;
+  
+  if (fs.existsSync(file)) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [type, rows] of Object.entries(raw.entities || {})) {
+      entities[type] = { ...(entities[type] || {}), ...rows };
+    }
+  }
+  
+  function bucket(type) {
+    if (!entities[type]) {
+      throw new Error(`Unknown ID map entity type: ${type}`);
+    }
+    return entities[type];
+  }
+  
+  return {
+    file,
+    
+    /**
+     * Get mapped destination ID for a source ID (or undefined)
+     */
+    get(type, srcId) {
+      if (srcId == null) return undefined;
+      return bucket(type)[String(srcId)];
+    },
+    
+    /**
+     * Record source -> destination ID
+     */
+    set(type, srcId, dstId) {
+      if (srcId == null || dstId == null) return;
+      const rows = bucket(type);
+      if (rows[String(srcId)] === dstId) return;
+      rows[String(srcId)] = dstId;
+      dirty = true;
+    },
+    
+    /**
+     * Forget a mapping (e.g. destination entity was deleted)
+     */
+    delete(type, srcId) {
+      const rows = bucket(type);
+      if (!(String(srcId) in rows)) return;
+      delete rows[String(srcId)];
+      dirty = true;
+    },
+    
+    /**
+     * All mappings of one type as [srcId, dstId] pairs
+     */
+    entries(type) {
+      return Object.entries(bucket(type));
+    },
+    
+    size(type) {
+      return Object.keys(bucket(type)).length;
+    },
+    
+    /**
+     * Flush to disk if anything changed
+     */
+    save({ force = false } = {}) {
+      if (readOnly || !dirty) return;
+      if (!force && Date.now() - lastSave < saveIntervalMs) return;
+      writeJsonAtomic(file, {
+        version: 1,
+        source: sourceKey,
+        target: targetKey,
+        updated_at: new Date().toISOString(),
+        entities
+      });
+      dirty = false;
+      lastSave = Date.now();
+    }
+  };
+}
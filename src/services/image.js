@@ -4,6 +4,55 @@ import FormData from 'form-data';
 import mime from 'mime-types';
 import { requestWithRetry } from '../api/client.js';
 
+/**
+ * Download a source image for a binary upload
+ */
+async function downloadImage(srcUrl) {
+  const filename = (() => {
+    const urlPart = srcUrl.split('?')[0].split('/').pop() || 'image';
+    const extByMime = (ct) => (mime.extension(ct) ? `.${mime.extension(ct)}` : '');
+    return urlPart.includes('.') ? urlPart : urlPart + extByMime('image/jpeg');
+  })();
+  
+  const imgResp = await requestWithRetry(axios, { 
+    method: 'get', 
+    url: srcUrl, 
+    responseType: 'arraybuffer' 
+  });
+  
+  return {
+    buf: Buffer.from(imgResp.data),
+    filename,
+    contentType: imgResp.headers?.['content-type'] || 'application/octet-stream'
+  };
+}
+
+/**
+ * Set a category's or brand's image (entityUrl e.g. /catalog/categories/12) from a URL,
+ * falling back to a binary upload to <entityUrl>/image if the destination can't fetch it
+ */
+export async function setCatalogImage(dstClient, entityUrl, srcUrl) {
+  try {
+    await requestWithRetry(dstClient, { method: 'put', url: entityUrl, data: { image_url: srcUrl } });
+    return { method: 'url' };
+  } catch (err) {
+    const status = err?.message?.match(/"status":(\d{3})/)?.[1] || '';
+    console.log(`   ↪️ image_url failed (${status || 'err'}). Falling back to binary upload…`);
+  }
+  
+  const { buf, filename, contentType } = await downloadImage(srcUrl);
+  const form = new FormData();
+  form.append('image_file', buf, { filename, contentType });
+  
+  const res = await requestWithRetry(dstClient, {
+    method: 'post',
+    url: `${entityUrl}/image`,
+    headers: form.getHeaders(),
+    data: form
+  });
+  return { method: 'file', data: res.data?.data };
+}
+
 /**
  * Upload image with fallback to binary upload if URL method fails
  */
@@ -27,20 +76,7 @@ export async function uploadImageWithFallback(
   }
   
   // Fallback to binary upload
-  const filename = (() => {
-    const urlPart = srcUrl.split('?')[0].split('/').pop() || 'image';
-    const extByMime = (ct) => (mime.extension(ct) ? `.${mime.extension(ct)}` : '');
-    return urlPart.includes('.') ? urlPart : urlPart + extByMime('image/jpeg');
-  })();
-  
-  const imgResp = await requestWithRetry(axios, { 
-    method: 'get', 
-    url: srcUrl, 
-    responseType: 'arraybuffer' 
-  });
-  
-  const buf = Buffer.from(imgResp.data);
-  const contentType = imgResp.headers?.['content-type'] || 'application/octet-stream';
+  const { buf, filename, contentType } = await downloadImage(srcUrl);
   
   const form = new FormData();
   form.append('image_file', buf, { filename, contentType });
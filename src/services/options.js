@@ -12,7 +12,7 @@ export async function getAllDstOptions(dstClient, productId) {
 /**
  * Create option payload
  */
-function optionPayload(opt) {
+export function optionPayload(opt) {
   const type = opt.type || 'multiple_choice';
   const values = (opt.option_values || []).map(v => ({
     label: v.label,
@@ -30,16 +30,24 @@ function optionPayload(opt) {
 /**
  * Ensure options exist on destination product (idempotent)
  */
-export async function ensureOptionsInDst(dstClient, productId, srcOptions = []) {
+export async function ensureOptionsInDst(dstClient, productId, srcOptions = [], idMap = null, journal = null) {
   const existing = await getAllDstOptions(dstClient, productId);
   const byName = new Map(existing.map(o => [normalize(o.display_name), o]));
+  const byId = new Map(existing.map(o => [o.id, o]));
   const ensured = [];
   
   for (const srcOpt of (srcOptions || [])) {
     const nameKey = normalize(srcOpt.display_name || srcOpt.name || '');
     if (!nameKey) continue;
     
+    const mapped = byId.get(idMap?.get('options', srcOpt.id));
+    if (mapped) {
+      ensured.push(mapped);
+      continue;
+    }
+    
     if (byName.has(nameKey)) {
+      idMap?.set('options', srcOpt.id, byName.get(nameKey).id);
       ensured.push(byName.get(nameKey));
       continue;
     }
@@ -54,6 +62,13 @@ export async function ensureOptionsInDst(dstClient, productId, srcOptions = [])
       const created = res.data?.data;
       if (created) {
         byName.set(nameKey, created);
+        idMap?.set('options', srcOpt.id, created.id);
+        journal?.created('option', {
+          url: `/catalog/products/${productId}/options/${created.id}`,
+          id: created.id,
+          srcId: srcOpt.id,
+          parent: `/catalog/products/${productId}`
+        });
         ensured.push(created);
       }
     } catch (e) {
@@ -65,6 +80,7 @@ export async function ensureOptionsInDst(dstClient, productId, srcOptions = [])
         
         if (match) {
           byName.set(nameKey, match);
+          idMap?.set('options', srcOpt.id, match.id);
           ensured.push(match);
         } else {
           console.log(`   ! Option "${srcOpt.display_name}" exists per API but wasn't found after refresh.`);
@@ -83,10 +99,12 @@ export async function ensureOptionsInDst(dstClient, productId, srcOptions = [])
  */
 export function indexDstOptions(dstOptions = []) {
   const byName = new Map();
+  const byId = new Map();
   for (const o of dstOptions) {
     byName.set(normalize(o.display_name || ''), o);
+    byId.set(o.id, o);
   }
-  return { byName };
+  return { byName, byId };
 }
 
 /**
@@ -99,15 +117,22 @@ export async function getOptionValues(dstClient, productId, optionId) {
 /**
  * Ensure option value exists (create if missing)
  */
-export async function ensureOptionValue(dstClient, productId, dstOption, label) {
+export async function ensureOptionValue(dstClient, productId, dstOption, label, { idMap = null, srcValueId, journal = null } = {}) {
   if (!dstOption.__valMap) {
     const vals = await getOptionValues(dstClient, productId, dstOption.id);
     dstOption.__valMap = new Map(vals.map(v => [normalize(v.label), v.id]));
+    dstOption.__valIds = new Set(vals.map(v => v.id));
   }
   
+  const mappedId = idMap?.get('optionValues', srcValueId);
+  if (mappedId && dstOption.__valIds.has(mappedId)) return mappedId;
+  
   const key = normalize(label);
   let id = dstOption.__valMap.get(key);
-  if (id) return id;
+  if (id) {
+    idMap?.set('optionValues', srcValueId, id);
+    return id;
+  }
   
   const res = await requestWithRetry(dstClient, {
     method: 'post',
@@ -118,6 +143,14 @@ export async function ensureOptionValue(dstClient, productId, dstOption, label)
   const created = res.data?.data;
   if (created?.id) {
     dstOption.__valMap.set(normalize(created.label), created.id);
+    dstOption.__valIds.add(created.id);
+    idMap?.set('optionValues', srcValueId, created.id);
+    journal?.created('option_value', {
+      url: `/catalog/products/${productId}/options/${dstOption.id}/values/${created.id}`,
+      id: created.id,
+      srcId: srcValueId,
+      parent: `/catalog/products/${productId}`
+    });
     return created.id;
   }
   
@@ -127,7 +160,7 @@ export async function ensureOptionValue(dstClient, productId, dstOption, label)
 /**
  * Map variant option values to destination IDs
  */
-export async function mapVariantOptionValuesAsync({ productId, variant, dstIdx, dstClient }) {
+export async function mapVariantOptionValuesAsync({ productId, variant, dstIdx, dstClient, idMap = null, journal = null }) {
   const ovs = Array.isArray(variant.option_values) ? variant.option_values : [];
   if (ovs.length === 0) return null;
   
@@ -135,14 +168,18 @@ export async function mapVariantOptionValuesAsync({ productId, variant, dstIdx,
   
   for (const ov of ovs) {
     const optNameKey = normalize(ov.option_display_name || '');
-    const dstOpt = dstIdx.byName.get(optNameKey);
+    const dstOpt = dstIdx.byId?.get(idMap?.get('options', ov.option_id)) || dstIdx.byName.get(optNameKey);
     
     if (!dstOpt) {
       console.log(`    ! Missing destination option "${ov.option_display_name}"`);
       return null;
     }
     
-    const valId = await ensureOptionValue(dstClient, productId, dstOpt, ov.label || '');
+    const valId = await ensureOptionValue(dstClient, productId, dstOpt, ov.label || '', {
+      idMap,
+      srcValueId: ov.id,
+      journal
+    });
     
     if (!valId) {
       console.log(`    ! Missing destination value "${ov.label}" under option "${dstOpt.display_name}"`);
@@ -0,0 +1,197 @@
+// Migration plan - what a write run would do, entity by entity, with field-level diffs
+import fs from 'fs';
+import path from 'path';
+import { writeJsonAtomic, storePairKey } from './idMap.js';
+
+export const PLAN_ACTIONS = ['create', 'update', 'noop', 'skip'];
+
+const SYMBOLS = { create: '+', update: '~', noop: '=', skip: '-' };
+
+/**
+ * Placeholder for the destination ID of an entity the plan creates, e.g. "{{product:100}}".
+ * Used in URLs and payloads of later operations until the ID exists.
+ */
+export function planRef(entity, srcId) {
+  return `{{${entity}:${srcId}}}`;
+}
+
+/**
+ * Comparable form of a value: numbers as numbers, strings trimmed, lists of IDs sorted
+ */
+function comparable(field, value) {
+  if (value === undefined || value === null) return null;
+  if (field === 'custom_url') return value.url ?? null;
+  if (Array.isArray(value)) {
+    const list = value.map(v => (typeof v === 'object' ? JSON.stringify(v) : String(v)));
+    return JSON.stringify(['categories', 'related_products'].includes(field) ? list.sort() : list);
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)) && /^[\d.-]+$/.test(value.trim())) {
+    return Number(value);
+  }
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * True if two values of a field are the same as far as the API is concerned
+ */
+export function sameFieldValue(field, a, b) {
+  const x = comparable(field, a);
+  const y = comparable(field, b);
+  // An empty string and a missing value are the same thing to the API
+  return x === y || ((x === null || x === '') && (y === null || y === ''));
+}
+
+/**
+ * Fields of `desired` whose values differ from `current`, as [{ field, from, to }]
+ */
+export function diffFields(desired, current = {}) {
+  const changes = [];
+  for (const [field, to] of Object.entries(desired)) {
+    if (to === undefined) continue;
+    const from = current?.[field];
+    if (sameFieldValue(field, to, from)) continue;
+    changes.push({ field, from: from ?? null, to });
+  }
+  return changes;
+}
+
+/**
+ * Replace plan refs with destination IDs: a value that is exactly a ref becomes the ID,
+ * refs inside longer strings (URLs) are substituted. Throws on a ref that is not resolved yet.
+ */
+export function resolveRefs(value, refs) {
+  if (typeof value === 'string') {
+    const exact = value.match(/^\{\{([a-z_]+:[^}]+)\}\}$/);
+    if (exact) return lookupRef(refs, value);
+    return value.replace(/\{\{[a-z_]+:[^}]+\}\}/g, (ref) => lookupRef(refs, ref));
+  }
+  if (Array.isArray(value)) return value.map(v => resolveRefs(v, refs));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveRefs(v, refs)]));
+  }
+  return value;
+}
+
+function lookupRef(refs, ref) {
+  if (!refs.has(ref)) {
+    throw Object.assign(new Error(`unresolved ${ref}`), { unresolvedRef: ref });
+  }
+  return refs.get(ref);
+}
+
+/**
+ * Short printable form of a value for the plan output
+ */
+function show(value) {
+  if (value === null || value === undefined) return '(none)';
+  const s = JSON.stringify(value);
+  return s.length > 60 ? `${s.slice(0, 57)}...` : s;
+}
+
+/**
+ * Create a plan. Planners call add() for every entity they look at; print() shows
+ * creates, updates and skips (no-ops are only counted) and write() saves the JSON plan.
+ */
+export function createPlan({ runId, source, target, settings = {} } = {}) {
+  const operations = [];
+  
+  return {
+    runId,
+    operations,
+    
+    /**
+     * Add one planned operation and print it
+     */
+    add(op) {
+      if (!PLAN_ACTIONS.includes(op.action)) {
+        throw new Error(`Unknown plan action: ${op.action}`);
+      }
+      const entry = { seq: operations.length + 1, ...op };
+      operations.push(entry);
+      print(entry);
+      return entry;
+    },
+    
+    /**
+     * Counts per action, and per entity and action
+     */
+    summary() {
+      const totals = Object.fromEntries(PLAN_ACTIONS.map(a => [a, 0]));
+      const byEntity = {};
+      for (const op of operations) {
+        totals[op.action]++;
+        byEntity[op.entity] = byEntity[op.entity] || Object.fromEntries(PLAN_ACTIONS.map(a => [a, 0]));
+        byEntity[op.entity][op.action]++;
+      }
+      return { totals, byEntity };
+    },
+    
+    /**
+     * Write the plan as JSON; returns the file path
+     */
+    write(file) {
+      writeJsonAtomic(file, {
+        version: 1,
+        kind: 'plan',
+        run_id: runId,
+        source,
+        target,
+        created_at: new Date().toISOString(),
+        settings,
+        summary: this.summary(),
+        operations
+      });
+      return file;
+    }
+  };
+}
+
+/**
+ * Print one operation, Terraform style
+ */
+function print(op) {
+  if (op.action === 'noop') return;
+  
+  const ids = op.dstId ? ` (#${op.srcId ?? '?'} -> #${op.dstId})` : op.srcId != null ? ` (src #${op.srcId})` : '';
+  const indent = op.parentSrcId != null ? '    ' : '';
+  const note = op.note ? ` [${op.note}]` : '';
+  console.log(`${indent}${SYMBOLS[op.action]} ${op.entity} ${JSON.stringify(op.name ?? '')}${ids}${note}`);
+  
+  for (const c of op.changes || []) {
+    console.log(`${indent}    ${c.field}: ${show(c.from)} → ${show(c.to)}`);
+  }
+}
+
+/**
+ * Read a saved plan file
+ */
+export function readPlan(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`❌ Plan file not found: ${file}`);
+  }
+  
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`❌ Invalid JSON in plan ${file}: ${e.message}`);
+  }
+  if (plan?.kind !== 'plan' || !Array.isArray(plan.operations)) {
+    throw new Error(`❌ Not a migration plan: ${file}`);
+  }
+  return plan;
+}
+
+/**
+ * Saved plan files for this store pair, oldest first
+ */
+export function listPlans({ dir = '.migration', sourceKey, targetKey }) {
+  const plansDir = path.join(dir, storePairKey(sourceKey, targetKey), 'plans');
+  if (!fs.existsSync(plansDir)) return [];
+  return fs.readdirSync(plansDir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => path.join(plansDir, f));
+}
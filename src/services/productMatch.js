@@ -0,0 +1,325 @@
+// Product matching - find a source product's destination product by source ID marker, SKU, UPC, MPN, name or custom field
+import { requestWithRetry, pagedGetAll } from '../api/client.js';
+import { shopifyRequestWithRetry, shopifyPagedGetAll } from '../api/shopifyClient.js';
+import { normalize, namesEqual, handleize } from '../utils/string.js';
+
+// Hidden marker on every migrated product (BigCommerce: app-only metafield, Shopify: metafield)
+export const SOURCE_ID_MARKER = { namespace: 'migration', key: 'migration_source_id' };
+
+const MATCH_KEYS = ['sku', 'upc', 'mpn', 'name'];
+const CUSTOM_FIELD_PREFIX = 'custom_field:';
+
+// Keys Shopify can look products up by (no MPN, custom fields are metafields)
+const SHOPIFY_MATCH_KEYS = ['sku', 'upc', 'handle', 'name'];
+
+/**
+ * Match keys to try, in order, for a --match-by / MATCH_BY value:
+ * sku | upc | mpn | name | custom_field:<name> | chain (sku, upc, mpn, then name).
+ * Shopify: sku | upc | handle | name | chain (sku, upc, handle, then name).
+ */
+export function parseMatchBy(value, { target = 'bigcommerce' } = {}) {
+  const raw = String(value || 'name').trim();
+  const lower = raw.toLowerCase();
+  const allowed = target === 'shopify' ? SHOPIFY_MATCH_KEYS : MATCH_KEYS;
+  
+  if (lower === 'chain') return [...allowed];
+  if (lower.startsWith(CUSTOM_FIELD_PREFIX) && raw.length > CUSTOM_FIELD_PREFIX.length && target !== 'shopify') {
+    return [`${CUSTOM_FIELD_PREFIX}${raw.slice(CUSTOM_FIELD_PREFIX.length)}`];
+  }
+  if (allowed.includes(lower)) return [lower];
+  
+  throw new Error(target === 'shopify'
+    ? `❌ --match-by=${raw} is not available for Shopify. Use ${SHOPIFY_MATCH_KEYS.join(', ')} or chain.`
+    : `❌ Invalid match strategy "${raw}". Use ${MATCH_KEYS.join(', ')}, custom_field:<name> or chain.`);
+}
+
+/**
+ * Value of a match key on a product (BigCommerce shape, source or destination); null when empty
+ */
+export function matchValue(key, product) {
+  let value = product?.[key];
+  if (key.startsWith(CUSTOM_FIELD_PREFIX)) {
+    const name = key.slice(CUSTOM_FIELD_PREFIX.length);
+    value = (product?.custom_fields || []).find(cf => namesEqual(cf.name, name))?.value;
+  }
+  const s = key === 'name' ? normalize(value) : String(value ?? '').trim();
+  return s || null;
+}
+
+/**
+ * Body of the marker metafield for a source product ID (BigCommerce)
+ */
+export function markerPayload(srcId) {
+  return { ...SOURCE_ID_MARKER, value: String(srcId), permission_set: 'app_only', description: 'Source product ID (catalog migrator)' };
+}
+
+/**
+ * Source ID markers on the destination: dstProductId -> { id: metafield ID, srcId }
+ */
+export async function loadMarkers(dstClient, pageSize = 250) {
+  const rows = await pagedGetAll(dstClient, '/catalog/products/metafields', SOURCE_ID_MARKER, pageSize);
+  return new Map(rows.map(m => [String(m.resource_id), { id: m.id, srcId: String(m.value) }]));
+}
+
+/**
+ * In-memory index of destination products by match key and by source ID marker.
+ * A product marked with another source ID never matches by SKU/UPC/MPN/custom field;
+ * by name it is returned as `claimed`, so the caller can create a separate product.
+ */
+export function createProductIndex(keys, products = [], markers = new Map()) {
+  const byKey = new Map(keys.map(key => [key, new Map()])); // key -> value -> [product]
+  const bySource = new Map(); // srcId -> product
+  const sourceOf = new Map(); // dstId -> srcId
+  
+  const add = (product, srcId = markers.get(String(product.id))?.srcId) => {
+    for (const [key, values] of byKey) {
+      const value = matchValue(key, product);
+      const list = (values.get(value) || []).filter(p => p.id !== product.id);
+      if (value) values.set(value, [...list, product]);
+    }
+    if (srcId != null) {
+      const previous = sourceOf.get(String(product.id));
+      if (previous && previous !== String(srcId)) bySource.delete(previous);
+      bySource.set(String(srcId), product);
+      sourceOf.set(String(product.id), String(srcId));
+    }
+  };
+  for (const p of products) add(p);
+  
+  return {
+    add,
+    
+    /**
+     * Destination product for a source product: { product, via, claimed? } or null
+     */
+    find(sourceProduct) {
+      const srcId = String(sourceProduct.id);
+      const marked = bySource.get(srcId);
+      if (marked) return { product: marked, via: 'marker' };
+      
+      for (const key of keys) {
+        const value = matchValue(key, sourceProduct);
+        const candidates = value ? byKey.get(key).get(value) || [] : [];
+        const free = candidates.find(p => !sourceOf.has(String(p.id)));
+        if (free) return { product: free, via: key };
+        if (key === 'name' && candidates.length) return { product: candidates[0], via: key, claimed: true };
+      }
+      return null;
+    },
+    
+    /**
+     * True if the destination product carries this source ID marker
+     */
+    isMarked(dstId, srcId) {
+      return sourceOf.get(String(dstId)) === String(srcId);
+    }
+  };
+}
+
+/**
+ * Product matcher for a BigCommerce destination. The destination index and the markers are
+ * read once, the first time they are needed (products found through the ID map need neither).
+ */
+export function createBigCommerceMatcher({ dstClient, matchBy = 'name', pageSize = 250 }) {
+  const keys = parseMatchBy(matchBy);
+  let markers = null;
+  let index = null;
+  
+  const loadMarkersOnce = () => {
+    if (!markers) markers = loadMarkers(dstClient, pageSize);
+    return markers;
+  };
+  const loadIndexOnce = () => {
+    if (!index) index = loadIndex();
+    return index;
+  };
+  const loadIndex = async () => {
+    const params = { include_fields: 'name,sku,upc,mpn' };
+    if (keys.some(k => k.startsWith(CUSTOM_FIELD_PREFIX))) params.include = 'custom_fields';
+    const [products, marked] = await Promise.all([
+      pagedGetAll(dstClient, '/catalog/products', params, pageSize),
+      loadMarkersOnce()
+    ]);
+    console.log(`Destination index: ${products.length} product(s), ${marked.size} marked with their source ID (match by ${keys.join(' → ')})`);
+    return createProductIndex(keys, products, marked);
+  };
+  
+  return {
+    keys,
+    
+    /**
+     * Destination product for a source product (see createProductIndex.find)
+     */
+    async find(sourceProduct) {
+      return (await loadIndexOnce()).find(sourceProduct);
+    },
+    
+    /**
+     * Make sure a destination product carries the source ID marker; never fails the product
+     */
+    async mark(product, sourceProduct, journal = null) {
+      const srcId = String(sourceProduct.id);
+      const productUrl = `/catalog/products/${product.id}`;
+      
+      try {
+        const marked = await loadMarkersOnce();
+        const current = marked.get(String(product.id));
+        
+        if (current && current.srcId !== srcId) {
+          const url = `${productUrl}/metafields/${current.id}`;
+          await requestWithRetry(dstClient, { method: 'put', url, data: { value: srcId } });
+          journal?.updated('metafield', { url, id: current.id, parent: productUrl, restore: { value: current.srcId } });
+          marked.set(String(product.id), { id: current.id, srcId });
+        } else if (!current) {
+          const res = await requestWithRetry(dstClient, { method: 'post', url: `${productUrl}/metafields`, data: markerPayload(srcId) });
+          const id = res.data?.data?.id;
+          journal?.created('metafield', { url: `${productUrl}/metafields/${id}`, id, parent: productUrl });
+          marked.set(String(product.id), { id, srcId });
+        }
+      } catch (e) {
+        console.log(`  ! Could not write the ${SOURCE_ID_MARKER.key} marker: ${e.message}`);
+      }
+      
+      if (index) (await index).add(product, srcId);
+    }
+  };
+}
+
+/**
+ * Values of a match key on a Shopify product (REST shape)
+ */
+function shopifyValues(key, product) {
+  if (key === 'sku') return (product.variants || []).map(v => String(v.sku ?? '').trim());
+  if (key === 'upc') return (product.variants || []).map(v => String(v.barcode ?? '').trim());
+  if (key === 'handle') return [product.handle || ''];
+  return [normalize(product.title)];
+}
+
+/**
+ * Values of a match key on a BigCommerce source product, as Shopify would hold them
+ */
+function sourceValues(key, product) {
+  const variants = product.variants || [];
+  if (key === 'sku') return [product.sku, ...variants.map(v => v.sku)].map(v => String(v ?? '').trim());
+  if (key === 'upc') return [product.upc, ...variants.map(v => v.upc)].map(v => String(v ?? '').trim());
+  if (key === 'handle') return [handleize(product.custom_url?.url), handleize(product.name)];
+  return [normalize(product.name)];
+}
+
+/**
+ * Source ID marker metafield body for a Shopify product
+ */
+export function shopifyMarkerPayload(srcId) {
+  return { ...SOURCE_ID_MARKER, value: String(srcId), type: 'single_line_text_field' };
+}
+
+/**
+ * Product matcher for a Shopify destination. All products with their variants are read once
+ * (the first time a product is not in the ID map) into an index by variant SKU, barcode,
+ * handle and title, which grows as the run creates products, so each lookup is in memory.
+ * Candidates are checked against their source ID marker: one marked with this product's ID
+ * wins, one marked for another source product is never used.
+ */
+export function createShopifyMatcher({ shopifyClient, matchBy = 'name' }) {
+  const keys = parseMatchBy(matchBy, { target: 'shopify' });
+  const byKey = new Map(keys.map(key => [key, new Map()])); // key -> value -> Map(id -> product)
+  let loading = null;
+  
+  const add = (product) => {
+    for (const [key, values] of byKey) {
+      for (const value of new Set(shopifyValues(key, product).filter(Boolean))) {
+        if (!values.has(value)) values.set(value, new Map());
+        values.get(value).set(String(product.id), product);
+      }
+    }
+  };
+  const loadOnce = () => {
+    if (!loading) {
+      loading = shopifyPagedGetAll(shopifyClient, '/products.json', { fields: 'id,title,handle,variants' }).then((products) => {
+        products.forEach(add);
+        const skus = byKey.get('sku')?.size;
+        console.log(`Shopify index: ${products.length} product(s)${skus != null ? `, ${skus} SKU(s)` : ''} (match by ${keys.join(' → ')})`);
+      });
+    }
+    return loading;
+  };
+  
+  const markers = new Map(); // product id -> marker metafield (null when unmarked), fetched once
+  const getMarker = async (productId) => {
+    if (markers.has(String(productId))) return markers.get(String(productId));
+    const res = await shopifyRequestWithRetry(shopifyClient, {
+      method: 'get',
+      url: `/products/${productId}/metafields.json`,
+      params: SOURCE_ID_MARKER
+    });
+    const marker = (res.data.metafields || []).find(m => m.key === SOURCE_ID_MARKER.key) || null;
+    markers.set(String(productId), marker);
+    return marker;
+  };
+  
+  return {
+    keys,
+    
+    /**
+     * Record a product written by this run (with its marker when it was just created),
+     * so later products match it without a new read
+     */
+    add(product, srcId = null) {
+      if (srcId != null) markers.set(String(product.id), { key: SOURCE_ID_MARKER.key, value: String(srcId) });
+      if (loading) add(product);
+    },
+    
+    /**
+     * Shopify product for a BigCommerce product: { product, via, marked } or null.
+     * `product` is the indexed summary (id, title, handle, variants).
+     */
+    async find(bcProduct) {
+      await loadOnce();
+      
+      for (const key of keys) {
+        const candidates = new Map();
+        for (const value of sourceValues(key, bcProduct).filter(Boolean)) {
+          for (const [id, product] of byKey.get(key).get(value) || []) candidates.set(id, product);
+        }
+        
+        let unmarked = null;
+        for (const product of candidates.values()) {
+          const marker = await getMarker(product.id);
+          if (marker?.value === String(bcProduct.id)) return { product, via: 'marker', marked: true };
+          if (!marker && !unmarked) unmarked = product;
+        }
+        if (unmarked) return { product: unmarked, via: key, marked: false };
+      }
+      return null;
+    },
+    
+    /**
+     * Make sure a Shopify product carries the source ID marker; never fails the product
+     */
+    async mark(productId, srcId, journal = null) {
+      const productUrl = `/products/${productId}.json`;
+      try {
+        const current = await getMarker(productId);
+        if (current?.value === String(srcId)) return;
+        
+        if (current) {
+          const url = `/metafields/${current.id}.json`;
+          await shopifyRequestWithRetry(shopifyClient, { method: 'put', url, data: { metafield: { id: current.id, value: String(srcId) } } });
+          journal?.updated('metafield', { url, id: current.id, parent: productUrl, restore: { metafield: { id: current.id, value: current.value } } });
+          markers.set(String(productId), { ...current, value: String(srcId) });
+        } else {
+          const res = await shopifyRequestWithRetry(shopifyClient, {
+            method: 'post',
+            url: `/products/${productId}/metafields.json`,
+            data: { metafield: shopifyMarkerPayload(srcId) }
+          });
+          const id = res.data?.metafield?.id;
+          journal?.created('metafield', { url: `/products/${productId}/metafields/${id}.json`, id, parent: productUrl });
+          markers.set(String(productId), { id, key: SOURCE_ID_MARKER.key, value: String(srcId) });
+        }
+      } catch (e) {
+        console.log(`  ! Could not write the ${SOURCE_ID_MARKER.key} marker: ${e.message}`);
+      }
+    }
+  };
+}
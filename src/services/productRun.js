@@ -0,0 +1,36 @@
+// Product run wiring shared by the BigCommerce and Shopify product migrators
+import { runPool } from '../utils/pool.js';
+import { withBufferedLogs } from '../utils/logBuffer.js';
+
+/**
+ * Run processProduct over the products. They run one at a time unless --concurrency
+ * (or settings.concurrency) is set; in parallel, each product's log lines are held back
+ * and printed together when it finishes.
+ */
+export async function runProducts(products, { cli, config }, processProduct) {
+  const concurrency = Math.max(1, cli.concurrency || config.settings.concurrency || 1);
+  if (concurrency > 1) {
+    console.log(`Concurrency: ${concurrency} products in parallel`);
+  }
+  
+  await runPool(products, concurrency, (product) =>
+    concurrency > 1 ? withBufferedLogs(() => processProduct(product)) : processProduct(product)
+  );
+}
+
+/**
+ * Step runner for one product: runStep(name, fn, key) runs a pipeline step unless the
+ * checkpoint says it already finished. A step that returns false was skipped (e.g. by CLI
+ * flag) and is not journaled. onStep(name) is told which step runs, for failure messages.
+ */
+export function createStepRunner(checkpoint, productKey, onStep = () => {}) {
+  return async (name, fn, key = productKey) => {
+    if (checkpoint?.hasStep(key, name)) {
+      console.log(`  ↷ ${name} already done (resumed)`);
+      return;
+    }
+    onStep(name);
+    const result = await fn();
+    if (result !== false) checkpoint?.markStep(key, name);
+  };
+}
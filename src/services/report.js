@@ -0,0 +1,105 @@
+// Run report - machine-readable per-entity outcomes of a migration run
+import fs from 'fs';
+import path from 'path';
+import { writeJsonAtomic } from './idMap.js';
+
+export const REPORT_ACTIONS = ['created', 'updated', 'deleted', 'skipped', 'failed'];
+
+const CSV_COLUMNS = ['entity', 'action', 'src_id', 'dst_id', 'parent_src_id', 'name', 'duration_ms', 'note', 'error'];
+
+/**
+ * Quote a value for CSV
+ */
+function csvCell(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Create a run report. Migrators call record() for every entity they touch;
+ * write() saves the JSON report (and optionally a CSV of the same entries).
+ */
+export function createReport({ runId, source, target, dryRun = false } = {}) {
+  const startedAt = new Date();
+  const entries = [];
+  
+  return {
+    runId,
+    entries,
+    
+    /**
+     * Record the outcome for one entity
+     */
+    record({ entity, action, srcId, dstId, parentSrcId, name, durationMs, note, error }) {
+      if (!REPORT_ACTIONS.includes(action)) {
+        throw new Error(`Unknown report action: ${action}`);
+      }
+      entries.push({
+        entity,
+        action,
+        src_id: srcId ?? null,
+        dst_id: dstId ?? null,
+        parent_src_id: parentSrcId ?? null,
+        name: name ?? null,
+        duration_ms: durationMs ?? null,
+        note: note ?? null,
+        error: error ? String(error.message || error) : null,
+        at: new Date().toISOString()
+      });
+    },
+    
+    /**
+     * Counts per entity and action
+     */
+    summary() {
+      const out = {};
+      for (const e of entries) {
+        out[e.entity] = out[e.entity] || Object.fromEntries(REPORT_ACTIONS.map(a => [a, 0]));
+        out[e.entity][e.action]++;
+      }
+      return out;
+    },
+    
+    /**
+     * Source IDs of failed products, ready for --only-id
+     */
+    failedProductIds() {
+      return [...new Set(
+        entries
+          .filter(e => e.action === 'failed')
+          .map(e => (e.entity === 'product' ? e.src_id : e.parent_src_id))
+          .filter(id => id != null)
+      )];
+    },
+    
+    /**
+     * Write the JSON report (and CSV next to it if csv is set); returns written paths
+     */
+    write(file, { csv = false } = {}) {
+      const finishedAt = new Date();
+      writeJsonAtomic(file, {
+        run_id: runId,
+        source,
+        target,
+        dry_run: dryRun,
+        started_at: startedAt.toISOString(),
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt - startedAt,
+        summary: this.summary(),
+        failed_product_ids: this.failedProductIds(),
+        entries
+      });
+      const written = [file];
+      
+      if (csv) {
+        const csvFile = file.replace(/\.json$/i, '') + '.csv';
+        const rows = entries.map(e => CSV_COLUMNS.map(c => csvCell(e[c])).join(','));
+        fs.mkdirSync(path.dirname(csvFile), { recursive: true });
+        fs.writeFileSync(csvFile, [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n');
+        written.push(csvFile);
+      }
+      
+      return written;
+    }
+  };
+}
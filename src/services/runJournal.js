@@ -0,0 +1,146 @@
+// Run journal - every destination write of a run, with what is needed to undo it
+import fs from 'fs';
+import path from 'path';
+import { storePairKey } from './idMap.js';
+
+/**
+ * Rollback order: children before parents. Entities not listed go first.
+ * Deleted entries are re-created in the reverse order, parents first.
+ */
+export const ROLLBACK_ORDER = [
+  'metafield',
+  'collect',
+  'custom_field',
+  'bulk_pricing_rule',
+  'image',
+  'variant',
+  'option_value',
+  'option',
+  'product',
+  'category',
+  'brand',
+  'metafield_definition',
+  'metaobject',
+  'file',
+  'metaobject_definition'
+];
+
+/**
+ * Journal file for a run
+ */
+export function runJournalFile({ dir = '.migration', sourceKey, targetKey, runId }) {
+  return path.join(dir, storePairKey(sourceKey, targetKey), 'runs', `${runId}.jsonl`);
+}
+
+/**
+ * Keep only the listed keys of an object (prior state of the fields about to be written)
+ */
+export function pickFields(obj, keys) {
+  const out = {};
+  for (const key of keys) {
+    if (obj && obj[key] !== undefined) out[key] = obj[key];
+  }
+  return out;
+}
+
+/**
+ * Create the write journal for a run. Append-only JSONL, one line per write:
+ * - created: `url` is the new resource, deleted on rollback
+ * - updated: `url` is PUT back with `restore` (the prior values) on rollback
+ * - deleted: `restore` is POSTed to `url` (the collection) on rollback
+ * `parent` is the URL of the owning resource; children of a resource created
+ * in the same run need no undo of their own. Shopify resources that only the
+ * GraphQL Admin API writes (metaobjects, files, definitions) use their GID as `url`.
+ */
+export function createRunJournal({ dir = '.migration', sourceKey, targetKey, runId, target = 'bigcommerce' } = {}) {
+  const file = runJournalFile({ dir, sourceKey, targetKey, runId });
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    type: 'run', runId, target, source: sourceKey, destination: targetKey, started_at: new Date().toISOString()
+  }) + '\n');
+  
+  let seq = 0;
+  const append = (op, entity, fields) => {
+    fs.appendFileSync(file, JSON.stringify({ seq: ++seq, ts: new Date().toISOString(), op, entity, ...fields }) + '\n');
+  };
+  
+  return {
+    file,
+    runId,
+    
+    /**
+     * Record a created resource
+     */
+    created(entity, { url, id, srcId, parentSrcId, parent } = {}) {
+      append('create', entity, { url, id, srcId, parentSrcId, parent });
+    },
+    
+    /**
+     * Record an updated resource with the body that restores its prior values
+     */
+    updated(entity, { url, id, srcId, parentSrcId, parent, restore } = {}) {
+      append('update', entity, { url, id, srcId, parentSrcId, parent, restore });
+    },
+    
+    /**
+     * Record a deleted resource with the body that recreates it
+     */
+    deleted(entity, { url, id, srcId, parentSrcId, parent, restore } = {}) {
+      append('delete', entity, { url, id, srcId, parentSrcId, parent, restore });
+    }
+  };
+}
+
+/**
+ * Mark a run as rolled back (appended to its journal)
+ */
+export function markRolledBack(file, summary = {}) {
+  fs.appendFileSync(file, JSON.stringify({ type: 'rollback', at: new Date().toISOString(), ...summary }) + '\n');
+}
+
+/**
+ * Mark one journal entry as undone, so a retried rollback skips it (appended to its journal)
+ */
+export function markUndone(file, seq) {
+  fs.appendFileSync(file, JSON.stringify({ type: 'undone', seq, at: new Date().toISOString() }) + '\n');
+}
+
+/**
+ * Read a run journal; returns { header, entries, rolledBack, undone } (undone: Set of entry seqs)
+ */
+export function readRunJournal(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`❌ Run journal not found: ${file}`);
+  }
+  
+  let header = null;
+  let rolledBack = null;
+  const entries = [];
+  const undone = new Set();
+  for (const line of fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)) {
+    let ev;
+    try {
+      ev = JSON.parse(line);
+    } catch {
+      continue; // torn last line from a crash
+    }
+    if (ev.type === 'run') header = ev;
+    else if (ev.type === 'rollback') rolledBack = ev;
+    else if (ev.type === 'undone') undone.add(ev.seq);
+    else entries.push(ev);
+  }
+  
+  return { header, entries, rolledBack, undone };
+}
+
+/**
+ * Run IDs with a journal for this store pair, oldest first
+ */
+export function listRuns({ dir = '.migration', sourceKey, targetKey }) {
+  const runsDir = path.join(dir, storePairKey(sourceKey, targetKey), 'runs');
+  if (!fs.existsSync(runsDir)) return [];
+  return fs.readdirSync(runsDir)
+    .filter(f => f.endsWith('.jsonl'))
+    .map(f => f.replace(/\.jsonl$/, ''))
+    .sort();
+}
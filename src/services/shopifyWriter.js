@@ -0,0 +1,385 @@
+// Shopify writes for the product migrator - GraphQL Admin API, with the REST API as a fallback.
+// Both take and return REST-shaped products (numeric IDs), so hooks, ID maps and run
+// journals look the same whichever API wrote them.
+import { shopifyRequestWithRetry } from '../api/shopifyClient.js';
+import { shopifyGraphql, shopifyMutation, toGid, fromGid } from '../api/shopifyGraphql.js';
+
+export const SHOPIFY_APIS = ['graphql', 'rest'];
+
+// metafieldsSet takes at most 25 metafields per call
+const METAFIELDS_PER_CALL = 25;
+
+// setMetafields owners (REST resource names) -> GraphQL types
+const OWNER_TYPES = { product: 'Product', variant: 'ProductVariant', collection: 'Collection' };
+
+const WEIGHT_UNITS = { lb: 'POUNDS', kg: 'KILOGRAMS', g: 'GRAMS', oz: 'OUNCES' };
+
+const WRITTEN_PRODUCT = `
+  id
+  title
+  handle
+  variants(first: 250) { nodes { id sku } }
+  media(first: 250) { nodes { id alt ... on MediaImage { image { url } } } }
+`;
+
+const PRODUCT_CREATE = `
+  mutation productCreate($product: ProductCreateInput!, $media: [CreateMediaInput!]) {
+    productCreate(product: $product, media: $media) {
+      product { ${WRITTEN_PRODUCT} }
+      userErrors { field message }
+    }
+  }
+`;
+
+const PRODUCT_VARIANTS_BULK_CREATE = `
+  mutation productVariantsBulkCreate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkCreate(productId: $productId, variants: $variants, strategy: REMOVE_STANDALONE_VARIANT) {
+      productVariants { id sku }
+      userErrors { field message }
+    }
+  }
+`;
+
+const PRODUCT_SET = `
+  mutation productSet($input: ProductSetInput!) {
+    productSet(input: $input, synchronous: true) {
+      product { ${WRITTEN_PRODUCT} }
+      userErrors { field message }
+    }
+  }
+`;
+
+const PRODUCT_DELETE = `
+  mutation productDelete($input: ProductDeleteInput!) {
+    productDelete(input: $input) {
+      deletedProductId
+      userErrors { field message }
+    }
+  }
+`;
+
+const COLLECTION_ADD_PRODUCTS = `
+  mutation collectionAddProducts($id: ID!, $productIds: [ID!]!) {
+    collectionAddProducts(id: $id, productIds: $productIds) {
+      collection { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const METAFIELDS_SET = `
+  mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id namespace key }
+      userErrors { field message }
+    }
+  }
+`;
+
+const OWNER_METAFIELDS = `
+  query ownerMetafields($id: ID!, $keys: [String!]) {
+    node(id: $id) {
+      ... on HasMetafields { metafields(first: 250, keys: $keys) { nodes { id namespace key value } } }
+    }
+  }
+`;
+
+// A product's variants, a page at a time (a product read returns the first 250 only)
+const PRODUCT_VARIANTS = `
+  query productVariants($id: ID!, $after: String) {
+    product(id: $id) {
+      variants(first: 250, after: $after) { nodes { id sku } pageInfo { hasNextPage endCursor } }
+    }
+  }
+`;
+
+const VARIANTS_PAGE = 250;
+
+/**
+ * Validate --shopify-api / SHOPIFY_API
+ */
+export function parseShopifyApi(value) {
+  const api = String(value || 'graphql').toLowerCase();
+  if (!SHOPIFY_APIS.includes(api)) {
+    throw new Error(`❌ Invalid Shopify API "${value}". Use ${SHOPIFY_APIS.join(', ')}.`);
+  }
+  return api;
+}
+
+/**
+ * Drop undefined values (GraphQL inputs reject unknown keys but not missing ones)
+ */
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * REST product payload -> fields shared by ProductCreateInput and ProductSetInput
+ */
+function toProductFields(p) {
+  const status = p.status ? String(p.status).toUpperCase()
+    : p.published === undefined ? undefined : (p.published ? 'ACTIVE' : 'DRAFT');
+  
+  return compact({
+    title: p.title,
+    descriptionHtml: p.body_html,
+    vendor: p.vendor,
+    productType: p.product_type,
+    handle: p.handle,
+    templateSuffix: p.template_suffix,
+    tags: typeof p.tags === 'string' ? p.tags.split(',').map(t => t.trim()).filter(Boolean) : p.tags,
+    status
+  });
+}
+
+/**
+ * REST options -> productOptions; a product without options has Shopify's "Title" option
+ */
+function toProductOptions(options = []) {
+  if (!options.length) return [{ name: 'Title', values: [{ name: 'Default Title' }] }];
+  return options.map(o => ({ name: o.name, values: (o.values || []).map(v => ({ name: String(v) })) }));
+}
+
+/**
+ * REST variant -> ProductVariantsBulkInput (bulk) or ProductSetVariantInput
+ */
+function toVariantInput(v, options, { locationId, bulk }) {
+  const productOptions = toProductOptions(options);
+  const optionValues = productOptions.map((o, i) => ({
+    optionName: o.name,
+    name: String(v[`option${i + 1}`] ?? o.values[0]?.name)
+  }));
+  
+  const input = compact({
+    optionValues,
+    price: v.price,
+    compareAtPrice: v.compare_at_price,
+    barcode: v.barcode,
+    taxable: v.taxable,
+    inventoryPolicy: v.inventory_policy ? String(v.inventory_policy).toUpperCase() : undefined,
+    inventoryItem: compact({
+      sku: v.sku ?? undefined,
+      tracked: v.inventory_management === undefined ? undefined : v.inventory_management === 'shopify',
+      requiresShipping: v.requires_shipping,
+      measurement: v.weight == null ? undefined : { weight: { value: Number(v.weight), unit: WEIGHT_UNITS[v.weight_unit] || 'POUNDS' } }
+    })
+  });
+  
+  if (locationId && v.inventory_quantity != null) {
+    input.inventoryQuantities = bulk
+      ? [{ locationId, availableQuantity: Number(v.inventory_quantity) }]
+      : [{ locationId, name: 'available', quantity: Number(v.inventory_quantity) }];
+  }
+  return input;
+}
+
+/**
+ * REST product payload -> ProductSetInput (id set: update that product, else create one).
+ * Images are only sent on create: an update leaves the product's media alone, so reruns
+ * don't upload them again.
+ */
+export function toProductSetInput(payload, { id = null, locationId = null } = {}) {
+  const input = compact({ id: id ? toGid('Product', id) : undefined, ...toProductFields(payload), metafields: payload.metafields });
+  if (payload.variants) {
+    input.productOptions = toProductOptions(payload.options);
+    input.variants = payload.variants.map(v => toVariantInput(v, payload.options, { locationId, bulk: false }));
+  }
+  if (payload.images && !id) {
+    input.files = payload.images.map(img => compact({ originalSource: img.src, alt: img.alt, contentType: 'IMAGE' }));
+  }
+  return input;
+}
+
+/**
+ * GraphQL product -> the REST fields the migrator reads (id, title, handle, variants, images)
+ */
+function toRestProduct(product, { variants, images = [] } = {}) {
+  const media = product.media?.nodes || [];
+  return {
+    id: fromGid(product.id),
+    title: product.title,
+    handle: product.handle,
+    variants: (variants || product.variants?.nodes || []).map(v => ({ id: fromGid(v.id), sku: v.sku })),
+    images: media.map((m, i) => ({ id: fromGid(m.id), src: m.image?.url || images[i]?.src, alt: m.alt }))
+  };
+}
+
+/**
+ * Product writes through the REST Admin API
+ */
+function createRestWriter(shopifyClient) {
+  const request = (config) => shopifyRequestWithRetry(shopifyClient, config);
+  
+  return {
+    api: 'rest',
+    
+    async createProduct(payload) {
+      const res = await request({ method: 'post', url: '/products.json', data: { product: payload } });
+      return res.data.product;
+    },
+    
+    async updateProduct(id, payload) {
+      // Images are only sent on create (see toProductSetInput)
+      const { images, ...product } = payload;
+      const res = await request({ method: 'put', url: `/products/${id}.json`, data: { product } });
+      return res.data.product;
+    },
+    
+    async addToCollection(productId, collectionId) {
+      const res = await request({
+        method: 'post',
+        url: '/collects.json',
+        data: { collect: { product_id: productId, collection_id: collectionId } }
+      });
+      return { collectId: res.data.collect.id };
+    },
+    
+    async setMetafields(owner, ownerId, metafields) {
+      const results = [];
+      for (const metafield of metafields) {
+        try {
+          const res = await request({ method: 'post', url: `/${owner}s/${ownerId}/metafields.json`, data: { metafield } });
+          results.push({ ok: true, id: res.data.metafield.id, created: true });
+        } catch (error) {
+          results.push({ ok: false, error });
+        }
+      }
+      return results;
+    }
+  };
+}
+
+/**
+ * Product writes through the GraphQL Admin API. Variants are created with
+ * productVariantsBulkCreate, so products are not held to REST's 100-variant cap.
+ */
+function createGraphqlWriter(shopifyClient, { locationId }) {
+  const productGid = (id) => toGid('Product', id);
+  
+  /**
+   * Current values of the metafields about to be set, keyed "namespace.key"
+   */
+  const currentMetafields = async (ownerId, metafields) => {
+    const data = await shopifyGraphql(shopifyClient, OWNER_METAFIELDS, {
+      id: ownerId,
+      keys: metafields.map(m => `${m.namespace}.${m.key}`)
+    });
+    const nodes = data?.node?.metafields?.nodes || [];
+    return new Map(nodes.map(m => [`${m.namespace}.${m.key}`, { id: fromGid(m.id), value: m.value }]));
+  };
+  
+  return {
+    api: 'graphql',
+    locationId,
+    
+    /**
+     * All variants of a product, REST shaped ({ id, sku }), in position order
+     */
+    async productVariants(productId) {
+      const out = [];
+      let after = null;
+      do {
+        const data = await shopifyGraphql(shopifyClient, PRODUCT_VARIANTS, { id: productGid(productId), after });
+        const page = data?.product?.variants;
+        out.push(...(page?.nodes || []).map(v => ({ id: fromGid(v.id), sku: v.sku })));
+        after = page?.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+      } while (after);
+      return out;
+    },
+    
+    async createProduct(payload) {
+      const { product } = await shopifyMutation(shopifyClient, PRODUCT_CREATE, {
+        product: compact({
+          ...toProductFields(payload),
+          productOptions: payload.options?.length ? toProductOptions(payload.options) : undefined,
+          metafields: payload.metafields
+        }),
+        media: (payload.images || []).map(img => compact({ originalSource: img.src, alt: img.alt, mediaContentType: 'IMAGE' }))
+      });
+      
+      const variants = payload.variants?.length ? payload.variants : [{}];
+      try {
+        const { productVariants } = await shopifyMutation(shopifyClient, PRODUCT_VARIANTS_BULK_CREATE, {
+          productId: product.id,
+          variants: variants.map(v => toVariantInput(v, payload.options, { locationId, bulk: true }))
+        });
+        return toRestProduct(product, { variants: productVariants, images: payload.images });
+      } catch (e) {
+        // Don't leave a product without its variants behind; a rerun creates it again
+        await shopifyMutation(shopifyClient, PRODUCT_DELETE, { input: { id: product.id } }).catch(() => {});
+        throw e;
+      }
+    },
+    
+    async updateProduct(id, payload) {
+      const input = toProductSetInput(payload, { id, locationId });
+      const { product } = await shopifyMutation(shopifyClient, PRODUCT_SET, { input });
+      const written = toRestProduct(product, { images: payload.images });
+      if (written.variants.length >= VARIANTS_PAGE) written.variants = await this.productVariants(written.id);
+      return written;
+    },
+    
+    /**
+     * collectionAddProducts returns no collect; for a product this run did not create
+     * (fresh: false), the collect is looked up so rollback can remove it again
+     */
+    async addToCollection(productId, collectionId, { fresh = false } = {}) {
+      await shopifyMutation(shopifyClient, COLLECTION_ADD_PRODUCTS, {
+        id: toGid('Collection', collectionId),
+        productIds: [productGid(productId)]
+      });
+      if (fresh) return {};
+      
+      const res = await shopifyRequestWithRetry(shopifyClient, {
+        method: 'get',
+        url: '/collects.json',
+        params: { product_id: productId, collection_id: collectionId }
+      });
+      return { collectId: res.data.collects?.[0]?.id };
+    },
+    
+    /**
+     * metafieldsSet in batches of 25. Unless the owner is new (fresh), the current values
+     * are read first so updated metafields can be restored.
+     */
+    async setMetafields(owner, ownerId, metafields, { fresh = false } = {}) {
+      const ownerGid = toGid(OWNER_TYPES[owner] || 'Product', ownerId);
+      const current = fresh || !metafields.length ? new Map() : await currentMetafields(ownerGid, metafields);
+      const results = [];
+      
+      for (let i = 0; i < metafields.length; i += METAFIELDS_PER_CALL) {
+        const batch = metafields.slice(i, i + METAFIELDS_PER_CALL);
+        try {
+          const payload = await shopifyMutation(shopifyClient, METAFIELDS_SET, {
+            metafields: batch.map(m => ({ ownerId: ownerGid, ...m }))
+          });
+          for (const m of batch) {
+            const key = `${m.namespace}.${m.key}`;
+            const written = payload.metafields.find(w => `${w.namespace}.${w.key}` === key);
+            results.push({ ok: true, id: fromGid(written?.id), created: !current.has(key), previous: current.get(key) });
+          }
+        } catch (error) {
+          batch.forEach(() => results.push({ ok: false, error }));
+        }
+      }
+      return results;
+    }
+  };
+}
+
+/**
+ * Writer for the Shopify product and category migrators. GraphQL is checked with one small
+ * query (which also finds the primary location for inventory); if the shop or token can't
+ * use it, the REST writer is used for the run.
+ */
+export async function createShopifyWriter({ shopifyClient, api = 'graphql' }) {
+  if (api === 'rest') return createRestWriter(shopifyClient);
+  
+  try {
+    const data = await shopifyGraphql(shopifyClient, '{ shop { name } location { id } }');
+    return createGraphqlWriter(shopifyClient, { locationId: data?.location?.id });
+  } catch (e) {
+    console.log(`⚠️  Shopify GraphQL Admin API unavailable, falling back to REST: ${e.message}`);
+    return createRestWriter(shopifyClient);
+  }
+}
@@ -0,0 +1,65 @@
+// Sync state - when the last complete write run for a store pair started, for --incremental
+import fs from 'fs';
+import path from 'path';
+import { storePairKey, writeJsonAtomic } from './idMap.js';
+
+/**
+ * Parse a --since value (ISO date or date-time); throws on anything Date cannot read
+ */
+export function parseSince(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`❌ Invalid --since date: ${value} (use an ISO date such as 2026-10-01 or 2026-10-01T08:00:00Z)`);
+  }
+  return date;
+}
+
+/**
+ * True if an entity changed at or after `since`. Entities without a date_modified
+ * cannot be told apart and always count as changed.
+ */
+export function changedSince(entity, since) {
+  if (!since || !entity?.date_modified) return true;
+  return new Date(entity.date_modified) >= since;
+}
+
+/**
+ * Load the sync state of a store pair. The recorded time is the start of the last
+ * successful full write run, so changes made while it ran are picked up next time.
+ */
+export function createSyncState({ dir = '.migration', sourceKey, targetKey } = {}) {
+  const file = path.join(dir, storePairKey(sourceKey, targetKey), 'sync-state.json');
+  let state = null;
+  
+  if (fs.existsSync(file)) {
+    try {
+      state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`❌ Corrupt sync state ${file}: ${e.message}`);
+    }
+  }
+  
+  return {
+    file,
+    
+    /**
+     * Start of the last successful sync (null if there was none)
+     */
+    lastSync() {
+      return state?.last_sync ? new Date(state.last_sync) : null;
+    },
+    
+    /**
+     * Record a successful sync that started at `startedAt`
+     */
+    record({ startedAt, runId, since = null }) {
+      state = {
+        last_sync: startedAt.toISOString(),
+        run_id: runId,
+        since: since ? since.toISOString() : null,
+        recorded_at: new Date().toISOString()
+      };
+      writeJsonAtomic(file, state);
+    }
+  };
+}
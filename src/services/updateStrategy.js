@@ -0,0 +1,35 @@
+// Update strategy for brands and categories that already exist on the destination
+import { pickFields } from './runJournal.js';
+import { diffFields } from './plan.js';
+
+// create-only = never touch existing ones; update = sync fields the source has a value for;
+// overwrite = make them match the source, clearing what the source leaves empty
+export const CATEGORY_STRATEGIES = ['create-only', 'update', 'overwrite'];
+
+/**
+ * Validate a brand/category update strategy (CATEGORY_STRATEGY / --category-strategy)
+ */
+export function parseCategoryStrategy(value) {
+  const strategy = String(value || 'create-only').trim().toLowerCase();
+  if (!CATEGORY_STRATEGIES.includes(strategy)) {
+    throw new Error(`❌ Unknown category strategy "${value}". Use one of: ${CATEGORY_STRATEGIES.join(', ')}`);
+  }
+  return strategy;
+}
+
+const isBlank = (v) => v == null || v === '' || (Array.isArray(v) && v.length === 0);
+
+/**
+ * Fields of a payload an existing destination entity should get under a strategy, as
+ * [{ field, from, to }]. With "update", blank source values leave the destination as it is.
+ */
+export function strategyChanges(payload, current, fields, strategy = 'create-only') {
+  if (strategy === 'create-only') return [];
+  const desired = pickFields(payload, fields);
+  if (strategy === 'update') {
+    for (const [field, value] of Object.entries(desired)) {
+      if (isBlank(value)) delete desired[field];
+    }
+  }
+  return diffFields(desired, current);
+}
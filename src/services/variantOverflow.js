@@ -0,0 +1,144 @@
+// Variant overflow - source products with more options or variants than a Shopify product holds
+
+export const VARIANT_OVERFLOW_STRATEGIES = ['split', 'properties', 'fail'];
+
+// Shopify products have at most 3 options; the variant cap depends on the API that writes them
+export const SHOPIFY_MAX_OPTIONS = 3;
+export const SHOPIFY_MAX_VARIANTS = { rest: 100, graphql: 2048 };
+
+/**
+ * Validate a variant overflow strategy (VARIANT_OVERFLOW_STRATEGY / --variant-overflow)
+ */
+export function parseVariantOverflow(value) {
+  const strategy = String(value || 'fail').trim().toLowerCase();
+  if (!VARIANT_OVERFLOW_STRATEGIES.includes(strategy)) {
+    throw new Error(`❌ Unknown variant overflow strategy "${value}". Use one of: ${VARIANT_OVERFLOW_STRATEGIES.join(', ')}`);
+  }
+  return strategy;
+}
+
+/**
+ * A variant's value for an option, matched by option ID (display name when either has no ID);
+ * variants don't always list their option values in the product's option order
+ */
+function valueFor(variant, option) {
+  return (variant.option_values || []).find(ov => (ov.option_id != null && option.id != null
+    ? ov.option_id === option.id
+    : ov.option_display_name === (option.display_name || option.name))) || null;
+}
+
+/**
+ * Label of a variant's value for an option ('' when it has none)
+ */
+function labelOf(variant, option) {
+  const ov = option ? valueFor(variant, option) : null;
+  return ov ? String(ov.label || ov.option_display_name) : '';
+}
+
+/**
+ * Group items by a key, keeping first-seen order
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Variants in chunks of at most max, keeping variants that share their value of the first option
+ * together unless that value alone has more than max
+ */
+function chunkVariants(variants, max, firstOption) {
+  const chunks = [];
+  let current = [];
+  for (const group of groupBy(variants, v => labelOf(v, firstOption))) {
+    if (current.length + group.length > max && current.length) {
+      chunks.push(current);
+      current = [];
+    }
+    for (let i = 0; i < group.length; i += max) {
+      const slice = group.slice(i, i + max);
+      if (current.length + slice.length > max) {
+        chunks.push(current);
+        current = [];
+      }
+      current.push(...slice);
+    }
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * The first options with only the values these variants use, and the variants cut down to
+ * their values for those options, in option order
+ */
+function keepOptions(options, variants) {
+  const first = options.slice(0, SHOPIFY_MAX_OPTIONS);
+  const kept = first.map(option => {
+    const used = new Set(variants.map(v => labelOf(v, option)));
+    return { ...option, option_values: (option.option_values || []).filter(ov => used.has(String(ov.label || ov.value))) };
+  });
+  const cut = variants.map(v => ({ ...v, option_values: first.map(option => valueFor(v, option)).filter(Boolean) }));
+  return { options: kept, variants: cut };
+}
+
+/**
+ * Fit a source product's options and variants into Shopify products.
+ *
+ * Returns { parts, dropped, note }: parts[0] is the product itself and the others (split only)
+ * are extra products, each { suffix, options, variants, extraOptions }; dropped are the source
+ * variants left out (properties only); note says what was done and is null when it all fits.
+ * With properties, a product that still has too many variants once its extra options are
+ * collapsed (e.g. 3 options and more variants than the cap) is split instead.
+ * Throws when the strategy is fail.
+ */
+export function planVariantOverflow({ options = [], variants = [] }, { strategy = 'fail', maxVariants = SHOPIFY_MAX_VARIANTS.rest } = {}) {
+  const extra = options.slice(SHOPIFY_MAX_OPTIONS);
+  if (!extra.length && variants.length <= maxVariants) {
+    return { parts: [{ suffix: '', options, variants, extraOptions: [] }], dropped: [], note: null };
+  }
+  
+  const over = [
+    extra.length ? `${options.length} options (max ${SHOPIFY_MAX_OPTIONS})` : null,
+    variants.length > maxVariants ? `${variants.length} variants (max ${maxVariants})` : null
+  ].filter(Boolean).join(' and ');
+  
+  if (strategy === 'fail') {
+    throw new Error(`Too many options or variants for Shopify: ${over} (variant overflow strategy: fail)`);
+  }
+  
+  // One variant per combination of the first options; the rest become line-item properties
+  const groups = strategy === 'properties'
+    ? groupBy(variants, v => options.slice(0, SHOPIFY_MAX_OPTIONS).map(o => labelOf(v, o)).join('\u0000'))
+    : [];
+  if (strategy === 'properties' && groups.length <= maxVariants) {
+    const kept = groups.map(g => g[0]);
+    const extraOptions = extra.map(o => ({
+      name: o.display_name || o.name,
+      values: (o.option_values || []).map(v => v.label || v.value)
+    }));
+    return {
+      parts: [{ suffix: '', ...keepOptions(options, kept), extraOptions }],
+      dropped: groups.flatMap(g => g.slice(1)),
+      note: `variant overflow: ${over}; ${extraOptions.map(o => o.name).join(', ')} kept as line-item properties, ${variants.length - kept.length} variant(s) collapsed`
+    };
+  }
+  
+  // split: one product per combination of the extra option values, then per chunk of maxVariants
+  const parts = [];
+  for (const group of groupBy(variants, v => extra.map(o => labelOf(v, o)).join('\u0000'))) {
+    const values = extra.map(o => labelOf(group[0], o)).filter(Boolean).join(' / ');
+    const chunks = chunkVariants(group, maxVariants, options[0]);
+    chunks.forEach((chunk, i) => {
+      const suffix = [values, chunks.length > 1 ? `${i + 1}/${chunks.length}` : ''].filter(Boolean).join(' ');
+      parts.push({ suffix, ...keepOptions(options, chunk), extraOptions: [] });
+    });
+  }
+  const fallback = strategy === 'properties' ? ` (${groups.length} variants left after collapsing options)` : '';
+  return { parts, dropped: [], note: `variant overflow: ${over}; split into ${parts.length} products${fallback}` };
+}
@@ -0,0 +1,108 @@
+// Verification helpers - field comparison and discrepancy collection
+import { writeJsonAtomic } from './idMap.js';
+import { normalize } from '../utils/string.js';
+
+/**
+ * Compare two values loosely: numbers by value, everything else as normalized strings
+ */
+export function sameValue(expected, actual) {
+  if (expected == null || expected === '') return actual == null || actual === '' || Number(actual) === 0;
+  
+  const a = Number(expected);
+  const b = Number(actual);
+  if (!Number.isNaN(a) && !Number.isNaN(b) && typeof expected !== 'boolean') {
+    return Math.abs(a - b) < 0.005;
+  }
+  
+  return normalize(expected) === normalize(actual);
+}
+
+/**
+ * Compare two lists as multisets of normalized strings
+ */
+export function sameSet(expected = [], actual = []) {
+  const a = expected.map(normalize).sort();
+  const b = actual.map(normalize).sort();
+  return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+/**
+ * Option combination key for a variant, e.g. "color=red|size=l"
+ */
+export function optionComboKey(pairs = []) {
+  return pairs
+    .map(([name, value]) => `${normalize(name)}=${normalize(value)}`)
+    .sort()
+    .join('|');
+}
+
+/**
+ * Create a discrepancy collector for a verification pass
+ */
+export function createDiscrepancyReport({ source, target } = {}) {
+  const startedAt = new Date();
+  const discrepancies = [];
+  const stats = { sourceProducts: 0, destinationProducts: 0, matchedProducts: 0, checkedFields: 0 };
+  
+  return {
+    stats,
+    discrepancies,
+    
+    /**
+     * Record a discrepancy and print it
+     */
+    add({ product, srcId, dstId, field, expected, actual, note }) {
+      discrepancies.push({
+        product: product ?? null,
+        src_id: srcId ?? null,
+        dst_id: dstId ?? null,
+        field,
+        expected: expected ?? null,
+        actual: actual ?? null,
+        note: note ?? null
+      });
+      const detail = note || `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+      const ids = srcId != null || dstId != null ? ` (#${srcId ?? '?'} -> #${dstId ?? '?'})` : '';
+      console.log(`  ✗ ${product ?? ''}${ids} ${field}: ${detail}`);
+    },
+    
+    /**
+     * Compare one field; records a discrepancy when the values differ
+     */
+    check(ctx, field, expected, actual) {
+      stats.checkedFields++;
+      if (!sameValue(expected, actual)) {
+        this.add({ ...ctx, field, expected, actual });
+      }
+    },
+    
+    /**
+     * Compare one list-valued field as a multiset
+     */
+    checkSet(ctx, field, expected, actual) {
+      stats.checkedFields++;
+      if (!sameSet(expected, actual)) {
+        this.add({ ...ctx, field, expected, actual });
+      }
+    },
+    
+    byField() {
+      const out = {};
+      for (const d of discrepancies) out[d.field] = (out[d.field] || 0) + 1;
+      return out;
+    },
+    
+    write(file) {
+      writeJsonAtomic(file, {
+        source,
+        target,
+        started_at: startedAt.toISOString(),
+        finished_at: new Date().toISOString(),
+        stats,
+        by_field: this.byField(),
+        discrepancies
+      });
+      return file;
+    }
+  };
+}
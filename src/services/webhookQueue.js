@@ -0,0 +1,109 @@
+// Webhook queue - durable local queue of received webhook events for `serve`
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { storePairKey } from './idMap.js';
+
+export const MAX_ATTEMPTS = 5;
+
+/**
+ * Create (or reopen) the webhook queue of a store pair. Append-only JSONL:
+ * - { type: 'event', id, ... } when an event is received (before the HTTP 200)
+ * - { type: 'done', ids } once its entity was synced
+ * - { type: 'failed', ids, error } per failed attempt; after MAX_ATTEMPTS it is dropped
+ * Events still pending after a restart are picked up again.
+ */
+export function createWebhookQueue({ dir = '.migration', sourceKey, targetKey } = {}) {
+  const file = path.join(dir, storePairKey(sourceKey, targetKey), 'webhook-queue.jsonl');
+  const events = new Map(); // id -> { event, attempts, error }
+  
+  function apply(line) {
+    if (line.type === 'event') {
+      events.set(line.id, { event: line, attempts: 0 });
+    } else if (line.type === 'done' || line.type === 'dropped') {
+      for (const id of line.ids || []) events.delete(id);
+    } else if (line.type === 'failed') {
+      for (const id of line.ids || []) {
+        const e = events.get(id);
+        if (e) {
+          e.attempts++;
+          e.error = line.error;
+        }
+      }
+    }
+  }
+  
+  if (fs.existsSync(file)) {
+    for (const raw of fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)) {
+      try {
+        apply(JSON.parse(raw));
+      } catch {
+        // A torn last line from a crash is expected; ignore it
+      }
+    }
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  
+  function append(line) {
+    apply(line);
+    fs.appendFileSync(file, JSON.stringify({ ...line, at: new Date().toISOString() }) + '\n');
+  }
+  
+  return {
+    file,
+    
+    /**
+     * Store a received event; returns it with its queue ID
+     */
+    push(event) {
+      const line = { type: 'event', id: randomUUID(), ...event };
+      append(line);
+      return line;
+    },
+    
+    /**
+     * Pending events, oldest first, with their failed attempt count
+     */
+    pending() {
+      return [...events.values()].map(({ event, attempts, error }) => ({ ...event, attempts, error }));
+    },
+    
+    /**
+     * Number of pending events
+     */
+    size() {
+      return events.size;
+    },
+    
+    markDone(ids) {
+      if (ids.length) append({ type: 'done', ids });
+    },
+    
+    /**
+     * Count a failed attempt; events that reached MAX_ATTEMPTS are dropped and returned
+     */
+    markFailed(ids, error) {
+      if (!ids.length) return [];
+      append({ type: 'failed', ids, error: String(error?.message || error) });
+      
+      const dropped = ids.filter(id => (events.get(id)?.attempts ?? 0) >= MAX_ATTEMPTS);
+      const droppedEvents = dropped.map(id => ({ ...events.get(id).event, error: events.get(id).error }));
+      if (dropped.length) append({ type: 'dropped', ids: dropped });
+      return droppedEvents;
+    },
+    
+    /**
+     * Rewrite the file with only the pending events (and their failure counts)
+     */
+    compact() {
+      const lines = [];
+      for (const { event, attempts, error } of events.values()) {
+        lines.push(event);
+        for (let i = 0; i < attempts; i++) lines.push({ type: 'failed', ids: [event.id], error });
+      }
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, lines.map(l => JSON.stringify(l) + '\n').join(''));
+      fs.renameSync(tmp, file);
+    }
+  };
+}
@@ -0,0 +1,137 @@
+// Webhooks - BigCommerce webhook validation, parsing and the HTTP endpoint for `serve`
+import http from 'http';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const WEBHOOK_PATH = '/webhooks/bigcommerce';
+
+// Largest request body accepted (BigCommerce payloads are a few hundred bytes)
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Signature header value for a raw body: "sha256=<hex HMAC>"
+ */
+export function signPayload(body, secret) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+/**
+ * Check a request against the shared secret. Accepts either an HMAC of the raw body
+ * in X-Webhook-Signature (relays, the replayer) or the secret itself in X-Webhook-Secret
+ * (the custom header BigCommerce sends when the webhook is registered with it).
+ */
+export function verifyWebhook(headers, body, secret) {
+  const signature = headers['x-webhook-signature'];
+  if (signature) return safeEqual(signature, signPayload(body, secret));
+  
+  const shared = headers['x-webhook-secret'];
+  if (shared) return safeEqual(shared, secret);
+  
+  return false;
+}
+
+/**
+ * Turn a BigCommerce webhook payload into a queue event, or null for scopes `serve` ignores.
+ * store/product/*  -> { entity: 'product', entityId }      (deleted: action 'deleted')
+ * store/sku/*      -> { entity: 'sku', entityId, productId } (productId when the payload has it)
+ * store/category/* -> { entity: 'category', entityId }
+ */
+export function parseWebhook(payload) {
+  const scope = String(payload?.scope || '');
+  const [, kind, ...rest] = scope.split('/');
+  const action = rest.join('/');
+  const id = payload?.data?.id;
+  
+  if (!['product', 'sku', 'category'].includes(kind) || id == null) return null;
+  
+  return {
+    scope,
+    entity: kind,
+    action,
+    entityId: Number(id),
+    productId: kind === 'sku' ? payload.data.sku?.product_id ?? null : null,
+    producer: payload.producer ?? null,
+    received_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Read a request body up to MAX_BODY_BYTES
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ */
+function send(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * HTTP server for webhooks. A valid event is handed to onEvent (which must store it
+ * durably) before the 200 goes out, so BigCommerce only stops retrying once it is queued.
+ * GET /health returns status() for monitoring.
+ */
+export function createWebhookServer({ secret, producer = null, onEvent, status = () => ({}) }) {
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      
+      if (req.method === 'GET' && url.pathname === '/health') {
+        return send(res, 200, { ok: true, ...status() });
+      }
+      if (url.pathname !== WEBHOOK_PATH) return send(res, 404, { error: 'not found' });
+      if (req.method !== 'POST') return send(res, 405, { error: 'method not allowed' });
+      
+      const body = await readBody(req);
+      if (!verifyWebhook(req.headers, body, secret)) {
+        console.log(`! Rejected webhook with a missing or invalid signature from ${req.socket.remoteAddress}`);
+        return send(res, 401, { error: 'invalid signature' });
+      }
+      
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf8'));
+      } catch {
+        return send(res, 400, { error: 'invalid JSON' });
+      }
+      
+      const event = parseWebhook(payload);
+      if (!event) return send(res, 200, { queued: false, reason: `scope ${payload?.scope} is not synced` });
+      if (producer && event.producer && event.producer !== producer) {
+        return send(res, 400, { error: `producer ${event.producer} is not the source store` });
+      }
+      
+      const queued = await onEvent(event);
+      return send(res, 200, { queued: true, id: queued.id });
+    } catch (e) {
+      console.log(`! Webhook request failed: ${e.message}`);
+      return send(res, e.status || 500, { error: e.message });
+    }
+  });
+}
@@ -0,0 +1,40 @@
+// Grouped console output for concurrent work
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+let installed = false;
+
+/**
+ * Route console.log/console.error through the current buffer, if any
+ */
+function install() {
+  if (installed) return;
+  installed = true;
+  
+  for (const method of ['log', 'error']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const buffer = storage.getStore();
+      if (buffer) {
+        buffer.push([original, args]);
+      } else {
+        original(...args);
+      }
+    };
+  }
+}
+
+/**
+ * Run fn with its console output held back, then print it as one block.
+ * Keeps each product's log lines together when several run in parallel.
+ */
+export async function withBufferedLogs(fn) {
+  install();
+  const buffer = [];
+  
+  try {
+    return await storage.run(buffer, fn);
+  } finally {
+    for (const [print, args] of buffer) print(...args);
+  }
+}
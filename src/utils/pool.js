@@ -0,0 +1,19 @@
+// Bounded worker pool
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` in flight.
+ * Resolves when every item has been processed; worker errors are not caught here.
+ */
+export async function runPool(items, concurrency, worker) {
+  const limit = Math.max(1, concurrency || 1);
+  let next = 0;
+  
+  async function lane() {
+    while (next < items.length) {
+      const i = next++;
+      await worker(items[i], i);
+    }
+  }
+  
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
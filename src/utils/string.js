@@ -18,3 +18,10 @@ export function normalize(s) {
 export function namesEqual(a, b) {
   return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
 }
+
+/**
+ * URL handle the way Shopify derives it from a title or path ("Blue Chair!" -> "blue-chair")
+ */
+export function handleize(s) {
+  return normalize(s).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}